@@ -7,7 +7,7 @@
     'use strict';
     
     const { Component } = TM;
-    const { html, classNames, uid } = TM;
+    const { html, classNames, uid, css } = TM;
 
     // ═══════════════════════════════════════════════════════════════
     // TAG / CHIP
@@ -28,6 +28,22 @@
             onRemove: null
         };
 
+        static styles = css`
+            .tm-tag { display: inline-flex; align-items: center; gap: var(--tm-space-xs); padding: 2px var(--tm-space-sm); font-size: var(--tm-font-size-sm); border-radius: var(--tm-radius); background: var(--tm-bg-tertiary); color: var(--tm-text); }
+            .tm-tag--rounded { border-radius: var(--tm-radius-full); }
+            .tm-tag--sm { padding: 1px 6px; font-size: var(--tm-font-size-xs); }
+            .tm-tag--lg { padding: 4px var(--tm-space-md); font-size: var(--tm-font-size); }
+            .tm-tag--primary { background: var(--tm-primary-light); color: var(--tm-primary); }
+            .tm-tag--success { background: var(--tm-success-light); color: var(--tm-success); }
+            .tm-tag--danger { background: var(--tm-danger-light); color: var(--tm-danger); }
+            .tm-tag--warning { background: var(--tm-warning-light); color: var(--tm-warning); }
+            .tm-tag--outline { background: transparent; border: 1px solid currentColor; }
+            .tm-tag--clickable { cursor: pointer; transition: opacity var(--tm-transition); }
+            .tm-tag--clickable:hover { opacity: 0.8; }
+            .tm-tag__remove { display: flex; cursor: pointer; opacity: 0.6; transition: opacity var(--tm-transition); background: none; border: none; padding: 0; color: inherit; }
+            .tm-tag__remove:hover { opacity: 1; }
+        `;
+
         render() {
             const { text, variant, color, size, rounded, outline, removable, clickable, icon } = this.props;
             
@@ -49,9 +65,9 @@
 
             return html`
                 <span class="${classes}" style="${style}" @click="handleClick">
-                    ${icon ? `<span class="tm-tag__icon">${icon}</span>` : ''}
+                    ${icon ? html`<span class="tm-tag__icon">${icon}</span>` : ''}
                     <span class="tm-tag__text">${text}</span>
-                    ${removable ? `
+                    ${removable ? html`
                         <button class="tm-tag__remove" @click="handleRemove" aria-label="Eliminar">
                             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M18 6L6 18M6 6l12 12"/>
@@ -91,6 +107,15 @@
             offset: [0, 0]      // [x, y] offset
         };
 
+        static styles = css`
+            .tm-badge-wrapper { position: relative; display: inline-flex; }
+            .tm-badge { position: absolute; top: 0; right: 0; transform: translate(50%, -50%); min-width: 18px; height: 18px; padding: 0 5px; font-size: 11px; font-weight: 600; line-height: 18px; text-align: center; color: white; background: var(--tm-danger); border-radius: var(--tm-radius-full); }
+            .tm-badge--primary { background: var(--tm-primary); }
+            .tm-badge--success { background: var(--tm-success); }
+            .tm-badge--warning { background: var(--tm-warning); }
+            .tm-badge--dot { min-width: 8px; width: 8px; height: 8px; padding: 0; }
+        `;
+
         render() {
             const { value, max, variant, dot, show, offset } = this.props;
             
@@ -130,6 +155,22 @@
             onItemClick: null
         };
 
+        static styles = css`
+            .tm-list { border: 1px solid var(--tm-border); border-radius: var(--tm-radius-lg); overflow: hidden; }
+            .tm-list--divided .tm-list__item { border-bottom: 1px solid var(--tm-border); }
+            .tm-list--divided .tm-list__item:last-child { border-bottom: none; }
+            .tm-list__item { display: flex; align-items: center; gap: var(--tm-space-md); padding: var(--tm-space-md) var(--tm-space-lg); }
+            .tm-list--hoverable .tm-list__item { transition: background var(--tm-transition); cursor: pointer; }
+            .tm-list--hoverable .tm-list__item:hover { background: var(--tm-bg-secondary); }
+            .tm-list__item--selected { background: var(--tm-primary-light) !important; }
+            .tm-list__item--disabled { opacity: 0.5; cursor: not-allowed !important; }
+            .tm-list__content { flex: 1; min-width: 0; }
+            .tm-list__title { font-weight: 500; }
+            .tm-list__subtitle { font-size: var(--tm-font-size-sm); color: var(--tm-text-secondary); }
+            .tm-list__extra { color: var(--tm-text-muted); font-size: var(--tm-font-size-sm); }
+            .tm-list__empty { padding: var(--tm-space-xl); text-align: center; color: var(--tm-text-muted); }
+        `;
+
         initialState() {
             const { selected, multiple } = this.props;
             return {
@@ -160,7 +201,7 @@
 
             return html`
                 <div class="${classes}" role="${selectable ? 'listbox' : 'list'}">
-                    ${items.map(item => this.renderItem(item)).join('')}
+                    ${items.map(item => this.renderItem(item))}
                 </div>
             `;
         }
@@ -179,19 +220,19 @@
                 <div class="${classes}" 
                      data-id="${item.id}"
                      role="${selectable ? 'option' : 'listitem'}"
-                     aria-selected="${isSelected}"
+                     aria-selected="${String(isSelected)}"
                      @click="handleItemClick">
-                    ${item.icon ? `<span class="tm-list__icon">${item.icon}</span>` : ''}
-                    ${selectable && multiple ? `
+                    ${item.icon ? html`<span class="tm-list__icon">${item.icon}</span>` : ''}
+                    ${selectable && multiple ? html`
                         <span class="tm-list__checkbox">
                             <input type="checkbox" ${isSelected ? 'checked' : ''} ${item.disabled ? 'disabled' : ''} />
                         </span>
                     ` : ''}
                     <div class="tm-list__content">
                         <div class="tm-list__title">${item.title}</div>
-                        ${item.subtitle ? `<div class="tm-list__subtitle">${item.subtitle}</div>` : ''}
+                        ${item.subtitle ? html`<div class="tm-list__subtitle">${item.subtitle}</div>` : ''}
                     </div>
-                    ${item.extra ? `<span class="tm-list__extra">${item.extra}</span>` : ''}
+                    ${item.extra ? html`<span class="tm-list__extra">${item.extra}</span>` : ''}
                 </div>
             `;
         }
@@ -275,9 +316,13 @@
     
     class Table extends Component {
         static defaultProps = {
-            columns: [],  // [{ key, title, width?, align?, render? }]
+            columns: [],  // [{ key, title, width?, align?, render?, sortable?, sort? }]
             data: [],     // [{ ...row data }]
             rowKey: 'id',
+            sortable: false,  // every column sortable (or per column with `sortable`)
+            sortKey: null,    // initial sort column
+            sortDir: 'asc',
+            onSort: null,
             striped: false,
             bordered: false,
             hoverable: true,
@@ -286,8 +331,30 @@
             onRowClick: null
         };
 
+        static styles = css`
+            .tm-table-wrapper { overflow-x: auto; }
+            .tm-table { width: 100%; border-collapse: collapse; }
+            .tm-table th, .tm-table td { padding: var(--tm-space-md) var(--tm-space-lg); text-align: left; border-bottom: 1px solid var(--tm-border); }
+            .tm-table th { font-weight: 600; background: var(--tm-bg-secondary); }
+            .tm-table--striped tbody tr:nth-child(even) { background: var(--tm-bg-secondary); }
+            .tm-table--bordered { border: 1px solid var(--tm-border); }
+            .tm-table--bordered th, .tm-table--bordered td { border: 1px solid var(--tm-border); }
+            .tm-table--hoverable tbody tr { transition: background var(--tm-transition); }
+            .tm-table--hoverable tbody tr:hover { background: var(--tm-bg-hover); }
+            .tm-table--compact th, .tm-table--compact td { padding: var(--tm-space-sm) var(--tm-space-md); }
+            .tm-table__empty { text-align: center; color: var(--tm-text-muted); padding: var(--tm-space-xl) !important; }
+            .tm-table__th--sortable { cursor: pointer; user-select: none; }
+            .tm-table__th--sortable:hover { background: var(--tm-bg-hover); }
+            .tm-table__sort { margin-left: var(--tm-space-xs); color: var(--tm-text-muted); font-size: 0.8em; }
+        `;
+
+        initialState() {
+            return { sortKey: this.props.sortKey, sortDir: this.props.sortDir };
+        }
+
         render() {
-            const { columns, data, striped, bordered, hoverable, compact, emptyText } = this.props;
+            const { columns, striped, bordered, hoverable, compact, emptyText } = this.props;
+            const data = this.sortedData();
             
             const classes = classNames(
                 'tm-table-wrapper', 'tm-component',
@@ -302,15 +369,11 @@
                     <table class="tm-table">
                         <thead>
                             <tr>
-                                ${columns.map(col => `
-                                    <th style="${col.width ? `width: ${col.width};` : ''} ${col.align ? `text-align: ${col.align};` : ''}">
-                                        ${col.title}
-                                    </th>
-                                `).join('')}
+                                ${columns.map(col => this.renderHeader(col))}
                             </tr>
                         </thead>
                         <tbody>
-                            ${data.length ? data.map((row, idx) => this.renderRow(row, idx)).join('') : `
+                            ${data.length ? data.map((row, idx) => this.renderRow(row, idx)) : html`
                                 <tr class="tm-table__empty-row">
                                     <td colspan="${columns.length}">
                                         <span class="tm-table__empty">${emptyText}</span>
@@ -323,6 +386,64 @@
             `;
         }
 
+        renderHeader(col) {
+            const style = `${col.width ? `width: ${col.width};` : ''} ${col.align ? `text-align: ${col.align};` : ''}`;
+
+            if (!this.isSortable(col)) {
+                return html`<th style="${style}">${col.title}</th>`;
+            }
+
+            const { sortKey, sortDir } = this.state;
+            const active = sortKey === col.key;
+
+            return html`
+                <th class="tm-table__th--sortable" style="${style}" data-key="${col.key}"
+                    aria-sort="${active ? (sortDir === 'asc' ? 'ascending' : 'descending') : 'none'}" @click="handleSort">
+                    ${col.title}<span class="tm-table__sort">${active ? (sortDir === 'asc' ? '▲' : '▼') : '↕'}</span>
+                </th>
+            `;
+        }
+
+        isSortable(col) {
+            return col.sortable ?? this.props.sortable;
+        }
+
+        /**
+         * Rows in the current sort order. Columns can pass `sort(a, b, rowA, rowB)`;
+         * otherwise numbers compare numerically, strings with localeCompare, empty values last.
+         * @returns {Object[]}
+         */
+        sortedData() {
+            const { columns, data } = this.props;
+            const { sortKey, sortDir } = this.state;
+            const col = columns.find(c => c.key === sortKey);
+            if (!col) return data;
+
+            const direction = sortDir === 'desc' ? -1 : 1;
+            const compare = col.sort ?? ((a, b) => {
+                if (typeof a === 'number' && typeof b === 'number') return a - b;
+                return String(a).localeCompare(String(b), undefined, { numeric: true });
+            });
+
+            return [...data].sort((rowA, rowB) => {
+                const a = rowA[sortKey];
+                const b = rowB[sortKey];
+                if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+                if (b == null || b === '') return -1;
+                return compare(a, b, rowA, rowB) * direction;
+            });
+        }
+
+        handleSort(e) {
+            const key = e.currentTarget.dataset.key;
+            const sortDir = this.state.sortKey === key && this.state.sortDir === 'asc' ? 'desc' : 'asc';
+
+            this.state.sortKey = key;
+            this.state.sortDir = sortDir;
+            this.props.onSort?.(key, sortDir);
+            this.emit('sort', { key, dir: sortDir });
+        }
+
         renderRow(row, index) {
             const { columns, rowKey } = this.props;
             const key = row[rowKey] ?? index;
@@ -333,15 +454,15 @@
                         const value = row[col.key];
                         const content = col.render ? col.render(value, row, index) : (value ?? '');
                         const align = col.align ? `text-align: ${col.align};` : '';
-                        return `<td style="${align}">${content}</td>`;
-                    }).join('')}
+                        return html`<td style="${align}">${content}</td>`;
+                    })}
                 </tr>
             `;
         }
 
         handleRowClick(e) {
             const key = e.currentTarget.dataset.rowKey;
-            const row = this.props.data.find((r, i) => String(r[this.props.rowKey] ?? i) === key);
+            const row = this.sortedData().find((r, i) => String(r[this.props.rowKey] ?? i) === key);
             
             if (row) {
                 this.props.onRowClick?.(row, e);
@@ -7,7 +7,7 @@
     'use strict';
     
     const { Component } = TM;
-    const { html, classNames, uid } = TM;
+    const { html, classNames, uid, css } = TM;
 
     // ═══════════════════════════════════════════════════════════════
     // TOAST NOTIFICATION SYSTEM
@@ -54,14 +54,14 @@
                 info: 'ℹ'
             };
             
-            toast.innerHTML = `
+            toast.innerHTML = html`
                 <span class="tm-toast__icon">${icons[config.type] || icons.info}</span>
                 <div class="tm-toast__content">
-                    ${config.title ? `<div class="tm-toast__title">${config.title}</div>` : ''}
+                    ${config.title ? html`<div class="tm-toast__title">${config.title}</div>` : ''}
                     <div class="tm-toast__message">${config.message}</div>
                 </div>
                 <button class="tm-toast__close" aria-label="Cerrar">✕</button>
-                ${config.duration > 0 ? `<div class="tm-toast__progress" style="animation-duration: ${config.duration}ms"></div>` : ''}
+                ${config.duration > 0 ? html`<div class="tm-toast__progress" style="animation-duration: ${config.duration}ms"></div>` : ''}
             `;
             
             // Close button
@@ -145,6 +145,19 @@
             onClose: null
         };
 
+        static styles = css`
+            .tm-alert { display: flex; align-items: flex-start; gap: var(--tm-space-md); padding: var(--tm-space-md) var(--tm-space-lg); border-radius: var(--tm-radius-lg); background: var(--tm-info-light); color: var(--tm-info); }
+            .tm-alert--success { background: var(--tm-success-light); color: var(--tm-success); }
+            .tm-alert--danger { background: var(--tm-danger-light); color: var(--tm-danger); }
+            .tm-alert--warning { background: var(--tm-warning-light); color: var(--tm-warning); }
+            .tm-alert__icon { font-size: var(--tm-font-size-lg); }
+            .tm-alert__content { flex: 1; }
+            .tm-alert__title { font-weight: 600; margin-bottom: var(--tm-space-xs); }
+            .tm-alert__message { font-size: var(--tm-font-size-sm); }
+            .tm-alert__close { background: none; border: none; cursor: pointer; opacity: 0.6; }
+            .tm-alert__close:hover { opacity: 1; }
+        `;
+
         initialState() {
             return { visible: true };
         }
@@ -163,12 +176,12 @@
 
             return html`
                 <div class="tm-alert tm-alert--${type} tm-component" role="alert">
-                    ${icon ? `<span class="tm-alert__icon">${icons[type]}</span>` : ''}
+                    ${icon ? html`<span class="tm-alert__icon">${icons[type]}</span>` : ''}
                     <div class="tm-alert__content">
-                        ${title ? `<div class="tm-alert__title">${title}</div>` : ''}
+                        ${title ? html`<div class="tm-alert__title">${title}</div>` : ''}
                         <div class="tm-alert__message">${message}</div>
                     </div>
-                    ${closable ? `<button class="tm-alert__close" @click="handleClose">✕</button>` : ''}
+                    ${closable ? html`<button class="tm-alert__close" @click="handleClose">✕</button>` : ''}
                 </div>
             `;
         }
@@ -196,6 +209,13 @@
             inline: false
         };
 
+        static styles = css`
+            .tm-spinner-wrapper { display: flex; flex-direction: column; align-items: center; gap: var(--tm-space-md); padding: var(--tm-space-xl); }
+            .tm-spinner-wrapper--inline { display: inline-flex; flex-direction: row; padding: 0; }
+            .tm-spinner__text { font-size: var(--tm-font-size-sm); color: var(--tm-text-secondary); }
+            .tm-spinner-overlay { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; background: var(--tm-overlay); z-index: 10000; }
+        `;
+
         render() {
             const { size, color, text, overlay, inline } = this.props;
             
@@ -204,7 +224,7 @@
             const spinner = html`
                 <div class="tm-spinner-wrapper ${inline ? 'tm-spinner-wrapper--inline' : ''} tm-component">
                     <div class="tm-spinner tm-spinner--${size}" style="${style}"></div>
-                    ${text ? `<span class="tm-spinner__text">${text}</span>` : ''}
+                    ${text ? html`<span class="tm-spinner__text">${text}</span>` : ''}
                 </div>
             `;
             
@@ -236,6 +256,18 @@
             indeterminate: false
         };
 
+        static styles = css`
+            .tm-progress { width: 100%; }
+            .tm-progress__track { height: 8px; background: var(--tm-bg-tertiary); border-radius: var(--tm-radius-full); overflow: hidden; }
+            .tm-progress__bar { height: 100%; background: var(--tm-primary); border-radius: var(--tm-radius-full); transition: width var(--tm-transition-slow); position: relative; }
+            .tm-progress__bar--striped { background-image: linear-gradient(45deg, rgba(255,255,255,0.15) 25%, transparent 25%, transparent 50%, rgba(255,255,255,0.15) 50%, rgba(255,255,255,0.15) 75%, transparent 75%, transparent); background-size: 1rem 1rem; }
+            .tm-progress__bar--animated { animation: tm-progress-stripes 1s linear infinite; }
+            .tm-progress__bar--indeterminate { width: 30% !important; animation: tm-progress-indeterminate 1.5s ease-in-out infinite; }
+            .tm-progress--sm .tm-progress__track { height: 4px; }
+            .tm-progress--lg .tm-progress__track { height: 12px; }
+            .tm-progress__label { position: absolute; right: 8px; top: 50%; transform: translateY(-50%); font-size: var(--tm-font-size-xs); color: white; font-weight: 600; }
+        `;
+
         render() {
             const { value, max, size, color, showLabel, striped, animated, indeterminate } = this.props;
             
@@ -255,7 +287,7 @@
                      aria-valuenow="${value}" aria-valuemin="0" aria-valuemax="${max}">
                     <div class="tm-progress__track">
                         <div class="${barClasses}" style="${style}">
-                            ${showLabel && !indeterminate ? `<span class="tm-progress__label">${Math.round(percentage)}%</span>` : ''}
+                            ${showLabel && !indeterminate ? html`<span class="tm-progress__label">${Math.round(percentage)}%</span>` : ''}
                         </div>
                     </div>
                 </div>
@@ -280,6 +312,15 @@
             animated: true
         };
 
+        static styles = css`
+            .tm-skeleton { background: var(--tm-bg-tertiary); border-radius: var(--tm-radius); }
+            .tm-skeleton--animated { background: linear-gradient(90deg, var(--tm-bg-tertiary) 25%, var(--tm-bg-hover) 50%, var(--tm-bg-tertiary) 75%); background-size: 200% 100%; animation: tm-skeleton 1.5s ease-in-out infinite; }
+            .tm-skeleton--circle { border-radius: 50%; }
+            .tm-skeleton-group { display: flex; flex-direction: column; gap: var(--tm-space-sm); }
+            .tm-skeleton-card { border: 1px solid var(--tm-border); border-radius: var(--tm-radius-lg); overflow: hidden; }
+            .tm-skeleton-card__body { padding: var(--tm-space-lg); display: flex; flex-direction: column; gap: var(--tm-space-sm); }
+        `;
+
         render() {
             const { variant, width, height, lines, animated } = this.props;
             
@@ -292,9 +333,9 @@
             if (variant === 'text' && lines > 1) {
                 return html`
                     <div class="tm-skeleton-group tm-component">
-                        ${Array(lines).fill(0).map((_, i) => `
+                        ${Array(lines).fill(0).map((_, i) => html`
                             <div class="${baseClass}" style="width: ${i === lines - 1 ? '70%' : width}; height: ${height || '1em'};"></div>
-                        `).join('')}
+                        `)}
                     </div>
                 `;
             }
@@ -332,6 +373,13 @@
             action: null,      // { text, onClick }
         };
 
+        static styles = css`
+            .tm-empty { display: flex; flex-direction: column; align-items: center; justify-content: center; padding: var(--tm-space-2xl); text-align: center; }
+            .tm-empty__icon { font-size: 48px; margin-bottom: var(--tm-space-md); opacity: 0.5; }
+            .tm-empty__title { font-size: var(--tm-font-size-lg); font-weight: 600; color: var(--tm-text); margin-bottom: var(--tm-space-xs); }
+            .tm-empty__description { font-size: var(--tm-font-size-sm); color: var(--tm-text-muted); margin-bottom: var(--tm-space-lg); }
+        `;
+
         render() {
             const { icon, title, description, action } = this.props;
             
@@ -339,8 +387,8 @@
                 <div class="tm-empty tm-component">
                     <div class="tm-empty__icon">${icon}</div>
                     <div class="tm-empty__title">${title}</div>
-                    ${description ? `<div class="tm-empty__description">${description}</div>` : ''}
-                    ${action ? `
+                    ${description ? html`<div class="tm-empty__description">${description}</div>` : ''}
+                    ${action ? html`
                         <button class="tm-btn tm-btn--primary tm-btn--sm" @click="handleAction">
                             ${action.text}
                         </button>
@@ -7,7 +7,7 @@
     'use strict';
     
     const { Component } = TM;
-    const { html, classNames, escapeAttr } = TM;
+    const { html, classNames, css, deepClone, useForm } = TM;
 
     // ═══════════════════════════════════════════════════════════════
     // BUTTON
@@ -38,8 +38,8 @@
                 !text && icon && 'tm-btn--icon'
             );
 
-            const iconHtml = icon ? `<span class="tm-btn__icon">${icon}</span>` : '';
-            const spinner = '<span class="tm-spinner tm-spinner--sm"></span>';
+            const iconHtml = icon ? html`<span class="tm-btn__icon">${icon}</span>` : '';
+            const spinner = html`<span class="tm-spinner tm-spinner--sm"></span>`;
             
             return html`
                 <button 
@@ -49,7 +49,7 @@
                     @click="handleClick"
                 >
                     ${loading ? spinner : (iconPosition === 'left' ? iconHtml : '')}
-                    ${text ? `<span class="tm-btn__text">${text}</span>` : ''}
+                    ${text ? html`<span class="tm-btn__text">${text}</span>` : ''}
                     ${!loading && iconPosition === 'right' ? iconHtml : ''}
                 </button>
             `;
@@ -69,6 +69,7 @@
     class Input extends Component {
         static defaultProps = {
             type: 'text',
+            name: null,
             value: '',
             placeholder: '',
             label: null,
@@ -86,6 +87,8 @@
             onBlur: null
         };
 
+        static model = { prop: 'value', callback: 'onInput', lazyCallback: 'onChange' };
+
         initialState() {
             return { 
                 value: this.props.value,
@@ -94,7 +97,7 @@
         }
 
         render() {
-            const { type, placeholder, label, helper, error, disabled, readonly, required, size, prefix, suffix } = this.props;
+            const { type, name, placeholder, label, helper, error, disabled, readonly, required, size, prefix, suffix } = this.props;
             const { focused } = this.state;
             
             const wrapperClasses = classNames(
@@ -112,15 +115,16 @@
 
             return html`
                 <div class="tm-form-group tm-component">
-                    ${label ? `<label class="tm-label">${label}${required ? ' <span class="tm-required">*</span>' : ''}</label>` : ''}
+                    ${label ? html`<label class="tm-label">${label}${required ? html` <span class="tm-required">*</span>` : ''}</label>` : ''}
                     <div class="${wrapperClasses}">
-                        ${prefix ? `<span class="tm-input__prefix">${prefix}</span>` : ''}
+                        ${prefix ? html`<span class="tm-input__prefix">${prefix}</span>` : ''}
                         <input
                             ref="input"
                             class="${inputClasses}"
                             type="${type}"
-                            value="${escapeAttr(this.state.value)}"
-                            placeholder="${escapeAttr(placeholder)}"
+                            ${name ? html`name="${name}"` : ''}
+                            value="${this.state.value}"
+                            placeholder="${placeholder}"
                             ${disabled ? 'disabled' : ''}
                             ${readonly ? 'readonly' : ''}
                             ${required ? 'required' : ''}
@@ -129,10 +133,10 @@
                             @focus="handleFocus"
                             @blur="handleBlur"
                         />
-                        ${suffix ? `<span class="tm-input__suffix">${suffix}</span>` : ''}
+                        ${suffix ? html`<span class="tm-input__suffix">${suffix}</span>` : ''}
                     </div>
-                    ${error ? `<span class="tm-error">${error}</span>` : ''}
-                    ${helper && !error ? `<span class="tm-helper">${helper}</span>` : ''}
+                    ${error ? html`<span class="tm-error">${error}</span>` : ''}
+                    ${helper && !error ? html`<span class="tm-helper">${helper}</span>` : ''}
                 </div>
             `;
         }
@@ -194,6 +198,7 @@
     
     class Textarea extends Component {
         static defaultProps = {
+            name: null,
             value: '',
             placeholder: '',
             label: null,
@@ -203,33 +208,38 @@
             rows: 4,
             maxLength: null,
             autoResize: false,
-            onInput: null
+            onInput: null,
+            onBlur: null
         };
 
+        static model = { prop: 'value', callback: 'onInput' };
+
         initialState() {
             return { value: this.props.value };
         }
 
         render() {
-            const { placeholder, label, helper, error, disabled, rows, maxLength, autoResize } = this.props;
+            const { name, placeholder, label, helper, error, disabled, rows, maxLength, autoResize } = this.props;
             const charCount = maxLength ? `${this.state.value.length}/${maxLength}` : '';
             
             return html`
                 <div class="tm-form-group tm-component">
-                    ${label ? `<label class="tm-label">${label}</label>` : ''}
+                    ${label ? html`<label class="tm-label">${label}</label>` : ''}
                     <textarea
                         ref="textarea"
                         class="tm-input tm-textarea ${error ? 'tm-input--error' : ''}"
-                        placeholder="${escapeAttr(placeholder)}"
+                        ${name ? html`name="${name}"` : ''}
+                        placeholder="${placeholder}"
                         rows="${rows}"
                         ${disabled ? 'disabled' : ''}
-                        ${maxLength ? `maxlength="${maxLength}"` : ''}
+                        ${maxLength ? html`maxlength="${maxLength}"` : ''}
                         @input="handleInput"
-                    >${escapeAttr(this.state.value)}</textarea>
+                        @blur="handleBlur"
+                    >${this.state.value}</textarea>
                     <div class="tm-textarea__footer">
-                        ${error ? `<span class="tm-error">${error}</span>` : ''}
-                        ${helper && !error ? `<span class="tm-helper">${helper}</span>` : ''}
-                        ${maxLength ? `<span class="tm-helper tm-textarea__count">${charCount}</span>` : ''}
+                        ${error ? html`<span class="tm-error">${error}</span>` : ''}
+                        ${helper && !error ? html`<span class="tm-helper">${helper}</span>` : ''}
+                        ${maxLength ? html`<span class="tm-helper tm-textarea__count">${charCount}</span>` : ''}
                     </div>
                 </div>
             `;
@@ -247,6 +257,10 @@
             this.emit('input', { value: e.target.value });
         }
 
+        handleBlur(e) {
+            this.props.onBlur?.(e);
+        }
+
         getValue() { return this.state.value; }
         setValue(val) { this.state.value = val; }
         focus() { this.refs.textarea?.focus(); }
@@ -258,6 +272,7 @@
     
     class Select extends Component {
         static defaultProps = {
+            name: null,
             value: '',
             options: [],  // [{ value, label, disabled }] or ['string']
             label: null,
@@ -267,9 +282,12 @@
             disabled: false,
             required: false,
             searchable: false,
-            onChange: null
+            onChange: null,
+            onBlur: null
         };
 
+        static model = { prop: 'value', callback: 'onChange' };
+
         initialState() {
             return { 
                 value: this.props.value,
@@ -279,7 +297,7 @@
         }
 
         render() {
-            const { options, label, placeholder, helper, error, disabled, required } = this.props;
+            const { name, options, label, placeholder, helper, error, disabled, required } = this.props;
             
             const normalizedOptions = options.map(opt => 
                 typeof opt === 'object' ? opt : { value: opt, label: opt }
@@ -288,24 +306,26 @@
             const optionsHtml = normalizedOptions.map(opt => {
                 const selected = opt.value === this.state.value ? 'selected' : '';
                 const optDisabled = opt.disabled ? 'disabled' : '';
-                return `<option value="${escapeAttr(opt.value)}" ${selected} ${optDisabled}>${escapeAttr(opt.label)}</option>`;
-            }).join('');
+                return html`<option value="${opt.value}" ${selected} ${optDisabled}>${opt.label}</option>`;
+            });
 
             return html`
                 <div class="tm-form-group tm-component">
-                    ${label ? `<label class="tm-label">${label}${required ? ' <span class="tm-required">*</span>' : ''}</label>` : ''}
+                    ${label ? html`<label class="tm-label">${label}${required ? html` <span class="tm-required">*</span>` : ''}</label>` : ''}
                     <select 
                         ref="select"
                         class="tm-input tm-select ${error ? 'tm-input--error' : ''}"
+                        ${name ? html`name="${name}"` : ''}
                         ${disabled ? 'disabled' : ''}
                         ${required ? 'required' : ''}
                         @change="handleChange"
+                        @blur="handleBlur"
                     >
-                        <option value="" disabled hidden ${!this.state.value ? 'selected' : ''}>${escapeAttr(placeholder)}</option>
+                        <option value="" disabled hidden ${!this.state.value ? 'selected' : ''}>${placeholder}</option>
                         ${optionsHtml}
                     </select>
-                    ${error ? `<span class="tm-error">${error}</span>` : ''}
-                    ${helper && !error ? `<span class="tm-helper">${helper}</span>` : ''}
+                    ${error ? html`<span class="tm-error">${error}</span>` : ''}
+                    ${helper && !error ? html`<span class="tm-helper">${helper}</span>` : ''}
                 </div>
             `;
         }
@@ -316,6 +336,10 @@
             this.emit('change', { value: e.target.value });
         }
 
+        handleBlur(e) {
+            this.props.onBlur?.(e);
+        }
+
         getValue() { return this.state.value; }
         setValue(val) { this.state.value = val; }
     }
@@ -326,6 +350,7 @@
     
     class Checkbox extends Component {
         static defaultProps = {
+            name: null,
             checked: false,
             label: '',
             disabled: false,
@@ -333,12 +358,20 @@
             onChange: null
         };
 
+        static model = { prop: 'checked', callback: 'onChange' };
+
+        static styles = css`
+            .tm-checkbox { display: inline-flex; align-items: center; gap: var(--tm-space-sm); cursor: pointer; user-select: none; }
+            .tm-checkbox__input { width: 16px; height: 16px; margin: 0; accent-color: var(--tm-primary); cursor: pointer; }
+            .tm-checkbox--disabled { opacity: 0.5; cursor: not-allowed; }
+        `;
+
         initialState() {
             return { checked: this.props.checked };
         }
 
         render() {
-            const { label, disabled, indeterminate } = this.props;
+            const { name, label, disabled, indeterminate } = this.props;
             
             return html`
                 <label class="tm-checkbox tm-component ${disabled ? 'tm-checkbox--disabled' : ''}">
@@ -346,12 +379,13 @@
                         ref="checkbox"
                         type="checkbox"
                         class="tm-checkbox__input"
+                        ${name ? html`name="${name}"` : ''}
                         ${this.state.checked ? 'checked' : ''}
                         ${disabled ? 'disabled' : ''}
                         @change="handleChange"
                     />
                     <span class="tm-checkbox__box ${indeterminate ? 'tm-checkbox__box--indeterminate' : ''}"></span>
-                    ${label ? `<span class="tm-checkbox__label">${label}</span>` : ''}
+                    ${label ? html`<span class="tm-checkbox__label">${label}</span>` : ''}
                 </label>
             `;
         }
@@ -373,6 +407,7 @@
     
     class Switch extends Component {
         static defaultProps = {
+            name: null,
             checked: false,
             label: '',
             labelPosition: 'right',  // left, right
@@ -381,14 +416,26 @@
             onChange: null
         };
 
+        static model = { prop: 'checked', callback: 'onChange' };
+
+        static styles = css`
+            .tm-switch { display: inline-flex; align-items: center; gap: var(--tm-space-sm); cursor: pointer; user-select: none; }
+            .tm-switch--disabled { opacity: 0.5; cursor: not-allowed; }
+            .tm-switch__track { position: relative; width: 40px; height: 22px; background: var(--tm-bg-hover); border-radius: var(--tm-radius-full); transition: background var(--tm-transition); }
+            .tm-switch__thumb { position: absolute; top: 2px; left: 2px; width: 18px; height: 18px; background: white; border-radius: 50%; box-shadow: var(--tm-shadow-sm); transition: transform var(--tm-transition); }
+            .tm-switch__input { position: absolute; opacity: 0; width: 0; height: 0; margin: 0; }
+            .tm-switch__input:checked + .tm-switch__track { background: var(--tm-primary); }
+            .tm-switch__input:checked + .tm-switch__track .tm-switch__thumb { transform: translateX(18px); }
+        `;
+
         initialState() {
             return { checked: this.props.checked };
         }
 
         render() {
-            const { label, labelPosition, disabled, size } = this.props;
+            const { name, label, labelPosition, disabled, size } = this.props;
             
-            const labelHtml = label ? `<span class="tm-switch__label">${label}</span>` : '';
+            const labelHtml = label ? html`<span class="tm-switch__label">${label}</span>` : '';
             
             return html`
                 <label class="tm-switch tm-component tm-switch--${size} ${disabled ? 'tm-switch--disabled' : ''}">
@@ -397,6 +444,7 @@
                         ref="switch"
                         type="checkbox"
                         class="tm-switch__input"
+                        ${name ? html`name="${name}"` : ''}
                         ${this.state.checked ? 'checked' : ''}
                         ${disabled ? 'disabled' : ''}
                         @change="handleChange"
@@ -420,6 +468,123 @@
         toggle() { this.state.checked = !this.state.checked; }
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // FORM
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Component rendered for each field type (anything else is an Input type)
+    const FIELD_COMPONENTS = {
+        textarea: 'Textarea',
+        select: 'Select',
+        checkbox: 'Checkbox',
+        switch: 'Switch'
+    };
+
+    class Form extends Component {
+        static defaultProps = {
+            fields: [],         // [{ name, type, label, placeholder, helper, options, rules, props }]
+            initialValues: {},
+            rules: {},          // Extra rules by field name (see TM.useForm)
+            submitText: 'Guardar',
+            resetText: null,    // Shows a reset button when set
+            onSubmit: null,     // (values, form) => void|Promise
+            onReset: null
+        };
+
+        static styles = css`
+            .tm-form__actions { display: flex; justify-content: flex-end; gap: var(--tm-space-sm); }
+        `;
+
+        initialState() {
+            const values = {};
+            this.props.fields.forEach(({ name, type }) => {
+                values[name] = type === 'checkbox' || type === 'switch' ? false : '';
+            });
+            
+            return { values: { ...values, ...deepClone(this.props.initialValues) } };
+        }
+
+        /** useForm instance validating state.values */
+        get form() {
+            if (!this._form) {
+                const rules = {};
+                this.props.fields.forEach(field => {
+                    if (field.rules) rules[field.name] = field.rules;
+                });
+                
+                this._form = useForm({
+                    values: this.state.values,
+                    rules: { ...rules, ...this.props.rules },
+                    root: () => this._el,
+                    onSubmit: (values, form) => this.props.onSubmit?.(values, form)
+                });
+            }
+            return this._form;
+        }
+
+        render() {
+            const { fields, submitText, resetText } = this.props;
+            const { submitting } = this.form;
+            
+            return html`
+                <form class="tm-form tm-component" novalidate @submit="handleSubmit">
+                    ${fields.map(field => this._renderField(field))}
+                    <div class="tm-form__actions">
+                        ${resetText ? html`<tm-child is="Button" key="reset" :props="${this.bindProps({
+                            text: resetText,
+                            variant: 'secondary',
+                            disabled: submitting,
+                            onClick: () => this.reset()
+                        })}"></tm-child>` : ''}
+                        <tm-child is="Button" key="submit" :props="${this.bindProps({
+                            text: submitText,
+                            type: 'submit',
+                            loading: submitting
+                        })}"></tm-child>
+                    </div>
+                </form>
+            `;
+        }
+
+        _renderField({ name, type = 'text', rules, props, ...rest }) {
+            const is = FIELD_COMPONENTS[type] ?? 'Input';
+            const touch = () => this.form.touch(name);
+            
+            const fieldProps = {
+                ...rest,
+                name,
+                error: this.form.error(name),
+                required: this.form.field(name).required,
+                onBlur: touch,
+                ...(is === 'Input' && { type }),
+                ...((is === 'Checkbox' || is === 'Switch') && { onChange: touch }),
+                ...props
+            };
+            
+            const model = type === 'number' ? 'model.number' : 'model';
+            
+            return html`<tm-child is="${is}" key="field-${name}" ${model}="values.${name}" :props="${this.bindProps(fieldProps)}"></tm-child>`;
+        }
+
+        handleSubmit(e) {
+            return this.form.submit(e);
+        }
+
+        onDestroy() {
+            this._form?.dispose();
+        }
+
+        // Public API
+        submit() { return this.form.submit(); }
+        validate() { return this.form.validate(); }
+        reset(values) {
+            this.form.reset(values);
+            this.props.onReset?.();
+        }
+        getValues() { return deepClone(this.state.values); }
+        setValues(values) { Object.assign(this.state.values, values); }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // EXPORT
     // ═══════════════════════════════════════════════════════════════
@@ -430,5 +595,6 @@
     TM.Select = Select;
     TM.Checkbox = Checkbox;
     TM.Switch = Switch;
+    TM.Form = Form;
 
 })();
\ No newline at end of file
@@ -7,7 +7,7 @@
     'use strict';
     
     const { Component } = TM;
-    const { html, classNames, uid } = TM;
+    const { html, classNames, uid, css } = TM;
 
     // ═══════════════════════════════════════════════════════════════
     // CARD
@@ -26,6 +26,26 @@
             headerAction: null  // { icon, onClick }
         };
 
+        static styles = css`
+            .tm-card { background: var(--tm-bg); border-radius: var(--tm-radius-lg); }
+            .tm-card--bordered { border: 1px solid var(--tm-border); }
+            .tm-card--shadow-sm { box-shadow: var(--tm-shadow-sm); }
+            .tm-card--shadow-md { box-shadow: var(--tm-shadow); }
+            .tm-card--shadow-lg { box-shadow: var(--tm-shadow-lg); }
+            .tm-card--hoverable { transition: box-shadow var(--tm-transition), transform var(--tm-transition); cursor: pointer; }
+            .tm-card--hoverable:hover { box-shadow: var(--tm-shadow-lg); transform: translateY(-2px); }
+            .tm-card--padding-sm .tm-card__body { padding: var(--tm-space-sm); }
+            .tm-card--padding-md .tm-card__body { padding: var(--tm-space-lg); }
+            .tm-card--padding-lg .tm-card__body { padding: var(--tm-space-xl); }
+            .tm-card--padding-none .tm-card__body { padding: 0; }
+            .tm-card__header { display: flex; align-items: center; gap: var(--tm-space-md); padding: var(--tm-space-md) var(--tm-space-lg); border-bottom: 1px solid var(--tm-border); }
+            .tm-card__icon { font-size: var(--tm-font-size-xl); }
+            .tm-card__header-content { flex: 1; min-width: 0; }
+            .tm-card__title { margin: 0; font-size: var(--tm-font-size); font-weight: 600; }
+            .tm-card__subtitle { margin: 0; font-size: var(--tm-font-size-sm); color: var(--tm-text-secondary); }
+            .tm-card__footer { padding: var(--tm-space-md) var(--tm-space-lg); border-top: 1px solid var(--tm-border); background: var(--tm-bg-secondary); }
+        `;
+
         render() {
             const { title, subtitle, icon, footer, hoverable, bordered, shadow, padding, headerAction } = this.props;
             
@@ -41,14 +61,14 @@
 
             return html`
                 <div class="${classes}">
-                    ${hasHeader ? `
+                    ${hasHeader ? html`
                         <div class="tm-card__header">
-                            ${icon ? `<span class="tm-card__icon">${icon}</span>` : ''}
+                            ${icon ? html`<span class="tm-card__icon">${icon}</span>` : ''}
                             <div class="tm-card__header-content">
-                                ${title ? `<h3 class="tm-card__title">${title}</h3>` : ''}
-                                ${subtitle ? `<p class="tm-card__subtitle">${subtitle}</p>` : ''}
+                                ${title ? html`<h3 class="tm-card__title">${title}</h3>` : ''}
+                                ${subtitle ? html`<p class="tm-card__subtitle">${subtitle}</p>` : ''}
                             </div>
-                            ${headerAction ? `
+                            ${headerAction ? html`
                                 <button class="tm-btn tm-btn--ghost tm-btn--icon tm-btn--sm" @click="handleHeaderAction">
                                     ${headerAction.icon || '⋮'}
                                 </button>
@@ -56,25 +76,21 @@
                         </div>
                     ` : ''}
                     <div class="tm-card__body" ref="body">
-                        <!-- Content -->
+                        <slot></slot>
                     </div>
-                    ${footer ? `<div class="tm-card__footer">${footer}</div>` : ''}
+                    ${footer || this.hasSlot('footer') ? html`
+                        <div class="tm-card__footer">${footer}<slot name="footer"></slot></div>
+                    ` : ''}
                 </div>
             `;
         }
 
+        /**
+         * Replace the body content (same as setSlot('default', content))
+         * @param {string|SafeHtml|Component|HTMLElement} content
+         */
         setContent(content) {
-            if (!this.refs.body) return;
-            
-            if (typeof content === 'string') {
-                this.refs.body.innerHTML = content;
-            } else if (content instanceof Component) {
-                this.refs.body.innerHTML = '';
-                content.mount(this.refs.body);
-            } else if (content instanceof HTMLElement) {
-                this.refs.body.innerHTML = '';
-                this.refs.body.appendChild(content);
-            }
+            this.setSlot('default', content);
         }
 
         handleHeaderAction(e) {
@@ -97,6 +113,16 @@
             onChange: null
         };
 
+        static styles = css`
+            .tm-tabs__nav { display: flex; border-bottom: 1px solid var(--tm-border); overflow-x: auto; }
+            .tm-tabs__nav--centered { justify-content: center; }
+            .tm-tabs__tab { display: flex; align-items: center; gap: var(--tm-space-sm); padding: var(--tm-space-md) var(--tm-space-lg); font-size: var(--tm-font-size); color: var(--tm-text-secondary); background: none; border: none; border-bottom: 2px solid transparent; cursor: pointer; transition: all var(--tm-transition); white-space: nowrap; }
+            .tm-tabs__tab:hover:not(:disabled) { color: var(--tm-text); }
+            .tm-tabs__tab--active { color: var(--tm-primary); border-bottom-color: var(--tm-primary); }
+            .tm-tabs__tab--disabled { opacity: 0.5; cursor: not-allowed; }
+            .tm-tabs__content { padding: var(--tm-space-lg) 0; }
+        `;
+
         initialState() {
             return {
                 activeKey: this.props.activeKey || this.props.tabs[0]?.key
@@ -119,19 +145,19 @@
             return html`
                 <div class="tm-tabs tm-component">
                     <div class="${navClasses}" role="tablist">
-                        ${tabs.map(tab => `
+                        ${tabs.map(tab => html`
                             <button 
                                 class="tm-tabs__tab ${tab.key === activeKey ? 'tm-tabs__tab--active' : ''} ${tab.disabled ? 'tm-tabs__tab--disabled' : ''}"
                                 role="tab"
                                 data-key="${tab.key}"
-                                aria-selected="${tab.key === activeKey}"
+                                aria-selected="${String(tab.key === activeKey)}"
                                 ${tab.disabled ? 'disabled' : ''}
                                 @click="handleTabClick"
                             >
-                                ${tab.icon ? `<span class="tm-tabs__icon">${tab.icon}</span>` : ''}
+                                ${tab.icon ? html`<span class="tm-tabs__icon">${tab.icon}</span>` : ''}
                                 <span class="tm-tabs__label">${tab.label}</span>
                             </button>
-                        `).join('')}
+                        `)}
                     </div>
                     <div class="tm-tabs__content" ref="content" role="tabpanel">
                         ${activeTab?.content || ''}
@@ -179,6 +205,19 @@
             onChange: null
         };
 
+        static styles = css`
+            .tm-accordion { border: 1px solid var(--tm-border); border-radius: var(--tm-radius-lg); overflow: hidden; }
+            .tm-accordion__item { border-bottom: 1px solid var(--tm-border); }
+            .tm-accordion__item:last-child { border-bottom: none; }
+            .tm-accordion__header { display: flex; align-items: center; gap: var(--tm-space-md); width: 100%; padding: var(--tm-space-md) var(--tm-space-lg); font-size: var(--tm-font-size); font-weight: 500; text-align: left; background: none; border: none; cursor: pointer; transition: background var(--tm-transition); }
+            .tm-accordion__header:hover { background: var(--tm-bg-secondary); }
+            .tm-accordion__title { flex: 1; }
+            .tm-accordion__arrow { transition: transform var(--tm-transition); }
+            .tm-accordion__item--active .tm-accordion__arrow { transform: rotate(180deg); }
+            .tm-accordion__content { overflow: hidden; }
+            .tm-accordion__body { padding: 0 var(--tm-space-lg) var(--tm-space-lg); }
+        `;
+
         initialState() {
             return {
                 activeKeys: this.props.activeKeys
@@ -195,7 +234,7 @@
 
             return html`
                 <div class="${classes}">
-                    ${items.map(item => this.renderItem(item)).join('')}
+                    ${items.map(item => this.renderItem(item))}
                 </div>
             `;
         }
@@ -212,7 +251,7 @@
             return html`
                 <div class="${itemClasses}" data-key="${item.key}">
                     <button class="tm-accordion__header" @click="handleHeaderClick" ${item.disabled ? 'disabled' : ''}>
-                        ${item.icon ? `<span class="tm-accordion__icon">${item.icon}</span>` : ''}
+                        ${item.icon ? html`<span class="tm-accordion__icon">${item.icon}</span>` : ''}
                         <span class="tm-accordion__title">${item.title}</span>
                         <span class="tm-accordion__arrow">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -296,6 +335,19 @@
             onClick: null
         };
 
+        static styles = css`
+            .tm-fab-wrapper { display: flex; flex-direction: column; align-items: center; gap: var(--tm-space-md); }
+            .tm-fab { width: 56px; height: 56px; border-radius: 50%; box-shadow: var(--tm-shadow-lg); transition: all var(--tm-transition); }
+            .tm-fab:hover { box-shadow: var(--tm-shadow-xl); transform: scale(1.05); }
+            .tm-fab--sm { width: 40px; height: 40px; font-size: var(--tm-font-size-sm); }
+            .tm-fab--lg { width: 72px; height: 72px; font-size: var(--tm-font-size-xl); }
+            .tm-fab--extended { width: auto; border-radius: var(--tm-radius-full); padding: 0 var(--tm-space-lg); }
+            .tm-fab__icon { transition: transform var(--tm-transition); }
+            .tm-fab__icon--rotate { transform: rotate(45deg); }
+            .tm-fab__actions { display: flex; flex-direction: column; gap: var(--tm-space-sm); opacity: 0; transform: translateY(20px); pointer-events: none; transition: all var(--tm-transition-slow); }
+            .tm-fab__actions--visible { opacity: 1; transform: translateY(0); pointer-events: all; }
+        `;
+
         initialState() {
             return { 
                 expanded: false 
@@ -318,9 +370,9 @@
 
             return html`
                 <div class="tm-fab-wrapper" style="${positionStyles}">
-                    ${actions.length ? `
+                    ${actions.length ? html`
                         <div class="tm-fab__actions ${expanded ? 'tm-fab__actions--visible' : ''}">
-                            ${actions.map((action, i) => `
+                            ${actions.map((action, i) => html`
                                 <button 
                                     class="tm-fab tm-fab--${variant} tm-fab--sm tm-fab__action"
                                     data-index="${i}"
@@ -330,12 +382,12 @@
                                 >
                                     ${action.icon}
                                 </button>
-                            `).join('')}
+                            `)}
                         </div>
                     ` : ''}
                     <button class="${classes}" title="${tooltip}" @click="handleClick">
                         <span class="tm-fab__icon ${expanded ? 'tm-fab__icon--rotate' : ''}">${icon}</span>
-                        ${extended && text ? `<span class="tm-fab__text">${text}</span>` : ''}
+                        ${extended && text ? html`<span class="tm-fab__text">${text}</span>` : ''}
                     </button>
                 </div>
             `;
@@ -395,6 +447,17 @@
             dashed: false
         };
 
+        static styles = css`
+            .tm-divider { display: flex; align-items: center; color: var(--tm-text-muted); font-size: var(--tm-font-size-sm); }
+            .tm-divider--horizontal { width: 100%; margin: var(--tm-space-lg) 0; }
+            .tm-divider--horizontal::before, .tm-divider--horizontal::after { content: ''; flex: 1; height: 1px; background: var(--tm-border); }
+            .tm-divider--dashed::before, .tm-divider--dashed::after { border-top: 1px dashed var(--tm-border); background: none; }
+            .tm-divider__text { padding: 0 var(--tm-space-md); }
+            .tm-divider--text-left::before { flex: 0 0 20px; }
+            .tm-divider--text-right::after { flex: 0 0 20px; }
+            .tm-divider--vertical { height: auto; align-self: stretch; width: 1px; background: var(--tm-border); margin: 0 var(--tm-space-md); }
+        `;
+
         render() {
             const { text, orientation, textPosition, dashed } = this.props;
             
@@ -406,12 +469,12 @@
             );
 
             if (orientation === 'vertical') {
-                return `<span class="${classes}"></span>`;
+                return html`<span class="${classes}"></span>`;
             }
 
             return html`
                 <div class="${classes}">
-                    ${text ? `<span class="tm-divider__text">${text}</span>` : ''}
+                    ${text ? html`<span class="tm-divider__text">${text}</span>` : ''}
                 </div>
             `;
         }
@@ -7,7 +7,12 @@
     'use strict';
     
     const { Component } = TM;
-    const { html, classNames, uid } = TM;
+    const { html, classNames, uid, css } = TM;
+
+    /** Backdrop shared by Modal and Drawer */
+    const overlayStyles = css`
+        .tm-overlay { position: fixed; inset: 0; background: var(--tm-overlay); display: flex; align-items: center; justify-content: center; z-index: 10000; animation: tm-fade-in var(--tm-transition); }
+    `;
 
     // ═══════════════════════════════════════════════════════════════
     // MODAL
@@ -33,6 +38,15 @@
             onOpen: null
         };
 
+        static styles = [overlayStyles, css`
+            .tm-modal { background: var(--tm-bg); border-radius: var(--tm-radius-xl); box-shadow: var(--tm-shadow-xl); max-width: 90vw; max-height: 90vh; overflow: hidden; display: flex; flex-direction: column; animation: tm-slide-up var(--tm-transition-slow); }
+            .tm-modal__header { display: flex; align-items: center; justify-content: space-between; padding: var(--tm-space-lg); border-bottom: 1px solid var(--tm-border); }
+            .tm-modal__title { margin: 0; font-size: var(--tm-font-size-lg); font-weight: 600; color: var(--tm-text); }
+            .tm-modal__close { margin-left: auto; }
+            .tm-modal__body { padding: var(--tm-space-lg); overflow-y: auto; flex: 1; }
+            .tm-modal__footer { display: flex; justify-content: flex-end; gap: var(--tm-space-sm); padding: var(--tm-space-lg); border-top: 1px solid var(--tm-border); }
+        `];
+
         initialState() {
             return { 
                 visible: false,
@@ -68,7 +82,7 @@
                     <div class="tm-modal" style="width: ${width}; max-height: ${maxHeight};" @click="stopPropagation">
                         <div class="tm-modal__header">
                             <h3 class="tm-modal__title">${title}</h3>
-                            ${closable ? `
+                            ${closable ? html`
                                 <button class="tm-btn tm-btn--ghost tm-btn--icon tm-modal__close" @click="handleClose">
                                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <path d="M18 6L6 18M6 6l12 12"/>
@@ -77,17 +91,17 @@
                             ` : ''}
                         </div>
                         <div class="tm-modal__body" ref="body">
-                            <!-- Content -->
+                            <slot></slot>
                         </div>
                         ${footer ? html`
                             <div class="tm-modal__footer">
-                                ${showCancel ? `
+                                ${showCancel ? html`
                                     <button class="tm-btn tm-btn--secondary" @click="handleCancel" ${loading ? 'disabled' : ''}>
                                         ${cancelText}
                                     </button>
                                 ` : ''}
                                 <button class="tm-btn tm-btn--${confirmVariant}" @click="handleConfirm" ${confirmLoading ? 'disabled' : ''}>
-                                    ${confirmLoading ? '<span class="tm-spinner tm-spinner--sm"></span>' : ''}
+                                    ${confirmLoading ? html`<span class="tm-spinner tm-spinner--sm"></span>` : ''}
                                     ${confirmText}
                                 </button>
                             </div>
@@ -122,23 +136,11 @@
 
         /**
          * Updates the modal body content
-         * @param {string|Component|HTMLElement} content - New content to display
+         * @param {string|SafeHtml|Component|HTMLElement} content - New content to display (strings are markup)
          */
         setContent(content) {
-            requestAnimationFrame(() => {
-                if (!this.refs.body) return;
-
-                if (typeof content === 'string') {
-                    this.refs.body.innerHTML = content;
-                } else if (content instanceof Component) {
-                    this.refs.body.innerHTML = '';
-                    content.mount(this.refs.body);
-                    this.addChild('content', content);
-                } else if (content instanceof HTMLElement) {
-                    this.refs.body.innerHTML = '';
-                    this.refs.body.appendChild(content);
-                }
-            });
+            if (content instanceof Component) this.addChild('content', content);
+            this.setSlot('default', content);
         }
 
         /**
@@ -205,6 +207,18 @@
             onClose: null
         };
 
+        static styles = [overlayStyles, css`
+            .tm-drawer { position: fixed; background: var(--tm-bg); box-shadow: var(--tm-shadow-xl); display: flex; flex-direction: column; animation: tm-slide-in var(--tm-transition-slow); }
+            .tm-drawer--right { top: 0; right: 0; height: 100%; }
+            .tm-drawer--left { top: 0; left: 0; height: 100%; }
+            .tm-drawer--top { top: 0; left: 0; width: 100%; }
+            .tm-drawer--bottom { bottom: 0; left: 0; width: 100%; }
+            .tm-drawer__header { display: flex; align-items: center; justify-content: space-between; padding: var(--tm-space-lg); border-bottom: 1px solid var(--tm-border); }
+            .tm-drawer__title { margin: 0; font-size: var(--tm-font-size-lg); font-weight: 600; }
+            .tm-drawer__body { padding: var(--tm-space-lg); overflow-y: auto; flex: 1; }
+            .tm-drawer__footer { display: flex; justify-content: flex-end; gap: var(--tm-space-sm); padding: var(--tm-space-lg); border-top: 1px solid var(--tm-border); }
+        `];
+
         initialState() {
             return { visible: false };
         }
@@ -238,14 +252,16 @@
                     <div class="tm-drawer tm-drawer--${position}" style="${sizeStyle}">
                         <div class="tm-drawer__header">
                             <h3 class="tm-drawer__title">${title}</h3>
-                            ${closable ? `
+                            ${closable ? html`
                                 <button class="tm-btn tm-btn--ghost tm-btn--icon" @click="handleClose">✕</button>
                             ` : ''}
                         </div>
                         <div class="tm-drawer__body" ref="body">
-                            <!-- Content -->
+                            <slot></slot>
                         </div>
-                        ${footer ? '<div class="tm-drawer__footer" ref="footer"></div>' : ''}
+                        ${footer || this.hasSlot('footer') ? html`
+                            <div class="tm-drawer__footer" ref="footer"><slot name="footer"></slot></div>
+                        ` : ''}
                     </div>
                 </div>
             `;
@@ -264,20 +280,12 @@
             this.emit('close');
         }
 
+        /**
+         * Replace the body content (same as setSlot('default', content))
+         * @param {string|SafeHtml|Component|HTMLElement} content
+         */
         setContent(content) {
-            requestAnimationFrame(() => {
-                if (!this.refs.body) return;
-                
-                if (typeof content === 'string') {
-                    this.refs.body.innerHTML = content;
-                } else if (content instanceof Component) {
-                    this.refs.body.innerHTML = '';
-                    content.mount(this.refs.body);
-                } else if (content instanceof HTMLElement) {
-                    this.refs.body.innerHTML = '';
-                    this.refs.body.appendChild(content);
-                }
-            });
+            this.setSlot('default', content);
         }
 
         handleOverlayClick(e) {
@@ -315,7 +323,7 @@
                     <div class="tm-tooltip-trigger" ref="trigger">
                         <slot></slot>
                     </div>
-                    ${this.state.visible ? `
+                    ${this.state.visible ? html`
                         <div class="tm-tooltip tm-tooltip--${position}" ref="tooltip">
                             <div class="tm-tooltip__content">${text}</div>
                             <div class="tm-tooltip__arrow"></div>
@@ -356,6 +364,18 @@
             onSelect: null
         };
 
+        static styles = css`
+            .tm-context-overlay { position: fixed; inset: 0; z-index: 10000; }
+            .tm-context-menu { position: fixed; min-width: 160px; background: var(--tm-bg); border: 1px solid var(--tm-border); border-radius: var(--tm-radius-lg); box-shadow: var(--tm-shadow-lg); padding: var(--tm-space-xs) 0; animation: tm-fade-in var(--tm-transition-fast); }
+            .tm-context-menu__item { display: flex; align-items: center; gap: var(--tm-space-sm); padding: var(--tm-space-sm) var(--tm-space-md); font-size: var(--tm-font-size-sm); cursor: pointer; transition: background var(--tm-transition-fast); }
+            .tm-context-menu__item:hover { background: var(--tm-bg-hover); }
+            .tm-context-menu__item--disabled { opacity: 0.5; cursor: not-allowed; }
+            .tm-context-menu__icon { width: 16px; text-align: center; }
+            .tm-context-menu__label { flex: 1; }
+            .tm-context-menu__shortcut { color: var(--tm-text-muted); font-size: var(--tm-font-size-xs); }
+            .tm-context-menu__divider { height: 1px; background: var(--tm-border); margin: var(--tm-space-xs) 0; }
+        `;
+
         initialState() {
             return { 
                 visible: false,
@@ -375,7 +395,7 @@
             return html`
                 <div class="tm-context-overlay" @click="close" @contextmenu="preventContext">
                     <div class="tm-context-menu tm-component" style="left: ${x}px; top: ${y}px;">
-                        ${items.map((item, i) => this.renderItem(item, i)).join('')}
+                        ${items.map((item, i) => this.renderItem(item, i))}
                     </div>
                 </div>
             `;
@@ -383,16 +403,16 @@
 
         renderItem(item, index) {
             if (item.divider) {
-                return '<div class="tm-context-menu__divider"></div>';
+                return html`<div class="tm-context-menu__divider"></div>`;
             }
             
             const disabled = item.disabled ? 'tm-context-menu__item--disabled' : '';
             
             return html`
                 <div class="tm-context-menu__item ${disabled}" data-index="${index}" @click="handleItemClick">
-                    ${item.icon ? `<span class="tm-context-menu__icon">${item.icon}</span>` : ''}
+                    ${item.icon ? html`<span class="tm-context-menu__icon">${item.icon}</span>` : ''}
                     <span class="tm-context-menu__label">${item.label}</span>
-                    ${item.shortcut ? `<span class="tm-context-menu__shortcut">${item.shortcut}</span>` : ''}
+                    ${item.shortcut ? html`<span class="tm-context-menu__shortcut">${item.shortcut}</span>` : ''}
                 </div>
             `;
         }
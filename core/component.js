@@ -6,17 +6,232 @@
 const TMComponent = (function() {
     'use strict';
 
-    const { reactive } = TMReactive;
+    const { reactive, effect } = TMReactive;
+    const { morph, morphChildren } = TMMorph;
+    const { queueUpdate, nextTick } = TMScheduler;
 
     // Counter for unique component IDs
     let _componentCounter = 0;
 
+    // Handlers registered with TM.onError
+    const errorHandlers = new Set();
+
+    /**
+     * Register a handler for component errors that no boundary handled
+     * @param {Function} handler - (error, info) => void
+     * @returns {Function} Unregister function
+     *
+     * @example
+     * TM.onError((error, { component, source }) => {
+     *     TM.toast.error(`${component.constructor.name}: ${error.message}`);
+     * });
+     */
+    function onError(handler) {
+        errorHandlers.add(handler);
+        return () => errorHandlers.delete(handler);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SLOTS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Turn slot content into the nodes to project. Strings are markup
+     * (as in setContent); components are mounted off-document first.
+     * @param {Node|Component|string|SafeHtml|Array|null} content
+     * @returns {Node[]}
+     */
+    function toNodes(content) {
+        if (content == null || content === false) return [];
+        if (Array.isArray(content)) return content.flatMap(toNodes);
+        
+        if (content instanceof Component) {
+            if (!content._mounted) content.mount(document.createDocumentFragment());
+            return [content._host || content._el];
+        }
+        
+        if (content instanceof DocumentFragment) return Array.from(content.childNodes);
+        if (content instanceof Node) return [content];
+        
+        const template = document.createElement('template');
+        template.innerHTML = String(content);
+        return Array.from(template.content.childNodes);
+    }
+
+    /**
+     * Take the content a parent template placed inside a `<tm-child>` host,
+     * grouped by slot (`slot="name"` on elements, 'default' otherwise)
+     * @param {HTMLElement} host
+     * @returns {Object<string, Node[]>|null} null when the host is empty
+     */
+    function takeSlotContent(host) {
+        const slots = {};
+        
+        Array.from(host.childNodes).forEach(node => {
+            host.removeChild(node);
+            if (node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim()) return;
+            
+            const name = (node.nodeType === Node.ELEMENT_NODE && node.getAttribute('slot')) || 'default';
+            (slots[name] ??= []).push(node);
+        });
+        
+        return Object.keys(slots).length ? slots : null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MODEL BINDINGS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Read and remove a `model` / `model.number.trim` attribute
+     * @param {HTMLElement} node
+     * @returns {{path: string, modifiers: Set<string>}|null}
+     */
+    function takeModelAttribute(node) {
+        const attr = Array.from(node.attributes).find(a => a.name === 'model' || a.name.startsWith('model.'));
+        if (!attr) return null;
+        
+        node.removeAttribute(attr.name);
+        return {
+            path: attr.value.trim(),
+            modifiers: new Set(attr.name.split('.').slice(1))
+        };
+    }
+
+    function getPath(obj, path) {
+        return path.split('.').reduce((value, key) => value?.[key], obj);
+    }
+
+    function setPath(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((value, key) => value?.[key], obj);
+        
+        if (target == null) {
+            TMLogger.Logger.warn('Component', `Cannot bind model "${path}": parent object is missing`);
+            return;
+        }
+        if (target[last] !== value) target[last] = value;
+    }
+
+    /**
+     * Apply `.trim` / `.number` to a value coming from the DOM
+     * @param {*} value
+     * @param {Set<string>} modifiers
+     * @param {boolean} [numeric] - Treat as `.number` (type="number" inputs)
+     * @returns {*}
+     */
+    function parseModelValue(value, modifiers, numeric = false) {
+        if (typeof value !== 'string') return value;
+        if (modifiers.has('trim')) value = value.trim();
+        if (modifiers.has('number') || numeric) {
+            const number = parseFloat(value);
+            return isNaN(number) ? value : number;
+        }
+        return value;
+    }
+
+    function isNumericInput(node) {
+        return node.type === 'number' || node.type === 'range';
+    }
+
+    /**
+     * DOM event that writes a native control back to the model
+     * @param {HTMLElement} node
+     * @param {Set<string>} modifiers
+     * @returns {string}
+     */
+    function modelEvent(node, modifiers) {
+        return modifiers.has('lazy') || node.type === 'checkbox' || node.type === 'radio' || node.nodeName === 'SELECT'
+            ? 'change'
+            : 'input';
+    }
+
+    /**
+     * Current value of a native control, as the model should store it
+     * @param {HTMLElement} node
+     * @param {Set<string>} modifiers
+     * @returns {*}
+     */
+    function readControl(node, modifiers) {
+        if (node.type === 'checkbox') return node.checked;
+        if (node.multiple) {
+            return Array.from(node.selectedOptions, option => parseModelValue(option.value, modifiers));
+        }
+        return parseModelValue(node.value, modifiers, isNumericInput(node));
+    }
+
+    /**
+     * Push a model value into a native control, leaving it alone when it
+     * already represents that value (so "1.50" is not rewritten to "1.5")
+     * @param {HTMLElement} node
+     * @param {*} value
+     * @param {Set<string>} modifiers
+     */
+    function writeControl(node, value, modifiers) {
+        if (node.type === 'checkbox') {
+            node.checked = !!value;
+        } else if (node.type === 'radio') {
+            node.checked = parseModelValue(node.value, modifiers, isNumericInput(node)) === value;
+        } else if (node.multiple) {
+            const values = Array.isArray(value) ? value : [];
+            Array.from(node.options).forEach(option => {
+                option.selected = values.includes(parseModelValue(option.value, modifiers));
+            });
+        } else if (readControl(node, modifiers) !== value) {
+            node.value = value ?? '';
+        }
+    }
+
     class Component {
         /**
          * Default props (override in subclass)
          */
         static defaultProps = {};
 
+        /**
+         * Components usable as `<tm-child is="Name">` in render() (override in subclass).
+         * Names not found here are looked up on the TM namespace (TM.Button, ...).
+         */
+        static components = {};
+
+        /**
+         * Hold scheduled updates while the user is typing or clicking inside
+         * the component, and apply them when the interaction ends (opt-in)
+         */
+        static deferWhileInteracting = false;
+
+        /**
+         * Render into a shadow root so host page CSS cannot reach the
+         * component (can also be enabled per mount: `mount(el, { shadow: true })`)
+         */
+        static shadow = false;
+
+        /**
+         * What to do when the host page removes the component's DOM:
+         * 'destroy', 'reattach' (to its `{ selectors, key }` mount target
+         * when it re-appears) or null to ignore it. Also a mount option.
+         * @type {'destroy'|'reattach'|null}
+         */
+        static onDetach = null;
+
+        /**
+         * How `<tm-child is="..." model="path">` binds to this component:
+         * `prop` is the prop (and state key) holding the value, `callback`
+         * the prop called with each new value and `lazyCallback` the one
+         * used with `.lazy`. Components without it do not support model.
+         * @type {{prop: string, callback: string, lazyCallback?: string}|null}
+         */
+        static model = null;
+
+        /**
+         * Component styles (`css` result, string or array of them). They are
+         * injected once per page or shadow root on first mount and scoped to
+         * the elements this component renders. Subclasses replace them;
+         * list `super.styles` in the array to extend them.
+         */
+        static styles = null;
+
         /**
          * @param {Object} props - Component properties
          */
@@ -25,13 +240,20 @@ const TMComponent = (function() {
             this.state = reactive(this.initialState?.() || {});
             this.refs = {};
             this._el = null;
+            this._host = null; // Shadow host element (shadow mode only)
+            this._shadowRoot = null;
             this._mounted = false;
             this._updateScheduled = false;
             this._children = new Map();
+            this._parent = null;
+            this._declarativeKeys = new Set(); // Children created from <tm-child> markers
+            this._slots = new Map(); // Slot name → projected nodes
+            this._parentSlots = new Set(); // Slot names filled by a parent template
+            this._propsStore = new Map(); // Props registered with bindProps() during render
             this._unsubscribers = [];
             this._emittingEvents = new Set(); // Prevent infinite recursion
             this._lastRender = null; // Cache last render for diffing
-            this._updateCount = 0; // Track update frequency
+            this._updateCount = 0; // Total scheduled updates (debug info)
             this._componentId = `${this.constructor.name}_${Date.now().toString(36)}_${(++_componentCounter).toString(36)}`;
             
             // Debug logging
@@ -41,22 +263,21 @@ const TMComponent = (function() {
             
             this._log('debug', `Component ${this._componentId} created with props:`, this.props);
             
-            // Auto-subscribe to state changes with debouncing
+            if (this.props.slots) this.setSlots(this.props.slots);
+            
+            // render() runs inside an effect: any reactive source it reads
+            // (own state, nested objects, shared stores) schedules an update
+            this._renderEffect = effect(() => this.render(), {
+                lazy: true,
+                scheduler: () => this._scheduleUpdate('dependency_change')
+            });
+            
+            // Auto-subscribe to state changes (the scheduler batches them)
             if (this.state.__subscribe) {
                 this._unsubscribers.push(
                     this.state.__subscribe((prop, newVal, oldVal) => {
-                        // Log state changes
                         this._logStateChange(prop, newVal, oldVal);
-                        
-                        // Skip updates during rapid state changes
-                        if (this._stateChangeTimeout) {
-                            clearTimeout(this._stateChangeTimeout);
-                        }
-                        
-                        this._stateChangeTimeout = setTimeout(() => {
-                            this._scheduleUpdate('state_change');
-                            this._stateChangeTimeout = null;
-                        }, 10); // Small delay to batch rapid changes
+                        this._scheduleUpdate('state_change');
                     })
                 );
             }
@@ -91,6 +312,25 @@ const TMComponent = (function() {
         /** Called before destroy */
         onDestroy() {}
 
+        /**
+         * Error boundary hook. Called with errors thrown while rendering,
+         * in event handlers (sync or rejected promises) or mounting
+         * declarative children of any descendant. Overriding it makes the
+         * component a boundary: the error stops here unless the hook
+         * returns false. Errors no boundary handles go to TM.onError.
+         * @param {Error} error
+         * @param {Object} info - { component, source } (source: 'render', 'event:<name>')
+         * @returns {boolean|void} false to keep propagating
+         *
+         * @example
+         * onError(error) {
+         *     this.state.error = error.message; // render() shows a TM.Alert instead
+         * }
+         */
+        onError(error, info) {
+            return false;
+        }
+
         // ═══════════════════════════════════════════════════════════
         // PUBLIC API
         // ═══════════════════════════════════════════════════════════
@@ -105,68 +345,91 @@ const TMComponent = (function() {
             return this._mounted;
         }
 
+        /** @returns {ShadowRoot|null} Shadow root the component renders into (shadow mode) */
+        get shadowRoot() {
+            return this._shadowRoot;
+        }
+
         /**
-         * Mount component into container
-         * @param {string|HTMLElement} container
+         * Mount component into container. Every mount method accepts an
+         * element, a CSS selector or a SelectorManager key (`{ selectors, key }`).
+         * @param {string|HTMLElement|Object} container
+         * @param {Object} [options]
+         * @param {boolean} [options.shadow] - Render into a shadow root (defaults to static shadow)
+         * @param {string} [options.onDetach] - 'destroy' or 'reattach' when the page removes the component
+         *     (defaults to static onDetach)
          * @returns {this}
+         *
+         * @example
+         * const selectors = new TM.SelectorManager('GitLab').register('sidebar', ['aside.right-sidebar']);
+         * panel.mount({ selectors, key: 'sidebar' }, { onDetach: 'reattach' });
          */
-        mount(container) {
-            if (typeof container === 'string') {
-                container = document.querySelector(container);
-            }
+        mount(container, options = {}) {
+            const target = container;
+            container = TMLifecycle.resolveTarget(container);
             if (!container) {
                 TMLogger.Logger.error('Component', 'Container not found');
                 return this;
             }
             
-            this._el = this._createElement();
-            container.appendChild(this._el);
-            this._finishMount();
+            container.appendChild(this._createRoot(container, options));
+            this._finishMount(target, 'append', options);
             
             return this;
         }
 
         /**
          * Insert before reference element
-         * @param {HTMLElement} refElement
+         * @param {string|HTMLElement|Object} refElement
+         * @param {Object} [options] - Same as mount()
          * @returns {this}
          */
-        insertBefore(refElement) {
+        insertBefore(refElement, options = {}) {
+            const target = refElement;
+            refElement = TMLifecycle.resolveTarget(refElement);
             if (!refElement?.parentNode) return this;
             
-            this._el = this._createElement();
-            refElement.parentNode.insertBefore(this._el, refElement);
-            this._finishMount();
+            refElement.parentNode.insertBefore(this._createRoot(refElement.parentNode, options), refElement);
+            this._finishMount(target, 'before', options);
             
             return this;
         }
 
         /**
          * Insert after reference element
-         * @param {HTMLElement} refElement
+         * @param {string|HTMLElement|Object} refElement
+         * @param {Object} [options] - Same as mount()
          * @returns {this}
          */
-        insertAfter(refElement) {
+        insertAfter(refElement, options = {}) {
+            const target = refElement;
+            refElement = TMLifecycle.resolveTarget(refElement);
             if (!refElement?.parentNode) return this;
             
-            this._el = this._createElement();
-            refElement.parentNode.insertBefore(this._el, refElement.nextSibling);
-            this._finishMount();
+            refElement.parentNode.insertBefore(this._createRoot(refElement.parentNode, options), refElement.nextSibling);
+            this._finishMount(target, 'after', options);
             
             return this;
         }
 
         /**
          * Replace existing element
-         * @param {HTMLElement} oldElement
+         * @param {string|HTMLElement|Object} oldElement
+         * @param {Object} [options] - Same as mount()
          * @returns {this}
          */
-        replace(oldElement) {
+        replace(oldElement, options = {}) {
+            const target = oldElement;
+            oldElement = TMLifecycle.resolveTarget(oldElement);
             if (!oldElement?.parentNode) return this;
             
-            this._el = this._createElement();
-            oldElement.parentNode.replaceChild(this._el, oldElement);
-            this._finishMount();
+            // The old element may be projected into this component (slots),
+            // so it leaves the page before rendering
+            const parent = oldElement.parentNode;
+            const placeholder = document.createComment('tm');
+            parent.replaceChild(placeholder, oldElement);
+            parent.replaceChild(this._createRoot(parent, options), placeholder);
+            this._finishMount(target, 'replace', options);
             
             return this;
         }
@@ -215,28 +478,49 @@ const TMComponent = (function() {
             this._update();
         }
 
+        /**
+         * Wait until pending updates have been applied to the DOM
+         * @param {Function} [fn] - Called with the component after the flush
+         * @returns {Promise}
+         *
+         * @example
+         * this.state.open = true;
+         * await this.$nextTick();
+         * this.refs.input.focus();
+         */
+        $nextTick(fn) {
+            return nextTick(fn ? () => fn.call(this, this) : undefined);
+        }
+
         /**
          * Destroy component and cleanup
          */
         destroy() {
             this._log('info', `🗑️ DESTROYING component ${this._componentId}`);
             
-            // Clear any pending updates
-            if (this._updateTimeout) {
-                clearTimeout(this._updateTimeout);
-                this._updateTimeout = null;
+            // User cleanup first, while children and DOM still exist; a throw must not stop the teardown
+            try {
+                this.onDestroy();
+            } catch (error) {
+                this._log('error', 'onDestroy failed:', error);
+                this._reportError(error, { source: 'destroy' });
             }
             
-            if (this._stateChangeTimeout) {
-                clearTimeout(this._stateChangeTimeout);
-                this._stateChangeTimeout = null;
+            // Clear any pending interaction timer
+            if (this._interactionTimeout) {
+                clearTimeout(this._interactionTimeout);
+                this._interactionTimeout = null;
             }
             
             // Destroy children
             this._children.forEach(child => child.destroy());
             this._children.clear();
+            this._declarativeKeys.clear();
+            
+            TMLifecycle.unwatch(this);
             
             // Cleanup subscriptions
+            this._renderEffect.stop();
             this._unsubscribers.forEach(unsub => unsub());
             this._unsubscribers = [];
             
@@ -244,16 +528,16 @@ const TMComponent = (function() {
             this._emittingEvents?.clear();
             
             // Remove from DOM
-            this._el?.remove();
+            (this._host || this._el)?.remove();
             this._el = null;
+            this._host = null;
+            this._shadowRoot = null;
             this._mounted = false;
             this._updateScheduled = false;
             this._userInteracting = false;
+            this._pendingUpdateReason = null;
             
-            // Remove from global registry
-            if (typeof window !== 'undefined' && window[this._componentId]) {
-                delete window[this._componentId];
-            }
+            TMRegistry.unregister(this);
             
             // Final debug info dump
             if (this._debugMode || this._componentLogs?.some(log => log.level === 'error')) {
@@ -271,6 +555,7 @@ const TMComponent = (function() {
          * @param {Component} child
          */
         addChild(key, child) {
+            child._parent = this;
             this._children.set(key, child);
         }
 
@@ -293,30 +578,123 @@ const TMComponent = (function() {
                 child.destroy();
                 this._children.delete(key);
             }
+            this._declarativeKeys.delete(key);
+        }
+
+        /**
+         * Register props for a `<tm-child>` marker in the current render.
+         * Unlike plain attributes, the props keep their types (functions, objects...).
+         * @param {Object} props
+         * @returns {string} Token to use as the `:props` attribute value
+         *
+         * @example
+         * render() {
+         *     return html`
+         *         <div>
+         *             <tm-child is="Button" key="save" :props="${this.bindProps({ text: 'Save', onClick: () => this.save() })}"></tm-child>
+         *         </div>
+         *     `;
+         * }
+         */
+        bindProps(props) {
+            const token = `tm-props-${this._propsStore.size}`;
+            this._propsStore.set(token, props);
+            return token;
         }
 
         // ═══════════════════════════════════════════════════════════
         // PRIVATE METHODS
         // ═══════════════════════════════════════════════════════════
 
+        /**
+         * Call render() with a fresh bindProps() store
+         * @returns {string|HTMLElement}
+         */
+        _render() {
+            this._propsStore.clear();
+            return this._renderEffect();
+        }
+
+        /**
+         * Render the root element and inject the component styles. In shadow
+         * mode the element is placed in the shadow root of a host element,
+         * which is what goes into the page.
+         * @param {Node} parent - Node the component is inserted into
+         * @param {Object} [options] - Mount options
+         * @returns {HTMLElement} Node to insert in the page
+         */
+        _createRoot(parent, options = {}) {
+            TMStyles.injectBaseStyles();
+
+            if (!(options.shadow ?? this.constructor.shadow)) {
+                TMStyles.injectComponentStyles(this.constructor, this._styleRoot(parent));
+                this._el = this._createElement();
+                return this._el;
+            }
+
+            // The shadow root exists before rendering, so children created
+            // during the first render inject their styles into it
+            this._host = document.createElement('tm-shadow');
+            this._host.style.display = 'contents';
+            this._host.dataset.tmHost = this._componentId;
+            this._shadowRoot = this._host.attachShadow({ mode: 'open' });
+            TMStyles.adoptBaseStyles(this._shadowRoot);
+            TMStyles.injectComponentStyles(this.constructor, this._shadowRoot);
+            this._el = this._createElement();
+            this._shadowRoot.appendChild(this._el);
+
+            return this._host;
+        }
+
+        /**
+         * Document or shadow root that receives this component's styles.
+         * Detached nodes (children rendered before their parent is attached)
+         * resolve through the parent component.
+         * @param {Node} [node] - Defaults to the root element
+         * @returns {Document|ShadowRoot}
+         */
+        _styleRoot(node = this._el) {
+            if (this._shadowRoot) return this._shadowRoot;
+
+            const root = node?.getRootNode();
+            if (root instanceof ShadowRoot || root === document) return root;
+
+            return this._parent ? this._parent._styleRoot() : document;
+        }
+
         _createElement() {
-            const rendered = this.render();
-            
-            if (rendered instanceof HTMLElement) {
-                this._processElement(rendered);
-                return rendered;
+            let rendered = '';
+            try {
+                rendered = this._render();
+            } catch (error) {
+                // Mount an empty root like a failed update keeps the last one; the
+                // render effect already tracks what it read, so a fix re-renders it
+                this._log('error', 'Initial render failed:', error);
+                this._reportError(error, { source: 'render' });
             }
+
+            const el = this._renderElement(rendered);
+            this._processElement(el);
+            this._attachSlots(el);
+            this._collectRefs(el);
+            this._syncModels(el);
+            return el;
+        }
+
+        /**
+         * Turn a render() result into a detached element
+         * @param {string|HTMLElement} rendered
+         * @returns {HTMLElement}
+         */
+        _renderElement(rendered) {
+            if (rendered instanceof HTMLElement) return rendered;
             
             const wrapper = document.createElement('div');
-            wrapper.innerHTML = (rendered || '').trim();
+            wrapper.innerHTML = String(rendered ?? '').trim();
             
-            const el = wrapper.children.length === 1 
+            return wrapper.children.length === 1 
                 ? wrapper.firstElementChild 
                 : wrapper;
-            
-            this._processElement(el);
-            
-            return el;
         }
 
         _processElement(el) {
@@ -325,45 +703,423 @@ const TMComponent = (function() {
             // Add component identifier for debugging
             el.dataset.tmComponent = this._componentId;
             
-            // Make component accessible globally for debugging
-            if (!window[this._componentId]) {
-                window[this._componentId] = this;
+            // Scope attribute targeted by static styles
+            const scope = TMStyles.getScopeAttribute(this.constructor);
+            if (scope) {
+                [el, ...el.querySelectorAll('*')].forEach(node => node.setAttribute(scope, ''));
             }
             
-            // Process refs
+            // Mark refs on the nodes; they are resolved after mount/morph
             el.querySelectorAll('[ref]').forEach(refEl => {
-                const refName = refEl.getAttribute('ref');
-                this.refs[refName] = refEl;
+                refEl.__tmRef = refEl.getAttribute('ref');
                 refEl.removeAttribute('ref');
             });
             
             // Check root element ref
             if (el.hasAttribute?.('ref')) {
-                this.refs[el.getAttribute('ref')] = el;
+                el.__tmRef = el.getAttribute('ref');
                 el.removeAttribute('ref');
             }
             
             // Process event bindings (@click, @input, etc.)
             this._bindEvents(el);
+            
+            // Create or update <tm-child> components
+            this._processChildren(el);
+        }
+
+        /**
+         * Own `<tm-child>` hosts of a tree. Hosts rendered by child components
+         * (including those inside projected slot content) belong to them.
+         * @param {HTMLElement} el
+         * @returns {HTMLElement[]}
+         */
+        _childHosts(el) {
+            return Array.from(el.querySelectorAll('tm-child'))
+                .filter(host => !host.__tmOwner || host.__tmOwner === this);
+        }
+
+        /**
+         * Turn `<tm-child is="Name" key="..." :props="...">` markers into managed
+         * child instances. Existing children (same key and class) receive the new
+         * props through setProps; children missing from the render are destroyed.
+         * Content inside a host is projected into the child's slots.
+         * @param {HTMLElement} el - Freshly rendered tree
+         */
+        _processChildren(el) {
+            const seen = new Set();
+            const counters = {};
+            const hosts = this._childHosts(el);
+            
+            // Unkeyed children are keyed by their position among siblings of the same type
+            hosts.forEach(host => {
+                const name = host.getAttribute('is');
+                if (host.getAttribute('key') === null) {
+                    counters[name] = (counters[name] ?? -1) + 1;
+                    host.setAttribute('key', `${name}-${counters[name]}`);
+                }
+            });
+            
+            // Innermost hosts first, so nested children are mounted before
+            // they are projected into an outer child's slots
+            hosts.reverse().forEach(host => {
+                const name = host.getAttribute('is');
+                const ChildClass = this._resolveComponent(name);
+                
+                if (!ChildClass) {
+                    TMLogger.Logger.warn('Component', `Child component "${name}" not found`);
+                    return;
+                }
+                
+                const key = host.getAttribute('key');
+                host.__tmOwner = this;
+                const slots = takeSlotContent(host);
+                
+                const props = { ...this._resolveProps(host.getAttribute(':props')) };
+                host.removeAttribute(':props');
+                
+                const model = takeModelAttribute(host);
+                if (model) this._bindChildModel(ChildClass, props, model);
+                
+                let child = this._children.get(key);
+                if (child && !(child instanceof ChildClass)) {
+                    this.removeChild(key);
+                    child = null;
+                }
+                
+                if (child) {
+                    child.setProps(props);
+                    if (model) this._syncChildModel(child, props, model);
+                    if (slots || child._parentSlots.size) {
+                        child._morphSlots(slots ?? {}, this._morphOptions());
+                    }
+                } else {
+                    child = new ChildClass(props);
+                    child._parent = this;
+                    if (slots) child._morphSlots(slots);
+                    try {
+                        child.mount(host);
+                    } catch (error) {
+                        child._log('error', 'Mount failed:', error);
+                        child._reportError(error, { source: 'render' });
+                        return;
+                    }
+                    this._children.set(key, child);
+                }
+                
+                seen.add(key);
+            });
+            
+            this._declarativeKeys.forEach(key => {
+                if (!seen.has(key)) this.removeChild(key);
+            });
+            this._declarativeKeys = seen;
+        }
+
+        /**
+         * Move child roots back into their hosts after a morph
+         * (a host may have been recreated, e.g. when it changed parents)
+         */
+        _attachChildren() {
+            this._childHosts(this._el).forEach(host => {
+                const child = this._children.get(host.getAttribute('key'));
+                const root = child?._host || child?._el;
+                if (root && root.parentNode !== host) {
+                    host.replaceChildren(root);
+                }
+            });
+        }
+
+        /**
+         * Morph options used to patch this component's rendered nodes
+         * (its own tree and the slot content it passes to children)
+         * @returns {Object}
+         */
+        _morphOptions() {
+            return {
+                onBeforeElUpdated: (fromEl, toEl) => this._syncNode(fromEl, toEl),
+                // Child components own the content of their hosts, and
+                // filled slots hold content owned by the parent
+                onBeforeChildrenUpdated: (fromEl) => fromEl.nodeName !== 'TM-CHILD' && !fromEl.__tmSlotted
+            };
+        }
+
+        // ═══════════════════════════════════════════════════════════
+        // SLOTS
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Fill a slot. Rendered `<slot name="...">` elements (`<slot>` is the
+         * default slot) show this content instead of their fallback markup;
+         * the nodes are moved, not copied, so they keep listeners and state
+         * across re-renders.
+         * @param {string} name - Slot name ('default' for the unnamed slot)
+         * @param {Node|Component|string|SafeHtml|Array|null} content - null clears it
+         * @returns {this}
+         *
+         * @example
+         * card.setSlot('footer', [saveButton, cancelButton]);
+         * card.setSlot('default', document.querySelector('.issue-details'));
+         */
+        setSlot(name, content) {
+            const filled = this.hasSlot(name);
+            const nodes = toNodes(content);
+            
+            (this._slots.get(name) ?? []).forEach(node => {
+                if (!nodes.includes(node)) node.remove();
+            });
+            
+            if (nodes.length) {
+                this._slots.set(name, nodes);
+            } else {
+                this._slots.delete(name);
+            }
+            
+            if (!this._el) return this;
+            
+            this._attachSlots();
+            
+            // The template may render differently when a slot is filled (hasSlot)
+            if (this._mounted && filled !== this.hasSlot(name)) {
+                this._lastRender = null;
+                this._scheduleUpdate('slot_change');
+            }
+            
+            return this;
+        }
+
+        /**
+         * Fill several slots at once
+         * @param {Object} slots - { default, [name]: content }
+         * @returns {this}
+         */
+        setSlots(slots) {
+            Object.entries(slots).forEach(([name, content]) => this.setSlot(name, content));
+            return this;
+        }
+
+        /**
+         * @param {string} [name='default']
+         * @returns {boolean} Whether the slot has content
+         */
+        hasSlot(name = 'default') {
+            return this._slots.has(name);
+        }
+
+        /**
+         * Move slot content into the rendered `<slot>` elements
+         * @param {HTMLElement} [el] - Defaults to the root element
+         */
+        _attachSlots(el = this._el) {
+            this._ownNodes(el).forEach(slot => {
+                if (slot.nodeName !== 'SLOT') return;
+                
+                const nodes = this._slots.get(slot.getAttribute('name') || 'default');
+                if (nodes) {
+                    const current = slot.childNodes;
+                    if (nodes.length !== current.length || nodes.some((node, i) => current[i] !== node)) {
+                        slot.replaceChildren(...nodes);
+                    }
+                } else if (slot.__tmSlotted) {
+                    // Fallback content comes back with the next render
+                    slot.replaceChildren();
+                }
+                slot.__tmSlotted = !!nodes;
+            });
+        }
+
+        /**
+         * Apply slot content from a parent template. Content already projected
+         * is morphed in place with the parent's options, so its nodes (and
+         * their listeners, focus and typed values) survive parent re-renders.
+         * @param {Object<string, Node[]>} slots
+         * @param {Object} [options] - Parent morph options (omitted on first render)
+         */
+        _morphSlots(slots, options) {
+            const names = new Set([...this._parentSlots, ...Object.keys(slots)]);
+            this._parentSlots = new Set(Object.keys(slots));
+            
+            names.forEach(name => {
+                const current = this._slots.get(name);
+                const next = slots[name];
+                
+                if (!options || !current || !next) {
+                    this.setSlot(name, next ?? null);
+                    return;
+                }
+                
+                const slot = this._ownNodes(this._el).find(node =>
+                    node.__tmSlotted && (node.getAttribute('name') || 'default') === name);
+                const from = slot ?? document.createElement('div');
+                if (!slot) from.append(...current);
+                
+                const to = document.createElement('div');
+                to.append(...next);
+                morphChildren(from, to, options);
+                
+                this._slots.set(name, Array.from(from.childNodes));
+                if (!slot) this._attachSlots();
+            });
+        }
+
+        /**
+         * @param {string} name - Value of the `is` attribute
+         * @returns {typeof Component|null}
+         */
+        _resolveComponent(name) {
+            const ChildClass = this.constructor.components?.[name] ?? globalThis.TM?.[name];
+            return ChildClass?.prototype instanceof Component ? ChildClass : null;
+        }
+
+        /**
+         * Resolve a `:props` value: a bindProps() token, the name of a
+         * property/method on this component, or a JSON literal
+         * @param {string|null} value
+         * @returns {Object}
+         */
+        _resolveProps(value) {
+            if (!value) return {};
+            if (this._propsStore.has(value)) return this._propsStore.get(value);
+            
+            const member = this[value];
+            if (member !== undefined) {
+                return typeof member === 'function' ? member.call(this) : member;
+            }
+            
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                TMLogger.Logger.warn('Component', `Invalid :props value "${value}"`);
+                return {};
+            }
+        }
+
+        /**
+         * Rebuild this.refs from the nodes currently in the tree
+         * @param {HTMLElement} el - Component root
+         */
+        _collectRefs(el) {
+            this.refs = {};
+            
+            this._ownNodes(el).forEach(node => {
+                if (node.__tmRef) this.refs[node.__tmRef] = node;
+            });
+        }
+
+        /**
+         * Elements rendered by this component itself (the content of
+         * <tm-child> hosts belongs to the child components, and the content
+         * of filled slots to whoever filled them)
+         * @param {HTMLElement} el
+         * @returns {HTMLElement[]}
+         */
+        _ownNodes(el) {
+            if (!el) return [];
+            
+            const walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT, {
+                acceptNode: node => node.nodeName === 'TM-CHILD' || node.parentNode?.__tmSlotted
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT
+            });
+            
+            const nodes = [];
+            for (let node = el; node; node = walker.nextNode()) nodes.push(node);
+            return nodes;
+        }
+
+        /**
+         * Write the bound state into every `model` control of the tree
+         * @param {HTMLElement} [el] - Defaults to the root element
+         */
+        _syncModels(el = this._el) {
+            this._ownNodes(el).forEach(node => {
+                if (!node.__tmModel) return;
+                const { path, modifiers } = node.__tmModel;
+                writeControl(node, getPath(this.state, path), modifiers);
+            });
+        }
+
+        /**
+         * Listen for user input on a `model` control. Bound once per node;
+         * the binding is read at dispatch time so a morph can retarget it.
+         * @param {HTMLElement} node
+         */
+        _bindModel(node) {
+            if (node.__tmModelBound) return;
+            node.__tmModelBound = true;
+            
+            const listener = (e) => {
+                const model = node.__tmModel;
+                if (!model || e.type !== modelEvent(node, model.modifiers)) return;
+                setPath(this.state, model.path, readControl(node, model.modifiers));
+            };
+            
+            node.addEventListener('input', listener);
+            node.addEventListener('change', listener);
+        }
+
+        /**
+         * Turn `model` on a `<tm-child>` into the child's value prop and
+         * change callback (see static model)
+         * @param {typeof Component} ChildClass
+         * @param {Object} props - Child props, modified in place
+         * @param {{path: string, modifiers: Set<string>}} model
+         */
+        _bindChildModel(ChildClass, props, model) {
+            if (!ChildClass.model) {
+                TMLogger.Logger.warn('Component', `${ChildClass.name} does not support model`);
+                return;
+            }
+            
+            const { prop, callback, lazyCallback } = ChildClass.model;
+            const name = model.modifiers.has('lazy') && lazyCallback ? lazyCallback : callback;
+            const own = props[name];
+            
+            const value = getPath(this.state, model.path);
+            if (value !== undefined) props[prop] = value;
+            
+            props[name] = (value, ...args) => {
+                setPath(this.state, model.path, parseModelValue(value, model.modifiers));
+                own?.(value, ...args);
+            };
+        }
+
+        /**
+         * Push the bound value into an existing child whose own state
+         * holds something else (e.g. the parent state changed in code)
+         * @param {Component} child
+         * @param {Object} props
+         * @param {{path: string, modifiers: Set<string>}} model
+         */
+        _syncChildModel(child, props, model) {
+            const prop = child.constructor.model?.prop;
+            if (!prop || !(prop in props)) return;
+            
+            if (parseModelValue(child.state[prop], model.modifiers) !== props[prop]) {
+                child.state[prop] = props[prop];
+            }
         }
 
         _bindEvents(el) {
             const processNode = (node) => {
                 if (node.nodeType !== 1) return;
                 
+                // model on <tm-child> is handled with the child's props
+                if (node.nodeName !== 'TM-CHILD') {
+                    const model = takeModelAttribute(node);
+                    if (model) {
+                        node.__tmModel = model;
+                        this._bindModel(node);
+                    }
+                }
+                
                 Array.from(node.attributes || []).forEach(attr => {
                     if (attr.name.startsWith('@')) {
                         const eventName = attr.name.slice(1);
                         const handlerName = attr.value;
                         
                         if (typeof this[handlerName] === 'function') {
-                            node.addEventListener(eventName, (e) => {
-                                // Prevent infinite recursion for component-emitted events
-                                if (e.detail?.originalEvent) {
-                                    return; // Skip if this event originated from this component
-                                }
-                                this[handlerName](e);
-                            });
+                            this._bindEvent(node, eventName, handlerName);
                         } else {
                             TMLogger.Logger.warn('Component', `Handler "${handlerName}" not found`);
                         }
@@ -376,10 +1132,73 @@ const TMComponent = (function() {
             processNode(el);
             el.querySelectorAll('*').forEach(processNode);
             
-            // Add interaction tracking to prevent disruptive updates
-            this._setupInteractionTracking(el);
+            // Opt-in: hold updates while the user is interacting
+            if (this.constructor.deferWhileInteracting) {
+                this._setupInteractionTracking(el);
+            }
         }
-        
+
+        /**
+         * Bind a declarative event on a node. The listener is added once per
+         * event name and resolves the handler name at dispatch time, so a
+         * morph can retarget it without stacking listeners.
+         * @param {HTMLElement} node
+         * @param {string} eventName
+         * @param {string|null} handlerName
+         */
+        _bindEvent(node, eventName, handlerName) {
+            if (!node.__tmEvents) node.__tmEvents = {};
+            
+            if (!(eventName in node.__tmEvents)) {
+                node.addEventListener(eventName, (e) => {
+                    const name = node.__tmEvents[eventName];
+                    if (!name) return;
+                    // Prevent infinite recursion for component-emitted events
+                    if (e.detail?.originalEvent) {
+                        return; // Skip if this event originated from this component
+                    }
+                    
+                    const fail = (error) => {
+                        this._log('error', `Handler "${name}" failed:`, error);
+                        this._reportError(error, { source: `event:${eventName}` });
+                    };
+                    
+                    try {
+                        const result = this[name](e);
+                        if (typeof result?.then === 'function') result.then(null, fail);
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+            }
+            
+            node.__tmEvents[eventName] = handlerName;
+        }
+
+        /**
+         * Carry refs and event bindings from a rendered node over to the
+         * live node that morph keeps in its place
+         * @param {HTMLElement} fromEl - Live node
+         * @param {HTMLElement} toEl - Rendered node
+         */
+        _syncNode(fromEl, toEl) {
+            fromEl.__tmRef = toEl.__tmRef;
+            fromEl.__tmModel = toEl.__tmModel;
+            if (toEl.__tmModel) this._bindModel(fromEl);
+            
+            const events = toEl.__tmEvents || {};
+            Object.keys(fromEl.__tmEvents || {}).forEach(name => {
+                if (!(name in events)) fromEl.__tmEvents[name] = null;
+            });
+            Object.entries(events).forEach(([name, handler]) => {
+                this._bindEvent(fromEl, name, handler);
+            });
+        }
+
+        /**
+         * Track user interaction on the root element (deferWhileInteracting)
+         * @param {HTMLElement} el
+         */
         _setupInteractionTracking(el) {
             const interactions = ['mousedown', 'keydown', 'focus', 'input', 'change'];
             const interactionEnd = ['mouseup', 'keyup', 'blur'];
@@ -392,18 +1211,35 @@ const TMComponent = (function() {
             
             interactionEnd.forEach(event => {
                 el.addEventListener(event, () => {
-                    setTimeout(() => {
+                    clearTimeout(this._interactionTimeout);
+                    this._interactionTimeout = setTimeout(() => {
+                        this._interactionTimeout = null;
                         this._setUserInteracting(false);
                     }, 200);
                 }, true);
             });
         }
 
-        _finishMount() {
+        /**
+         * @param {*} [target] - What the component was mounted against
+         * @param {string} [position] - 'append', 'before', 'after' or 'replace'
+         * @param {Object} [options] - Mount options
+         */
+        _finishMount(target, position, options = {}) {
             this._mounted = true;
+            TMRegistry.register(this);
+            
+            const onDetach = options.onDetach ?? this.constructor.onDetach;
+            if (onDetach) TMLifecycle.watch(this, { onDetach, target, position });
+            
             this.onMount();
         }
 
+        /**
+         * Mark the component dirty. Updates are deduplicated and applied by
+         * the scheduler in the next microtask, parents before children.
+         * @param {string} reason - Shown in the update log
+         */
         _scheduleUpdate(reason = 'unknown') {
             if (!this._mounted) {
                 this._log('warn', `Update skipped - component not mounted (${reason})`);
@@ -415,44 +1251,40 @@ const TMComponent = (function() {
                 return;
             }
             
+            if (this.constructor.deferWhileInteracting && this._userInteracting) {
+                this._log('debug', `Update deferred - user interacting (${reason})`);
+                this._pendingUpdateReason = reason;
+                return;
+            }
+            
             this._updateScheduled = true;
+            this._updateReason = reason;
             this._updateCount++;
             
-            const updateInfo = {
-                reason,
+            this._log('info', `🔄 UPDATE SCHEDULED #${this._updateCount} (${reason})`);
+            queueUpdate(this);
+        }
+        
+        /**
+         * Run a queued update (called by the scheduler on flush)
+         */
+        _runScheduledUpdate() {
+            if (!this._updateScheduled) return;
+            this._updateScheduled = false;
+            
+            this._update({
+                reason: this._updateReason,
                 timestamp: Date.now(),
                 updateCount: this._updateCount,
                 state: this.state.__raw,
                 props: this.props
-            };
-            
-            this._log('info', `🔄 UPDATE SCHEDULED #${this._updateCount} (${reason})`, updateInfo);
-            
-            // Skip updates if user is actively interacting
-            if (this._userInteracting) {
-                this._log('debug', `Update deferred - user interacting (${reason})`);
-                this._updateScheduled = false;
-                this._pendingUpdateReason = reason;
-                return;
-            }
-            
-            // Aggressive debouncing to prevent rapid updates
-            if (this._updateTimeout) {
-                clearTimeout(this._updateTimeout);
-                this._log('debug', `Previous update cancelled, scheduling new one`);
-            }
-            
-            // Longer delay for stability
-            this._updateTimeout = setTimeout(() => {
-                this._updateScheduled = false;
-                this._update(updateInfo);
-                this._updateTimeout = null;
-                this._updateCount = 0; // Reset counter
-            }, 50); // Longer debounce for stability
+            });
         }
         
         /**
-         * Call this during user interactions to prevent disruptive updates
+         * Mark the start/end of a user interaction (deferWhileInteracting).
+         * A deferred update is scheduled as soon as the interaction ends.
+         * @param {boolean} interacting
          */
         _setUserInteracting(interacting = true) {
             this._userInteracting = interacting;
@@ -460,10 +1292,7 @@ const TMComponent = (function() {
             if (!interacting && this._pendingUpdateReason) {
                 const pendingReason = this._pendingUpdateReason;
                 this._pendingUpdateReason = null;
-                // Schedule update when interaction ends
-                this._updateTimeout = setTimeout(() => {
-                    this._scheduleUpdate(pendingReason);
-                }, 100);
+                this._scheduleUpdate(pendingReason);
             }
         }
 
@@ -475,80 +1304,48 @@ const TMComponent = (function() {
                 return;
             }
             
-            // Throttle rapid successive updates
-            if (this._updateCount > 5) {
-                this._log('error', `Update ${updateId} SKIPPED - too many updates (${this._updateCount})`);
-                return;
-            }
-            
             const startTime = performance.now();
             this._log('info', `🔄 UPDATE STARTING ${updateId}`, { ...updateInfo, updateId });
+            let failure = null;
             
             try {
                 // Get current render string
-                const rendered = this.render();
+                const rendered = this._render();
                 const renderString = rendered instanceof HTMLElement
                     ? rendered.outerHTML
-                    : String(rendered ?? '')
+                    : String(rendered ?? '');
                 
-                // Skip if render is the same as last time
-                if (this._lastRender === renderString) {
+                // Skip if render is the same as last time (children may still need new props)
+                if (this._lastRender === renderString && !this._declarativeKeys.size) {
                     this._log('debug', `Update ${updateId} SKIPPED - no render changes`);
+                    this._syncModels();
                     return;
                 }
                 
                 this._lastRender = renderString;
-                this._log('debug', `Update ${updateId} - render changed, proceeding`);
+                this._log('debug', `Update ${updateId} - render changed, morphing`);
                 
-                // Store scroll position
-                const scrollPos = this._el.scrollTop;
+                const newEl = this._renderElement(rendered);
+                this._processElement(newEl);
                 
-                // Create new element
-                const newEl = rendered instanceof HTMLElement
-                    ? rendered
-                    : (() => {
-                        const wrapper = document.createElement('div');
-                        wrapper.innerHTML = renderString.trim();
-                        return wrapper.children.length === 1
-                            ? wrapper.firstElementChild
-                            : wrapper;
-                    })();
-
-                // Only replace if significantly different
-                if (this._shouldUpdate(this._el, newEl)) {
-                    this._log('info', `Update ${updateId} - DOM CHANGED, replacing element`);
-                    
-                    // Process new element before replacing
-                    this._processElement(newEl);
-                    
-                    // Store old element info for comparison (with safety checks)
-                    const oldInfo = {
-                        tagName: this._el?.tagName || 'unknown',
-                        className: this._el?.className || '',
-                        childCount: this._el?.children?.length ?? 0,
-                        innerHTMLLength: this._el?.innerHTML?.length ?? 0
-                    };
-
-                    // Replace element
-                    this._el.replaceWith(newEl);
-                    this._el = newEl;
-
-                    // Restore scroll
-                    if (this._el) this._el.scrollTop = scrollPos;
-
-                    const newInfo = {
-                        tagName: this._el?.tagName || 'unknown',
-                        className: this._el?.className || '',
-                        childCount: this._el?.children?.length ?? 0,
-                        innerHTMLLength: this._el?.innerHTML?.length ?? 0
-                    };
-                    
-                    this._log('info', `Update ${updateId} - REPLACEMENT COMPLETE`, { old: oldInfo, new: newInfo });
-                } else {
-                    this._log('debug', `Update ${updateId} - SKIPPED - no significant DOM changes`);
+                // Patch the live tree in place instead of swapping the root
+                const el = morph(this._el, newEl, this._morphOptions());
+                
+                if (el !== this._el) {
+                    this._log('info', `Update ${updateId} - root element replaced`, {
+                        old: this._el.tagName,
+                        new: el.tagName
+                    });
+                    this._el = el;
                 }
+                
+                this._attachChildren();
+                this._attachSlots();
+                this._collectRefs(this._el);
+                this._syncModels();
             } catch (error) {
                 this._log('error', `Update ${updateId} FAILED:`, error);
+                failure = error;
             }
             
             // Performance monitoring
@@ -566,7 +1363,7 @@ const TMComponent = (function() {
                 duration: updateTime,
                 reason: updateInfo.reason,
                 stateSnapshot: this.state.__raw,
-                successful: true
+                successful: !failure
             });
             
             // Keep only last 20 updates
@@ -574,9 +1371,43 @@ const TMComponent = (function() {
                 this._updateLog = this._updateLog.slice(-20);
             }
             
+            if (failure) {
+                this._reportError(failure, { source: 'render' });
+                return;
+            }
+            
             this.onUpdate();
         }
         
+        /**
+         * Pass an error up the _parent chain to the nearest boundary that
+         * handles it, then to the TM.onError handlers
+         * @param {Error} error
+         * @param {Object} info - { source }
+         * @returns {boolean} Whether anything handled the error
+         */
+        _reportError(error, info) {
+            info = { ...info, component: this };
+            
+            for (let boundary = this._parent; boundary; boundary = boundary._parent) {
+                try {
+                    if (boundary.onError(error, info) !== false) return true;
+                } catch (e) {
+                    boundary._log('error', 'onError failed:', e);
+                }
+            }
+            
+            errorHandlers.forEach(handler => {
+                try {
+                    handler(error, info);
+                } catch (e) {
+                    TMLogger.Logger.error('Component', 'Error handler failed', e);
+                }
+            });
+            
+            return errorHandlers.size > 0;
+        }
+        
         /**
          * Enhanced logging system
          */
@@ -721,51 +1552,9 @@ const TMComponent = (function() {
             
             return info;
         }
-        
-        _shouldUpdate(oldEl, newEl) {
-            // Safety checks for null/undefined elements
-            if (!oldEl || !newEl) return true;
-
-            // Safety check for elements without children property (text nodes, etc.)
-            const oldChildren = oldEl.children;
-            const newChildren = newEl.children;
-            if (!oldChildren || !newChildren) return true;
-
-            // Compare class names
-            if (oldEl.className !== newEl.className) return true;
-
-            // Compare text content for simple elements
-            if (oldChildren.length === 0 && newChildren.length === 0) {
-                return oldEl.textContent !== newEl.textContent;
-            }
-
-            // For complex elements, check child count difference
-            if (oldChildren.length !== newChildren.length) return true;
-
-            // Additional basic checks
-            if (oldEl.innerHTML !== newEl.innerHTML) {
-                // More detailed diffing for complex structures
-                return this._hasSignificantChanges(oldEl, newEl);
-            }
-
-            return false;
-        }
-        
-        _hasSignificantChanges(oldEl, newEl) {
-            // Skip updates if only data attributes changed
-            const oldData = Array.from(oldEl.attributes).filter(attr => attr.name.startsWith('data-'));
-            const newData = Array.from(newEl.attributes).filter(attr => attr.name.startsWith('data-'));
-            
-            // If only data attributes changed and count is the same, skip
-            const oldNonData = Array.from(oldEl.attributes).filter(attr => !attr.name.startsWith('data-'));
-            const newNonData = Array.from(newEl.attributes).filter(attr => !attr.name.startsWith('data-'));
-            
-            return oldNonData.length !== newNonData.length || 
-                   oldNonData.some(attr => attr.value !== newEl.getAttribute(attr.name));
-        }
     }
 
-    return { Component };
+    return { Component, onError, takeSlotContent };
 })();
 
 // Export
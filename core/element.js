@@ -0,0 +1,180 @@
+/**
+ * TM Framework - Custom Elements
+ * Registers Component subclasses as native custom elements
+ */
+
+const TMElement = (function() {
+    'use strict';
+
+    const { Component, takeSlotContent } = TMComponent;
+
+    /**
+     * 'showCount' → 'show-count'
+     * @param {string} prop
+     * @returns {string}
+     */
+    function toAttributeName(prop) {
+        return prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    }
+
+    /**
+     * Convert an attribute value to the type of the prop's default.
+     * Booleans follow the attribute's presence ("false" counts as absent);
+     * props without a string/number default accept JSON.
+     * @param {string|null} value - Attribute value (null when removed)
+     * @param {*} fallback - Default value of the prop
+     * @returns {*}
+     */
+    function parseAttribute(value, fallback) {
+        if (typeof fallback === 'boolean') return value !== null && value !== 'false';
+        if (value === null) return fallback;
+        if (typeof fallback === 'number') return Number(value);
+        if (typeof fallback === 'string') return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Register a Component subclass as a custom element. The element mounts
+     * a new instance when connected and destroys it when removed from the page.
+     *
+     * - Attributes (kebab-case) map to props and are typed after `defaultProps`
+     * - Properties with the prop names (`el.items = [...]`) pass any value,
+     *   including callbacks such as `onChange`
+     * - Events from `emit()` bubble out of the element as DOM events
+     * - Child nodes are projected into the component's slots (`slot="name"`)
+     *
+     * @param {string} tagName - Custom element name (must contain a dash)
+     * @param {typeof Component} ComponentClass
+     * @param {Object} [options]
+     * @param {string[]} [options.props] - Props exposed as attributes/properties (defaults to the defaultProps keys)
+     * @param {boolean} [options.shadow] - Mount in shadow mode (defaults to the class's static shadow)
+     * @returns {CustomElementConstructor|null} The element class, or null when custom elements are unavailable
+     *
+     * @example
+     * TM.defineElement('tm-label-picker', LabelPicker);
+     * container.insertAdjacentHTML('beforeend', '<tm-label-picker project-id="42" multiple></tm-label-picker>');
+     * container.querySelector('tm-label-picker').addEventListener('change', e => console.log(e.detail));
+     */
+    function defineElement(tagName, ComponentClass, options = {}) {
+        if (!(ComponentClass?.prototype instanceof Component)) {
+            throw new TypeError(`defineElement("${tagName}") expects a Component subclass`);
+        }
+
+        // Null (not undefined) in the isolated world of Chrome userscripts/content scripts
+        const registry = globalThis.customElements;
+        if (!registry) {
+            TMLogger.Logger.warn('Element', `Custom elements are not available, "${tagName}" was not defined`);
+            return null;
+        }
+
+        const existing = registry.get(tagName);
+        if (existing) {
+            TMLogger.Logger.warn('Element', `"${tagName}" is already defined`);
+            return existing;
+        }
+
+        const defaults = ComponentClass.defaultProps ?? {};
+        const props = options.props ?? Object.keys(defaults);
+
+        // Callbacks can only be passed as properties
+        const attributes = new Map(
+            props.filter(prop => !/^on[A-Z]/.test(prop)).map(prop => [toAttributeName(prop), prop])
+        );
+
+        class TMCustomElement extends HTMLElement {
+            static get observedAttributes() {
+                return [...attributes.keys()];
+            }
+
+            constructor() {
+                super();
+                this._component = null;
+                this._props = {}; // Props set as properties
+                this._slots = null; // Child nodes taken on first connect
+            }
+
+            /** @returns {Component|null} Mounted instance */
+            get component() {
+                return this._component;
+            }
+
+            connectedCallback() {
+                if (this._component) return;
+
+                // Properties set before the element was upgraded shadow the accessors
+                props.forEach(prop => {
+                    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                        const value = this[prop];
+                        delete this[prop];
+                        this[prop] = value;
+                    }
+                });
+
+                const initial = {};
+                attributes.forEach((prop, attr) => {
+                    if (this.hasAttribute(attr)) initial[prop] = parseAttribute(this.getAttribute(attr), defaults[prop]);
+                });
+
+                this._slots ??= takeSlotContent(this);
+                if (!this.style.display) this.style.display = 'contents';
+
+                this._component = new ComponentClass({
+                    ...initial,
+                    ...this._props,
+                    ...(this._slots && { slots: this._slots })
+                });
+                this._component.mount(this, { shadow: options.shadow });
+            }
+
+            disconnectedCallback() {
+                // Moving the element disconnects and reconnects it in the same task
+                queueMicrotask(() => {
+                    if (this.isConnected || !this._component) return;
+                    this._component.destroy();
+                    this._component = null;
+                });
+            }
+
+            attributeChangedCallback(name, oldValue, value) {
+                if (!this._component || oldValue === value) return;
+
+                const prop = attributes.get(name);
+                this._component.setProps({ [prop]: parseAttribute(value, defaults[prop]) });
+            }
+        }
+
+        // Native properties (title, hidden...) keep their behavior; their
+        // attributes still reach the component
+        props.forEach(prop => {
+            if (prop in HTMLElement.prototype) return;
+
+            Object.defineProperty(TMCustomElement.prototype, prop, {
+                get() {
+                    return this._component ? this._component.props[prop] : this._props[prop];
+                },
+                set(value) {
+                    this._props[prop] = value;
+                    this._component?.setProps({ [prop]: value });
+                },
+                configurable: true
+            });
+        });
+
+        registry.define(tagName, TMCustomElement);
+        return TMCustomElement;
+    }
+
+    return {
+        defineElement
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMElement = TMElement;
+}
@@ -0,0 +1,298 @@
+/**
+ * TM Framework - Forms
+ * Reactive form state with declarative validation and a submit lifecycle
+ */
+
+const TMForm = (function() {
+    'use strict';
+
+    const { reactive, watch, toRaw } = TMReactive;
+    const { deepClone } = TMUtils;
+
+    /** Default validation messages (override per rule with `{ value, message }`) */
+    const MESSAGES = {
+        required: 'Este campo es obligatorio',
+        minLength: n => `Mínimo ${n} caracteres`,
+        maxLength: n => `Máximo ${n} caracteres`,
+        min: n => `El valor mínimo es ${n}`,
+        max: n => `El valor máximo es ${n}`,
+        pattern: 'Formato no válido',
+        validate: 'Valor no válido'
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // VALIDATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Split a rule into its parameter and custom message
+     * (`required: true`, `required: 'Message'` or `min: { value: 0, message: '...' }`)
+     * @param {*} rule
+     * @returns {[*, string|null]}
+     */
+    function unpackRule(rule) {
+        if (rule && typeof rule === 'object' && !(rule instanceof RegExp) && 'value' in rule) {
+            return [rule.value, rule.message ?? null];
+        }
+        return [rule, null];
+    }
+
+    function isEmpty(value) {
+        return value == null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Check a value against a field's rules
+     * @param {*} value
+     * @param {Object} rules - { required, minLength, maxLength, min, max, pattern, validate }
+     * @param {Object} values - All form values (passed to validate)
+     * @returns {Promise<string|null>} First error message, or null when valid
+     */
+    async function checkRules(value, rules, values) {
+        const message = (name, param, custom) => {
+            if (custom) return custom;
+            const fallback = MESSAGES[name];
+            return typeof fallback === 'function' ? fallback(param) : fallback;
+        };
+
+        if (rules.required !== undefined) {
+            const [required, custom] = unpackRule(rules.required);
+            if (required && isEmpty(value)) {
+                return typeof required === 'string' ? required : message('required', null, custom);
+            }
+        }
+
+        // Optional fields are only validated once they have a value
+        if (isEmpty(value)) return null;
+
+        const checks = {
+            minLength: n => String(value).length >= n,
+            maxLength: n => String(value).length <= n,
+            min: n => Number(value) >= n,
+            max: n => Number(value) <= n,
+            pattern: re => new RegExp(re).test(String(value))
+        };
+
+        for (const [name, check] of Object.entries(checks)) {
+            if (rules[name] === undefined) continue;
+            const [param, custom] = unpackRule(rules[name]);
+            if (!check(param)) return message(name, param, custom);
+        }
+
+        if (typeof rules.validate === 'function') {
+            const result = await rules.validate(value, values);
+            if (typeof result === 'string') return result;
+            if (result === false) return MESSAGES.validate;
+        }
+
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // USE FORM
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Create reactive form state. Everything it exposes is reactive, so a
+     * component that reads it in render() updates on its own.
+     *
+     * @param {Object} options
+     * @param {Object} [options.initialValues] - Starting values (also used by reset)
+     * @param {Object} [options.values] - Existing reactive object to use as values (e.g. a state branch)
+     * @param {Object} [options.rules] - { field: { required, minLength, maxLength, min, max, pattern, validate } }
+     * @param {Function} [options.onSubmit] - (values, form) => void|Promise, called when the form is valid
+     * @param {HTMLElement|Function} [options.root] - Element (or getter) searched by focusFirstInvalid
+     * @returns {Object} Form API
+     *
+     * @example
+     * const form = TM.useForm({
+     *     initialValues: { description: '', hours: 1 },
+     *     rules: {
+     *         description: { required: true, minLength: 3 },
+     *         hours: { required: true, min: 0.25, max: { value: 12, message: 'Too many hours' } },
+     *         task: { validate: async id => await taskExists(id) || 'Unknown task' }
+     *     },
+     *     onSubmit: values => api.save(values)
+     * });
+     */
+    function useForm(options = {}) {
+        const initialValues = deepClone(options.initialValues ?? toRaw(options.values) ?? {});
+        const values = options.values ?? reactive(deepClone(initialValues));
+        const rules = options.rules ?? {};
+
+        const state = reactive({
+            errors: {},
+            touched: {},
+            validating: 0,
+            submitting: false,
+            submitted: false
+        });
+
+        // Latest validation run per field; older async results are dropped
+        const runs = {};
+
+        /**
+         * Validate one field and store its error
+         * @param {string} name
+         * @returns {Promise<boolean>} Whether the field is valid
+         */
+        async function validateField(name) {
+            const run = runs[name] = (runs[name] || 0) + 1;
+            state.validating++;
+
+            try {
+                const error = await checkRules(values[name], rules[name] ?? {}, toRaw(values));
+                if (runs[name] === run) state.errors[name] = error;
+                return !error;
+            } finally {
+                state.validating--;
+            }
+        }
+
+        /**
+         * Validate every field that has rules
+         * @returns {Promise<boolean>} Whether the whole form is valid
+         */
+        async function validate() {
+            const results = await Promise.all(Object.keys(rules).map(validateField));
+            return results.every(Boolean);
+        }
+
+        /**
+         * Error to display for a field: only once it was touched or the form submitted
+         * @param {string} name
+         * @returns {string|null}
+         */
+        function error(name) {
+            return state.touched[name] || state.submitted ? state.errors[name] ?? null : null;
+        }
+
+        /**
+         * Mark a field as touched (usually on blur) and validate it
+         * @param {string} name
+         */
+        function touch(name) {
+            if (state.touched[name]) return;
+            state.touched[name] = true;
+            validateField(name);
+        }
+
+        function setValue(name, value) {
+            values[name] = value;
+        }
+
+        /**
+         * Restore the initial values (or new ones) and clear errors and touched state
+         * @param {Object} [next] - Values to reset to
+         */
+        function reset(next = initialValues) {
+            Object.keys(values).forEach(key => {
+                if (!(key in next)) delete values[key];
+            });
+            Object.assign(values, deepClone(next));
+
+            Object.keys(runs).forEach(key => runs[key]++);
+            state.errors = {};
+            state.touched = {};
+            state.submitted = false;
+        }
+
+        /**
+         * Focus the first field (in DOM order) that has an error.
+         * Fields are found by their `name` attribute.
+         * @param {HTMLElement} [root]
+         * @returns {HTMLElement|null} The focused element
+         */
+        function focusFirstInvalid(root) {
+            root = root ?? (typeof options.root === 'function' ? options.root() : options.root) ?? document;
+
+            const el = Array.from(root.querySelectorAll('[name]'))
+                .find(node => state.errors[node.getAttribute('name')]);
+            el?.focus();
+            return el ?? null;
+        }
+
+        /**
+         * Validate and, when valid, call onSubmit. `submitting` stays true until
+         * a returned promise settles; its rejection is rethrown.
+         * @param {Event} [event] - Submit event (default prevented)
+         * @returns {Promise<boolean>} Whether onSubmit ran
+         */
+        async function submit(event) {
+            event?.preventDefault?.();
+            if (state.submitting) return false;
+
+            state.submitted = true;
+            if (!await validate()) {
+                focusFirstInvalid(event?.target instanceof Element ? event.target : undefined);
+                return false;
+            }
+
+            state.submitting = true;
+            try {
+                await options.onSubmit?.(deepClone(toRaw(values)), form);
+                return true;
+            } finally {
+                state.submitting = false;
+            }
+        }
+
+        /**
+         * Props for a TM form component (Input, Textarea, Select) bound to a field
+         * @param {string} name
+         * @returns {Object} { name, value, error, required, onInput, onChange, onBlur }
+         */
+        function field(name) {
+            return {
+                name,
+                value: values[name],
+                error: error(name),
+                required: !!unpackRule(rules[name]?.required)[0],
+                onInput: value => setValue(name, value),
+                onChange: value => setValue(name, value),
+                onBlur: () => touch(name)
+            };
+        }
+
+        // Touched fields are revalidated as their value changes
+        const unwatch = watch(values, (raw, { path }) => {
+            const name = path[0];
+            if (rules[name] && (state.touched[name] || state.submitted)) validateField(name);
+        }, { deep: true });
+
+        const form = {
+            values,
+            get errors() { return state.errors; },
+            get touched() { return state.touched; },
+            get submitting() { return state.submitting; },
+            get submitted() { return state.submitted; },
+            get validating() { return state.validating > 0; },
+            get valid() { return Object.values(state.errors).every(e => !e); },
+            get dirty() { return JSON.stringify(toRaw(values)) !== JSON.stringify(initialValues); },
+            error,
+            field,
+            touch,
+            setValue,
+            validate,
+            validateField,
+            reset,
+            submit,
+            focusFirstInvalid,
+            /** Stop revalidating on changes (call when the owner is destroyed) */
+            dispose: unwatch
+        };
+
+        return form;
+    }
+
+    return {
+        useForm,
+        MESSAGES
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMForm = TMForm;
+}
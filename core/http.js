@@ -0,0 +1,499 @@
+/**
+ * TM Framework - HTTP Client
+ * Promise API over GM_xmlhttpRequest (fetch fallback) with interceptors and retries
+ */
+
+const TMHttp = (function() {
+    'use strict';
+
+    /** Statuses retried by default (rate limit and server errors) */
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    /** Methods that are safe to send twice, so network errors and timeouts are retried */
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    // ═══════════════════════════════════════════════════════════════
+    // ERRORS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Failed request. `code` tells what happened: 'HTTP' (non-2xx status),
+     * 'TIMEOUT', 'ABORT', 'NETWORK' or 'PARSE' (invalid JSON body).
+     */
+    class HttpError extends Error {
+        /**
+         * @param {string} message
+         * @param {Object} details
+         * @param {string} details.code
+         * @param {Object} details.config - Request config
+         * @param {Object} [details.response] - { status, statusText, headers, data }
+         * @param {*} [details.cause]
+         */
+        constructor(message, { code, config, response = null, cause = null }) {
+            super(message);
+            this.name = 'HttpError';
+            this.code = code;
+            this.config = config;
+            this.response = response;
+            this.status = response?.status ?? 0;
+            this.statusText = response?.statusText ?? '';
+            this.headers = response?.headers ?? {};
+            this.body = response?.data ?? null;
+            this.cause = cause;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    function createInterceptors() {
+        const handlers = [];
+
+        return {
+            handlers,
+            /**
+             * @param {Function} [onFulfilled] - (value) => value | Promise
+             * @param {Function} [onRejected] - (error) => response | Promise (throw to keep failing)
+             * @returns {Function} Unregister function
+             */
+            use(onFulfilled, onRejected) {
+                const handler = { onFulfilled, onRejected };
+                handlers.push(handler);
+                return () => {
+                    const index = handlers.indexOf(handler);
+                    if (index !== -1) handlers.splice(index, 1);
+                };
+            }
+        };
+    }
+
+    function isPlainBody(body) {
+        return Array.isArray(body) || Object.prototype.toString.call(body) === '[object Object]';
+    }
+
+    /**
+     * @param {Object} config
+     * @returns {string} Absolute URL with the query params
+     */
+    function buildUrl(config) {
+        let url = config.url;
+
+        if (!/^[a-z][a-z\d+.-]*:/i.test(url)) {
+            const base = (config.baseUrl || globalThis.location.origin).replace(/\/+$/, '');
+            url = `${base}/${url.replace(/^\/+/, '')}`;
+        }
+
+        const params = new URLSearchParams();
+        Object.entries(config.params ?? {}).forEach(([key, value]) => {
+            if (value == null) return;
+            [].concat(value).forEach(item => params.append(key, item));
+        });
+
+        const query = params.toString();
+        return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+    }
+
+    /**
+     * "Name: value" lines (XHR style) → { name: value } with lowercase names
+     * @param {string} raw
+     * @returns {Object}
+     */
+    function parseHeaders(raw = '') {
+        const headers = {};
+        raw.trim().split(/[\r\n]+/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        });
+        return headers;
+    }
+
+    /**
+     * Wait before a retry (cancelled by the request signal)
+     * @param {number} ms
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * @param {number|Object} retry - Retry count or { retries, delay, factor, maxDelay, statuses, methods, onNetworkError }
+     * @returns {Object}
+     */
+    function normalizeRetry(retry) {
+        const options = typeof retry === 'number' ? { retries: retry } : retry ?? {};
+        return {
+            retries: 0,
+            delay: 300,
+            factor: 2,
+            maxDelay: 10000,
+            statuses: RETRY_STATUSES,
+            methods: null,
+            onNetworkError: null,
+            ...options
+        };
+    }
+
+    /**
+     * Whether a failed request may be sent again. A network error or timeout
+     * may come after the server applied the request, so only idempotent
+     * methods retry them unless `onNetworkError` says otherwise.
+     * @param {HttpError} error
+     * @param {Object} retry - Normalized retry options
+     * @param {string} method
+     * @returns {boolean}
+     */
+    function isRetryable(error, retry, method) {
+        if (retry.methods && !retry.methods.includes(method)) return false;
+        if (error.code === 'HTTP') return retry.statuses.includes(error.status);
+        if (error.code === 'NETWORK' || error.code === 'TIMEOUT') {
+            return retry.onNetworkError ?? IDEMPOTENT_METHODS.includes(method);
+        }
+        return false;
+    }
+
+    function progress(loaded, total) {
+        return { loaded, total, progress: total ? loaded / total : null };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TRANSPORTS
+    // ═══════════════════════════════════════════════════════════════
+
+    function getGMRequest() {
+        if (typeof GM_xmlhttpRequest !== 'undefined') return GM_xmlhttpRequest;
+        if (typeof GM !== 'undefined' && typeof GM.xmlHttpRequest === 'function') return GM.xmlHttpRequest;
+        return null;
+    }
+
+    /**
+     * Send with GM_xmlhttpRequest (cross-origin, no CORS)
+     * @returns {Promise<{status, statusText, headers, body, url}>}
+     */
+    function sendGM(gmRequest, request, config) {
+        return new Promise((resolve, reject) => {
+            let handle = null;
+            const settle = (callback) => (...args) => {
+                config.signal?.removeEventListener('abort', abort);
+                callback(...args);
+            };
+            const done = settle(resolve);
+            const failWith = settle((code, message) => reject(new HttpError(message, { code, config })));
+            const abort = () => {
+                handle?.abort?.();
+                failWith('ABORT', `Aborted: ${request.method} ${request.url}`);
+            };
+
+            handle = gmRequest({
+                method: request.method,
+                url: request.url,
+                headers: request.headers,
+                data: request.body,
+                responseType: config.responseType === 'blob' || config.responseType === 'arraybuffer'
+                    ? config.responseType
+                    : 'text',
+                timeout: config.timeout || undefined,
+                anonymous: config.credentials === 'omit',
+                onload: (response) => done({
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: parseHeaders(response.responseHeaders),
+                    body: config.responseType === 'blob' || config.responseType === 'arraybuffer'
+                        ? response.response
+                        : response.responseText,
+                    url: response.finalUrl || request.url
+                }),
+                onerror: (error) => failWith('NETWORK', `Network error: ${request.method} ${request.url}${error?.error ? ` (${error.error})` : ''}`),
+                ontimeout: () => failWith('TIMEOUT', `Timeout after ${config.timeout}ms: ${request.method} ${request.url}`),
+                onabort: () => failWith('ABORT', `Aborted: ${request.method} ${request.url}`),
+                onprogress: config.onDownloadProgress && ((e) => config.onDownloadProgress(progress(e.loaded, e.total))),
+                upload: config.onUploadProgress
+                    ? { onprogress: (e) => config.onUploadProgress(progress(e.loaded, e.total)) }
+                    : undefined
+            });
+
+            config.signal?.addEventListener('abort', abort, { once: true });
+        });
+    }
+
+    /**
+     * Send with fetch. Upload progress is not available here.
+     * @returns {Promise<{status, statusText, headers, body, url}>}
+     */
+    async function sendFetch(request, config) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = config.timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.timeout) : null;
+        const abort = () => controller.abort();
+        config.signal?.addEventListener('abort', abort, { once: true });
+
+        try {
+            let response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                credentials: config.credentials,
+                signal: controller.signal
+            });
+
+            if (config.onDownloadProgress && response.body?.getReader) {
+                const total = Number(response.headers.get('content-length')) || 0;
+                const reader = response.body.getReader();
+                const chunks = [];
+                let loaded = 0;
+
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    chunks.push(chunk.value);
+                    loaded += chunk.value.length;
+                    config.onDownloadProgress(progress(loaded, total));
+                }
+
+                response = new Response(new Blob(chunks), {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers
+                });
+            }
+
+            const reader = { blob: 'blob', arraybuffer: 'arrayBuffer' }[config.responseType] ?? 'text';
+            const headers = {};
+            response.headers.forEach((value, name) => { headers[name] = value; });
+
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers,
+                body: await response[reader](),
+                url: response.url || request.url
+            };
+        } catch (error) {
+            if (error instanceof HttpError) throw error;
+            if (timedOut) {
+                throw new HttpError(`Timeout after ${config.timeout}ms: ${request.method} ${request.url}`, { code: 'TIMEOUT', config, cause: error });
+            }
+            if (controller.signal.aborted) {
+                throw new HttpError(`Aborted: ${request.method} ${request.url}`, { code: 'ABORT', config, cause: error });
+            }
+            throw new HttpError(`Network error: ${request.method} ${request.url}`, { code: 'NETWORK', config, cause: error });
+        } finally {
+            clearTimeout(timer);
+            config.signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CLIENT
+    // ═══════════════════════════════════════════════════════════════
+
+    class HttpClient {
+        /**
+         * @param {Object} [defaults] - Default request options
+         * @param {string} [defaults.baseUrl] - Prepended to relative URLs (defaults to the page origin)
+         * @param {Object} [defaults.headers]
+         * @param {number} [defaults.timeout=0] - ms, 0 for none
+         * @param {number|Object} [defaults.retry=0] - Retries, or { retries, delay, factor, maxDelay, statuses,
+         *     methods (only retry these), onNetworkError (retry network errors/timeouts; default: idempotent methods only) }
+         * @param {string} [defaults.responseType='json'] - 'json', 'text', 'blob' or 'arraybuffer'
+         * @param {string} [defaults.credentials='same-origin'] - fetch credentials ('omit' sends GM requests anonymously)
+         * @param {string} [defaults.transport='auto'] - 'auto' (GM when granted), 'gm' or 'fetch'
+         */
+        constructor(defaults = {}) {
+            this.defaults = {
+                baseUrl: '',
+                headers: {},
+                timeout: 0,
+                retry: 0,
+                responseType: 'json',
+                credentials: 'same-origin',
+                transport: 'auto',
+                ...defaults
+            };
+            this.interceptors = {
+                request: createInterceptors(),
+                response: createInterceptors()
+            };
+        }
+
+        /**
+         * New client whose defaults extend these ones (interceptors are not shared)
+         * @param {Object} [defaults]
+         * @returns {HttpClient}
+         *
+         * @example
+         * const api = TM.http.create({ baseUrl: 'https://gitlab.example.com/api/v4', retry: 2, timeout: 15000 });
+         * api.interceptors.request.use(config => ({ ...config, headers: { ...config.headers, 'PRIVATE-TOKEN': token } }));
+         * const { data: issues } = await api.get('/issues', { params: { state: 'opened' } });
+         */
+        create(defaults = {}) {
+            return new HttpClient({
+                ...this.defaults,
+                ...defaults,
+                headers: { ...this.defaults.headers, ...defaults.headers }
+            });
+        }
+
+        /**
+         * Send a request. Resolves with `{ data, status, statusText, headers, url, config }`
+         * and rejects with an HttpError.
+         * @param {string|Object} url - URL, or the whole config
+         * @param {Object} [options] - method, headers, params, body, timeout, retry, responseType,
+         *     signal, onUploadProgress, onDownloadProgress (and the client defaults)
+         * @returns {Promise<Object>}
+         */
+        async request(url, options = {}) {
+            let config = typeof url === 'string' ? { ...options, url } : { ...url };
+            config = {
+                ...this.defaults,
+                ...config,
+                method: (config.method || 'GET').toUpperCase(),
+                headers: { ...this.defaults.headers, ...config.headers }
+            };
+
+            for (const { onFulfilled } of this.interceptors.request.handlers) {
+                if (onFulfilled) config = (await onFulfilled(config)) ?? config;
+            }
+
+            let ok = true;
+            let result;
+            try {
+                result = await this._send(config);
+            } catch (error) {
+                ok = false;
+                result = error;
+            }
+
+            for (const { onFulfilled, onRejected } of this.interceptors.response.handlers) {
+                const handler = ok ? onFulfilled : onRejected;
+                if (!handler) continue;
+                try {
+                    result = ok ? (await handler(result)) ?? result : await handler(result);
+                    ok = true;
+                } catch (error) {
+                    ok = false;
+                    result = error;
+                }
+            }
+
+            if (!ok) throw result;
+            return result;
+        }
+
+        get(url, options) { return this.request(url, { ...options, method: 'GET' }); }
+        delete(url, options) { return this.request(url, { ...options, method: 'DELETE' }); }
+        head(url, options) { return this.request(url, { ...options, method: 'HEAD' }); }
+        post(url, body, options) { return this.request(url, { ...options, method: 'POST', body }); }
+        put(url, body, options) { return this.request(url, { ...options, method: 'PUT', body }); }
+        patch(url, body, options) { return this.request(url, { ...options, method: 'PATCH', body }); }
+
+        /**
+         * Dispatch with retries and backoff (Retry-After is honored)
+         * @param {Object} config
+         * @returns {Promise<Object>}
+         */
+        async _send(config) {
+            const retry = normalizeRetry(config.retry);
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this._dispatch(config);
+                } catch (error) {
+                    if (!isRetryable(error, retry, config.method) || attempt >= retry.retries) throw error;
+
+                    const retryAfter = Number(error.headers?.['retry-after']) * 1000;
+                    const wait = retryAfter || Math.min(retry.delay * retry.factor ** attempt, retry.maxDelay);
+                    TMLogger.Logger.debug('Http', `Retrying ${config.method} ${config.url} in ${wait}ms (${attempt + 1}/${retry.retries})`);
+                    await sleep(wait, config.signal).catch(() => {
+                        throw new HttpError(`Aborted: ${config.method} ${config.url}`, { code: 'ABORT', config });
+                    });
+                }
+            }
+        }
+
+        /**
+         * One attempt: encode, send and parse
+         * @param {Object} config
+         * @returns {Promise<Object>}
+         */
+        async _dispatch(config) {
+            if (config.signal?.aborted) {
+                throw new HttpError(`Aborted: ${config.method} ${config.url}`, { code: 'ABORT', config });
+            }
+
+            const headers = { ...config.headers };
+            const hasHeader = name => Object.keys(headers).some(key => key.toLowerCase() === name);
+            let body = config.body;
+
+            if (isPlainBody(body)) {
+                body = JSON.stringify(body);
+                if (!hasHeader('content-type')) headers['Content-Type'] = 'application/json';
+            }
+            if (config.responseType === 'json' && !hasHeader('accept')) {
+                headers.Accept = 'application/json';
+            }
+
+            const request = { method: config.method, url: buildUrl(config), headers, body: body ?? undefined };
+            const gmRequest = config.transport === 'fetch' ? null : getGMRequest();
+            if (config.transport === 'gm' && !gmRequest) {
+                throw new HttpError('GM_xmlhttpRequest is not granted', { code: 'NETWORK', config });
+            }
+
+            const raw = gmRequest ? await sendGM(gmRequest, request, config) : await sendFetch(request, config);
+            const response = {
+                data: raw.body,
+                status: raw.status,
+                statusText: raw.statusText,
+                headers: raw.headers,
+                url: raw.url,
+                config
+            };
+            const ok = raw.status >= 200 && raw.status < 300;
+
+            if (config.responseType === 'json' && typeof raw.body === 'string') {
+                try {
+                    response.data = raw.body.trim() ? JSON.parse(raw.body) : null;
+                } catch (error) {
+                    // Error pages are often HTML: keep the text as body
+                    if (ok) {
+                        throw new HttpError(`Invalid JSON from ${request.method} ${request.url}`, { code: 'PARSE', config, response, cause: error });
+                    }
+                }
+            }
+
+            if (!ok) {
+                throw new HttpError(`${request.method} ${request.url} failed: ${raw.status} ${raw.statusText}`.trim(), {
+                    code: 'HTTP',
+                    config,
+                    response
+                });
+            }
+
+            return response;
+        }
+    }
+
+    return {
+        HttpClient,
+        HttpError,
+        http: new HttpClient()
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMHttp = TMHttp;
+}
@@ -0,0 +1,148 @@
+/**
+ * TM Framework - Lifecycle Watcher
+ * Notices when the host page removes a component's DOM (opt-in)
+ */
+
+const TMLifecycle = (function() {
+    'use strict';
+
+    /** Component → { onDetach, anchor, position, connected } */
+    const watched = new Map();
+    let observer = null;
+
+    /**
+     * Resolve a mount target: an element, a CSS selector or a
+     * SelectorManager key (`{ selectors, key }`)
+     * @param {HTMLElement|string|{selectors: SelectorManager, key: string}} target
+     * @returns {HTMLElement|null}
+     */
+    function resolveTarget(target) {
+        if (typeof target === 'string') return document.querySelector(target);
+        if (isAnchor(target)) return target.selectors.get(target.key);
+        return target ?? null;
+    }
+
+    /**
+     * @param {*} target
+     * @returns {boolean} Whether the target is a SelectorManager key
+     */
+    function isAnchor(target) {
+        return !!target && typeof target === 'object' && !(target instanceof Node) &&
+            typeof target.selectors?.get === 'function' && typeof target.key === 'string';
+    }
+
+    /**
+     * Put a node where a mount method put it, relative to a new target
+     * @param {Node} node
+     * @param {HTMLElement} target
+     * @param {string} position - 'append', 'before', 'after' or 'replace'
+     */
+    function place(node, target, position) {
+        switch (position) {
+            case 'before': target.before(node); break;
+            case 'after': target.after(node); break;
+            case 'replace': target.replaceWith(node); break;
+            default: target.appendChild(node);
+        }
+    }
+
+    /**
+     * Look for the anchor of a detached component and put it back
+     * (the cheap fallback query runs first, so waiting records no misses)
+     * @param {Component} component
+     * @param {Object} entry
+     */
+    function reattach(component, entry) {
+        const { selectors, key } = entry.anchor;
+        const list = selectors.selectors.get(key)?.list ?? [];
+        if (!selectors.query(list)) return;
+
+        const target = selectors.get(key);
+        if (!target) return;
+
+        place(component._host || component._el, target, entry.position);
+        component._log('info', `Re-attached to "${key}"`);
+    }
+
+    function check() {
+        watched.forEach((entry, component) => {
+            const root = component._host || component._el;
+            if (!component._mounted || !root) {
+                watched.delete(component);
+                return;
+            }
+            // Components rendered off-page (e.g. into a fragment) count once they are in it
+            if (root.isConnected) {
+                entry.connected = true;
+                return;
+            }
+            if (!entry.connected) return;
+
+            if (entry.onDetach === 'reattach') {
+                reattach(component, entry);
+            } else {
+                component._log('info', 'Removed by the page, destroying');
+                component.destroy();
+            }
+        });
+
+        if (!watched.size) stop();
+    }
+
+    function stop() {
+        observer?.disconnect();
+        observer = null;
+    }
+
+    /**
+     * Watch a mounted component. A single MutationObserver is shared by all
+     * watched components and disconnects when none is left.
+     * @param {Component} component
+     * @param {Object} options
+     * @param {string} options.onDetach - 'destroy' or 'reattach'
+     * @param {*} options.target - What the component was mounted against
+     * @param {string} options.position - How it was mounted ('append', 'before', 'after', 'replace')
+     */
+    function watch(component, { onDetach, target, position }) {
+        if (onDetach !== 'destroy' && onDetach !== 'reattach') {
+            TMLogger.Logger.warn('Lifecycle', `Unknown onDetach "${onDetach}"`);
+            return;
+        }
+
+        if (onDetach === 'reattach' && !isAnchor(target)) {
+            TMLogger.Logger.warn('Lifecycle', 'onDetach "reattach" needs a { selectors, key } target, destroying instead');
+            onDetach = 'destroy';
+        }
+
+        watched.set(component, {
+            onDetach,
+            anchor: onDetach === 'reattach' ? target : null,
+            position,
+            connected: !!(component._host || component._el)?.isConnected
+        });
+
+        if (!observer) {
+            observer = new MutationObserver(check);
+            observer.observe(document, { childList: true, subtree: true });
+        }
+    }
+
+    /**
+     * @param {Component} component
+     */
+    function unwatch(component) {
+        if (!watched.delete(component) || watched.size) return;
+        stop();
+    }
+
+    return {
+        resolveTarget,
+        watch,
+        unwatch
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMLifecycle = TMLifecycle;
+}
@@ -0,0 +1,227 @@
+/**
+ * TM Framework - DOM Morphing
+ * Patches a live DOM tree in place to match a freshly rendered one
+ */
+
+const TMMorph = (function() {
+    'use strict';
+
+    const ELEMENT_NODE = 1;
+
+    /**
+     * Get the reconciliation key of a node (`key="..."` attribute)
+     * @param {Node} node
+     * @returns {string|null}
+     */
+    function getKey(node) {
+        return node.nodeType === ELEMENT_NODE ? node.getAttribute('key') : null;
+    }
+
+    /**
+     * Two nodes can be morphed into each other if they share type and tag
+     * @param {Node} a
+     * @param {Node} b
+     * @returns {boolean}
+     */
+    function isSameNodeType(a, b) {
+        return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+    }
+
+    /**
+     * Sync attributes from the new element onto the live one
+     * @param {Element} fromEl - Live element
+     * @param {Element} toEl - Rendered element
+     */
+    function morphAttributes(fromEl, toEl) {
+        for (const attr of Array.from(toEl.attributes)) {
+            try {
+                if (attr.namespaceURI) {
+                    if (fromEl.getAttributeNS(attr.namespaceURI, attr.localName) !== attr.value) {
+                        fromEl.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+                    }
+                } else if (fromEl.getAttribute(attr.name) !== attr.value) {
+                    fromEl.setAttribute(attr.name, attr.value);
+                }
+            } catch (e) {
+                // Attribute names the DOM API rejects (e.g. unprocessed @click) are skipped
+            }
+        }
+
+        for (const attr of Array.from(fromEl.attributes)) {
+            if (attr.namespaceURI) {
+                if (!toEl.hasAttributeNS(attr.namespaceURI, attr.localName)) {
+                    fromEl.removeAttributeNS(attr.namespaceURI, attr.localName);
+                }
+            } else if (!toEl.hasAttribute(attr.name)) {
+                fromEl.removeAttribute(attr.name);
+            }
+        }
+    }
+
+    /**
+     * Form controls keep their live state in properties, not attributes.
+     * Properties are only pushed when the rendered attribute actually changed,
+     * so whatever the user typed survives unrelated re-renders.
+     * @param {Element} fromEl - Live element
+     * @param {Element} toEl - Rendered element
+     * @param {Object} previous - Attribute values before morphAttributes ran
+     */
+    function syncFormProperties(fromEl, toEl, previous) {
+        switch (fromEl.nodeName) {
+            case 'INPUT':
+                if (previous.value !== toEl.getAttribute('value') && fromEl.value !== toEl.value) {
+                    fromEl.value = toEl.value;
+                }
+                if (previous.checked !== toEl.hasAttribute('checked')) {
+                    fromEl.checked = toEl.hasAttribute('checked');
+                }
+                break;
+
+            case 'OPTION':
+                if (previous.selected !== toEl.hasAttribute('selected')) {
+                    fromEl.selected = toEl.hasAttribute('selected');
+                }
+                break;
+
+            case 'TEXTAREA':
+                if (fromEl.defaultValue !== toEl.defaultValue) {
+                    fromEl.defaultValue = toEl.defaultValue;
+                    if (fromEl.value !== toEl.defaultValue) {
+                        fromEl.value = toEl.defaultValue;
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Morph a single node whose type already matches
+     * @param {Node} fromNode - Live node
+     * @param {Node} toNode - Rendered node
+     * @param {Object} options
+     */
+    function morphNode(fromNode, toNode, options) {
+        if (fromNode === toNode) return;
+
+        if (fromNode.nodeType !== ELEMENT_NODE) {
+            if (fromNode.nodeValue !== toNode.nodeValue) {
+                fromNode.nodeValue = toNode.nodeValue;
+            }
+            return;
+        }
+
+        if (options.onBeforeElUpdated?.(fromNode, toNode) === false) return;
+
+        const previous = {
+            value: fromNode.getAttribute('value'),
+            checked: fromNode.hasAttribute('checked'),
+            selected: fromNode.hasAttribute('selected')
+        };
+
+        morphAttributes(fromNode, toNode);
+
+        if (fromNode.nodeName !== 'TEXTAREA' &&
+            options.onBeforeChildrenUpdated?.(fromNode, toNode) !== false) {
+            morphChildren(fromNode, toNode, options);
+        }
+
+        syncFormProperties(fromNode, toNode, previous);
+    }
+
+    /**
+     * Reconcile child lists. Keyed children are matched by key wherever they
+     * are; unkeyed children are matched with the next compatible unkeyed node.
+     * @param {Element} fromParent - Live parent
+     * @param {Element} toParent - Rendered parent
+     * @param {Object} options
+     */
+    function morphChildren(fromParent, toParent, options) {
+        const keyed = new Map();
+        for (const child of fromParent.childNodes) {
+            const key = getKey(child);
+            if (key !== null) keyed.set(key, child);
+        }
+
+        let cursor = fromParent.firstChild;
+
+        for (const toChild of Array.from(toParent.childNodes)) {
+            const key = getKey(toChild);
+            let match = null;
+
+            if (key !== null) {
+                const candidate = keyed.get(key);
+                if (candidate && isSameNodeType(candidate, toChild)) {
+                    match = candidate;
+                    keyed.delete(key);
+                }
+            } else {
+                let probe = cursor;
+                while (probe) {
+                    if (getKey(probe) === null && isSameNodeType(probe, toChild)) {
+                        match = probe;
+                        break;
+                    }
+                    probe = probe.nextSibling;
+                }
+            }
+
+            if (match) {
+                if (match === cursor) {
+                    cursor = cursor.nextSibling;
+                } else {
+                    fromParent.insertBefore(match, cursor);
+                }
+                morphNode(match, toChild, options);
+            } else {
+                fromParent.insertBefore(toChild, cursor);
+                options.onNodeAdded?.(toChild);
+            }
+        }
+
+        // Whatever is left after the cursor was not claimed by the new render
+        while (cursor) {
+            const next = cursor.nextSibling;
+            fromParent.removeChild(cursor);
+            options.onNodeDiscarded?.(cursor);
+            cursor = next;
+        }
+    }
+
+    /**
+     * Morph a live element so it matches a rendered one, reusing DOM nodes
+     * wherever possible (focus, caret, scroll and foreign listeners survive).
+     *
+     * @param {Element} fromEl - Live element currently in the DOM
+     * @param {Element} toEl - Freshly rendered element (consumed by the call)
+     * @param {Object} options
+     * @param {Function} [options.onBeforeElUpdated] - (from, to) => false to skip an element
+     * @param {Function} [options.onBeforeChildrenUpdated] - (from, to) => false to keep children
+     * @param {Function} [options.onNodeAdded] - Called with each inserted node
+     * @param {Function} [options.onNodeDiscarded] - Called with each removed node
+     * @returns {Element} The element now in the DOM (fromEl, or toEl if the root had to be replaced)
+     *
+     * @example
+     * const template = document.createElement('template');
+     * template.innerHTML = html`<ul>${items.map(i => html`<li key="${i.id}">${i.name}</li>`)}</ul>`;
+     * morph(listEl, template.content.firstElementChild);
+     */
+    function morph(fromEl, toEl, options = {}) {
+        if (fromEl === toEl) return fromEl;
+
+        if (!isSameNodeType(fromEl, toEl) || getKey(fromEl) !== getKey(toEl)) {
+            fromEl.replaceWith(toEl);
+            options.onNodeDiscarded?.(fromEl);
+            return toEl;
+        }
+
+        morphNode(fromEl, toEl, options);
+        return fromEl;
+    }
+
+    return { morph, morphChildren };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMMorph = TMMorph;
+}
@@ -0,0 +1,145 @@
+/**
+ * TM Framework - Persisted State
+ * Reactive objects saved to GM storage (localStorage fallback) and synced across tabs
+ */
+
+const TMPersisted = (function() {
+    'use strict';
+
+    const { reactive, watch, toRaw } = TMReactive;
+    const { storage, deepClone } = TMUtils;
+
+    /** key → reactive object (one instance per key and page) */
+    const instances = new Map();
+
+    const hasGM = () => typeof GM_getValue !== 'undefined';
+
+    /**
+     * Turn a stored value into data of the current version. Stored values are
+     * `{ version, data }`; anything else (e.g. written with TM.storage) is version 0.
+     * @param {*} stored
+     * @param {Object} defaults
+     * @param {number} version
+     * @param {Function} [migrate]
+     * @returns {Object|null} null when the stored value is unusable or newer than this script
+     */
+    function hydrate(stored, defaults, version, migrate) {
+        if (stored == null) return deepClone(defaults);
+
+        const envelope = stored && typeof stored === 'object' && 'version' in stored && 'data' in stored;
+        let data = envelope ? stored.data : stored;
+        const from = envelope ? stored.version : 0;
+
+        if (from > version) return null;
+
+        if (from < version) {
+            if (!migrate) return deepClone(defaults);
+            try {
+                data = migrate(deepClone(data), from);
+            } catch (e) {
+                TMLogger.Logger.error('Persisted', `Migration from version ${from} failed`, e);
+                return deepClone(defaults);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return deepClone(defaults);
+
+        // Keys added to the defaults since the value was saved
+        return { ...deepClone(defaults), ...data };
+    }
+
+    /**
+     * Reactive object persisted under a storage key. Changes are saved
+     * (debounced) with GM_setValue or localStorage, and changes saved by
+     * other tabs are applied to it.
+     *
+     * @param {string} key - Storage key
+     * @param {Object} defaults - Initial value (new keys are added to saved values)
+     * @param {Object} [options]
+     * @param {number} [options.version=1] - Schema version stored with the value
+     * @param {Function} [options.migrate] - (data, fromVersion) => data, for values saved by older versions
+     * @param {number} [options.debounce=300] - Save delay in ms
+     * @returns {Proxy} Reactive object (the same one for every call with this key)
+     *
+     * @example
+     * const prefs = TM.persisted('gitlab-prefs', { favouriteLabels: [], defaultProject: null }, {
+     *     version: 2,
+     *     migrate: (data, from) => from < 2 ? { ...data, favouriteLabels: data.labels ?? [] } : data
+     * });
+     * prefs.favouriteLabels.push('bug'); // saved and synced to other tabs
+     */
+    function persisted(key, defaults = {}, options = {}) {
+        if (instances.has(key)) return instances.get(key);
+
+        const { version = 1, migrate = null, debounce = 300 } = options;
+        const state = reactive(hydrate(storage.get(key), defaults, version, migrate) ?? deepClone(defaults));
+        instances.set(key, state);
+
+        let timer = null;
+        let applying = false;
+
+        const save = () => {
+            clearTimeout(timer);
+            timer = null;
+            storage.set(key, { version, data: toRaw(state) });
+        };
+
+        watch(state, () => {
+            if (applying) return;
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+        }, { deep: true });
+
+        // Pending changes are written before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (timer) save();
+        });
+
+        /**
+         * Replace the state with a value saved by another tab
+         * @param {string|undefined} json - Stored JSON (undefined when deleted)
+         */
+        const apply = (json) => {
+            let stored;
+            try {
+                stored = json == null ? null : JSON.parse(json);
+            } catch (e) {
+                return;
+            }
+
+            const data = hydrate(stored, defaults, version, migrate);
+            if (!data) return;
+
+            applying = true;
+            try {
+                Object.keys(state).forEach(prop => {
+                    if (!(prop in data)) delete state[prop];
+                });
+                Object.assign(state, data);
+            } finally {
+                applying = false;
+            }
+        };
+
+        if (hasGM() && typeof GM_addValueChangeListener !== 'undefined') {
+            GM_addValueChangeListener(key, (name, oldValue, newValue, remote) => {
+                if (remote) apply(newValue);
+            });
+        } else if (!hasGM()) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === key && e.storageArea === localStorage) apply(e.newValue);
+            });
+        }
+
+        return state;
+    }
+
+    return {
+        persisted
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMPersisted = TMPersisted;
+}
@@ -0,0 +1,351 @@
+/**
+ * TM Framework - Query Cache
+ * Deduplicated, cached API calls served stale while revalidating
+ */
+
+const TMQuery = (function() {
+    'use strict';
+
+    const { reactive } = TMReactive;
+    const { storage } = TMUtils;
+
+    /** Key hash → cache entry */
+    const entries = new Map();
+    let persistence = null;
+
+    /** Storage for `persist: true` queries, created on first use */
+    const store = () => persistence ??= storage.namespace('tm-query');
+
+    /**
+     * JSON with sorted object keys, so `{ a, b }` and `{ b, a }` hash the same
+     * @param {*} value
+     * @returns {string}
+     */
+    function stableStringify(value) {
+        return JSON.stringify(value, (prop, item) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+            return Object.keys(item).sort().reduce((sorted, key) => {
+                sorted[key] = item[key];
+                return sorted;
+            }, {});
+        });
+    }
+
+    /**
+     * @param {string|Array} key
+     * @returns {Array}
+     */
+    function normalizeKey(key) {
+        return Array.isArray(key) ? key : [key];
+    }
+
+    /**
+     * Whether `prefix` is the start of a key (['gitlab'] matches ['gitlab', 'labels', 42])
+     * @param {Array} prefix
+     * @param {Array} key
+     * @returns {boolean}
+     */
+    function matchesPrefix(prefix, key) {
+        return prefix.length <= key.length &&
+            prefix.every((part, i) => stableStringify(part) === stableStringify(key[i]));
+    }
+
+    /**
+     * Whether a component render, effect or watcher reads the entry's state
+     * @param {Object} entry
+     * @returns {boolean}
+     */
+    function isObserved(entry) {
+        return entry.state.__observed;
+    }
+
+    /**
+     * Drop entries that nothing reads, whose data is stale and that were not
+     * used for `gcTime`, so keys built from user input do not pile up
+     */
+    function collect() {
+        const now = Date.now();
+        entries.forEach((entry, hash) => {
+            if (entry.promise || now - entry.usedAt < entry.gcTime || isFresh(entry) || isObserved(entry)) return;
+            entries.delete(hash);
+        });
+    }
+
+    /**
+     * Find or create the entry of a key. The latest fetcher and options win.
+     * @param {string|Array} key
+     * @param {Function} [fetcher]
+     * @param {Object} [options]
+     * @returns {Object}
+     */
+    function getEntry(key, fetcher, options = {}) {
+        collect();
+
+        const normalized = normalizeKey(key);
+        const hash = stableStringify(normalized);
+        let entry = entries.get(hash);
+
+        if (!entry) {
+            entry = {
+                key: normalized,
+                hash,
+                data: undefined,
+                updatedAt: 0,
+                invalidated: false,
+                usedAt: 0,
+                promise: null,
+                hydrated: null,
+                fetcher: null,
+                ttl: 30000,
+                persist: false,
+                maxAge: 24 * 60 * 60 * 1000,
+                gcTime: 5 * 60 * 1000
+            };
+            entry.state = reactive({
+                data: undefined,
+                error: null,
+                loading: false,
+                fetching: false,
+                updatedAt: 0,
+                refetch: () => revalidate(entry)
+            });
+            entries.set(hash, entry);
+        }
+
+        entry.usedAt = Date.now();
+        if (fetcher) entry.fetcher = fetcher;
+        ['ttl', 'persist', 'maxAge', 'gcTime'].forEach(option => {
+            if (options[option] !== undefined) entry[option] = options[option];
+        });
+
+        if (entry.persist && !entry.hydrated) entry.hydrated = hydrate(entry);
+
+        return entry;
+    }
+
+    /**
+     * Load a persisted value, unless the entry already has newer data
+     * @param {Object} entry
+     * @returns {Promise<void>}
+     */
+    async function hydrate(entry) {
+        try {
+            const saved = await store().get(entry.hash);
+            if (saved && saved.updatedAt > entry.updatedAt) write(entry, saved.data, saved.updatedAt);
+        } catch (e) {
+            TMLogger.Logger.warn('Query', `Could not load persisted "${entry.hash}"`, e);
+        }
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {*} data
+     * @param {number} updatedAt
+     */
+    function write(entry, data, updatedAt) {
+        entry.data = data;
+        entry.updatedAt = updatedAt;
+        Object.assign(entry.state, { data, error: null, updatedAt });
+    }
+
+    function isFresh(entry) {
+        return entry.updatedAt > 0 && !entry.invalidated && Date.now() - entry.updatedAt < entry.ttl;
+    }
+
+    /**
+     * Run the fetcher; concurrent calls share the request in flight
+     * @param {Object} entry
+     * @returns {Promise<*>} Fetched data
+     */
+    function revalidate(entry) {
+        if (entry.promise) return entry.promise;
+        if (!entry.fetcher) return Promise.reject(new Error(`Query "${entry.hash}" has no fetcher`));
+
+        const { state } = entry;
+        entry.invalidated = false;
+        state.fetching = true;
+        state.loading = entry.data === undefined;
+
+        let request;
+        try {
+            request = Promise.resolve(entry.fetcher());
+        } catch (e) {
+            request = Promise.reject(e);
+        }
+
+        entry.promise = request
+            .then(data => {
+                const updatedAt = Date.now();
+                write(entry, data, updatedAt);
+                if (entry.persist) {
+                    store().set(entry.hash, { data, updatedAt }, { ttl: entry.maxAge })
+                        .catch(e => TMLogger.Logger.warn('Query', `Could not persist "${entry.hash}"`, e));
+                }
+                return data;
+            }, error => {
+                state.error = error;
+                TMLogger.Logger.warn('Query', `Fetching "${entry.hash}" failed`, error);
+                throw error;
+            })
+            .finally(() => {
+                entry.promise = null;
+                state.fetching = false;
+                state.loading = false;
+
+                // Invalidated while the request was in flight
+                if (entry.invalidated && isObserved(entry)) refresh(entry);
+            });
+
+        return entry.promise;
+    }
+
+    /**
+     * Revalidate in the background (errors end up in `state.error`)
+     * @param {Object} entry
+     */
+    function refresh(entry) {
+        revalidate(entry).catch(() => {});
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PUBLIC API
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Reactive query result that components can render directly. Every call
+     * with the same key returns the same object and shares one request; cached
+     * data older than `ttl` is shown while it is fetched again.
+     *
+     * @param {string|Array} key - Cache key (arrays are matched by prefix when invalidating)
+     * @param {Function} fetcher - () => Promise of the data
+     * @param {Object} [options]
+     * @param {number} [options.ttl=30000] - ms during which cached data is fresh and not refetched
+     * @param {boolean} [options.persist=false] - Keep the data in GM storage across page loads
+     * @param {number} [options.maxAge=86400000] - ms a persisted value is kept
+     * @param {number} [options.gcTime=300000] - ms after its last use that stale data nothing
+     *     reads any more is dropped from memory
+     * @returns {{data: *, error: Error|null, loading: boolean, fetching: boolean, updatedAt: number, refetch: Function}}
+     *     `loading` is true while there is no data yet; `fetching` during any request
+     *
+     * @example
+     * class LabelList extends TM.Component {
+     *     labels = TM.query(['gitlab', 'labels', this.props.projectId],
+     *         () => TM.gitlab.api(`/api/v4/projects/${this.props.projectId}/labels`), { ttl: 60000 });
+     *
+     *     render() {
+     *         const { data, loading, error } = this.labels;
+     *         if (loading) return html`<div>Cargando...</div>`;
+     *         if (error) return html`<div>${error.message}</div>`;
+     *         return html`<ul>${data.map(label => html`<li>${label.name}</li>`)}</ul>`;
+     *     }
+     * }
+     */
+    function query(key, fetcher, options = {}) {
+        const entry = getEntry(key, fetcher, options);
+
+        if (isFresh(entry) || entry.promise) return entry.state;
+
+        if (entry.hydrated) {
+            if (entry.data === undefined) entry.state.loading = true;
+            entry.hydrated.then(() => {
+                if (!isFresh(entry)) refresh(entry);
+            });
+        } else {
+            refresh(entry);
+        }
+
+        return entry.state;
+    }
+
+    /**
+     * Promise version of `query`: resolves with cached data while it is fresh,
+     * and otherwise waits for the request (shared with any other caller), so
+     * data older than `ttl` or invalidated is never returned.
+     * @param {string|Array} key
+     * @param {Function} fetcher
+     * @param {Object} [options] - Same as `query`
+     * @returns {Promise<*>}
+     */
+    async function fetchQuery(key, fetcher, options = {}) {
+        const entry = getEntry(key, fetcher, options);
+        await entry.hydrated;
+
+        if (isFresh(entry)) return entry.data;
+        return revalidate(entry);
+    }
+
+    /**
+     * Mark queries as stale. Queries a component (or effect/watcher) reads are
+     * fetched again right away; the rest on their next use.
+     * @param {string|Array|Function} key - Key prefix, or (key) => boolean
+     * @returns {number} Number of invalidated queries
+     *
+     * @example
+     * TM.queryCache.invalidate(['gitlab', 'issues', projectId]); // every issue of the project
+     */
+    function invalidate(key) {
+        const matches = typeof key === 'function'
+            ? key
+            : entryKey => matchesPrefix(normalizeKey(key), entryKey);
+        let count = 0;
+
+        entries.forEach(entry => {
+            if (!matches(entry.key)) return;
+            count++;
+            entry.invalidated = true;
+            if (entry.persist) store().remove(entry.hash).catch(() => {});
+            if (isObserved(entry) && !entry.promise) refresh(entry);
+        });
+
+        return count;
+    }
+
+    /**
+     * Cached data of a key
+     * @param {string|Array} key
+     * @returns {*} undefined when nothing is cached
+     */
+    function getQueryData(key) {
+        return entries.get(stableStringify(normalizeKey(key)))?.data;
+    }
+
+    /**
+     * Replace the cached data of a key (e.g. with a mutation's response)
+     * @param {string|Array} key
+     * @param {*|Function} data - New data, or (previous) => data
+     */
+    function setQueryData(key, data) {
+        const entry = getEntry(key);
+        const value = typeof data === 'function' ? data(entry.data) : data;
+        const updatedAt = Date.now();
+
+        entry.invalidated = false;
+        write(entry, value, updatedAt);
+        if (entry.persist) store().set(entry.hash, { data: value, updatedAt }, { ttl: entry.maxAge }).catch(() => {});
+    }
+
+    /**
+     * Drop every cached query, persisted ones included
+     * @returns {Promise<void>}
+     */
+    async function clear() {
+        entries.clear();
+        if (persistence) await persistence.clear();
+    }
+
+    return {
+        query,
+        queryCache: {
+            fetch: fetchQuery,
+            get: getQueryData,
+            set: setQueryData,
+            invalidate,
+            clear
+        }
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMQuery = TMQuery;
+}
@@ -6,115 +6,802 @@
 const TMReactive = (function() {
     'use strict';
 
+    // ═══════════════════════════════════════════════════════════════
+    // INTERNAL STATE
+    // ═══════════════════════════════════════════════════════════════
+
+    /** raw object -> reactive proxy (one proxy per object) */
+    const proxyMap = new WeakMap();
+
+    /** raw object -> { listeners, parents } */
+    const metaMap = new WeakMap();
+
+    /** raw object -> Map<key, Set<effect>> */
+    const targetMap = new WeakMap();
+
+    /** Key used to track iteration (Object.keys, for...in, `in`, size) */
+    const ITERATE_KEY = Symbol('iterate');
+
+    /** Path segment used for objects stored in a Set */
+    const SET_ENTRY = '*';
+
+    /** Array methods that are applied on the raw array and reported once */
+    const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+    /** Array search methods that must also find raw values */
+    const ARRAY_SEARCHES = ['includes', 'indexOf', 'lastIndexOf'];
+
+    const effectStack = [];
+    let activeEffect = null;
+
+    function logListenerError(e) {
+        if (typeof TMLogger !== 'undefined' && TMLogger?.Logger?.error) {
+            TMLogger.Logger.error('Reactive', 'Listener error', e);
+        } else {
+            console.error('[TM] [Reactive] Listener error', e);
+        }
+    }
+
     /**
-     * Creates a reactive proxy that notifies subscribers on changes
-     * @param {Object} obj - Object to make reactive
-     * @returns {Proxy} Reactive proxy
+     * Realm-safe type tag ('Object', 'Array', 'Map', 'Set', ...)
+     * @param {*} value
+     * @returns {string}
      */
-    function reactive(obj) {
-        const listeners = new Set();
-        
-        const handler = {
-            get(target, prop) {
-                // Internal properties
-                if (prop === '__isReactive') return true;
-                if (prop === '__listeners') return listeners;
-                if (prop === '__subscribe') {
-                    return (fn) => {
-                        listeners.add(fn);
-                        return () => listeners.delete(fn);
+    function typeOf(value) {
+        return Object.prototype.toString.call(value).slice(8, -1);
+    }
+
+    function isCollection(value) {
+        const type = typeOf(value);
+        return type === 'Map' || type === 'Set';
+    }
+
+    /**
+     * Only plain objects, arrays, Maps and Sets are wrapped; DOM nodes, dates,
+     * class instances with internal slots... would break behind a Proxy
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isObservable(value) {
+        if (!value || typeof value !== 'object') return false;
+        if (Array.isArray(value) || isCollection(value)) return true;
+        // Plain objects from any realm (page, sandbox, iframe) have a
+        // prototype whose own prototype is null
+        const proto = Object.getPrototypeOf(value);
+        return proto === null || Object.getPrototypeOf(proto) === null;
+    }
+
+    /**
+     * Get the raw object behind a reactive proxy
+     * @param {*} value
+     * @returns {*}
+     */
+    function toRaw(value) {
+        return value?.__isReactive ? value.__raw : value;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DEPENDENCY TRACKING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Record that the running effect reads target[key]
+     * @param {Object} target - Raw object
+     * @param {string|symbol} key
+     */
+    function track(target, key) {
+        if (!activeEffect) return;
+
+        let depsMap = targetMap.get(target);
+        if (!depsMap) {
+            depsMap = new Map();
+            targetMap.set(target, depsMap);
+        }
+
+        let dep = depsMap.get(key);
+        if (!dep) {
+            dep = new Set();
+            depsMap.set(key, dep);
+        }
+
+        if (!dep.has(activeEffect)) {
+            dep.add(activeEffect);
+            activeEffect.deps.push(dep);
+        }
+    }
+
+    /**
+     * Re-run (or schedule) every effect that read target[key]
+     * @param {Object} target - Raw object
+     * @param {string|symbol} key
+     * @param {boolean} structural - Key was added or removed (affects iteration)
+     */
+    function trigger(target, key, structural = false) {
+        const depsMap = targetMap.get(target);
+        if (!depsMap) return;
+
+        // Truncating an array through `length` can touch any index
+        if (Array.isArray(target) && key === 'length') {
+            triggerAll(target);
+            return;
+        }
+
+        const deps = [depsMap.get(key)];
+        if (structural) {
+            deps.push(depsMap.get(ITERATE_KEY));
+            // Adding or removing an index changes an array's length too
+            if (Array.isArray(target)) deps.push(depsMap.get('length'));
+        }
+
+        runEffects(deps);
+    }
+
+    /**
+     * Re-run every effect that read anything from target
+     * (batched array mutations, Map/Set clear)
+     * @param {Object} target - Raw object
+     */
+    function triggerAll(target) {
+        const depsMap = targetMap.get(target);
+        if (depsMap) runEffects(depsMap.values());
+    }
+
+    function runEffects(deps) {
+        const effects = new Set();
+        for (const dep of deps) {
+            dep?.forEach(e => {
+                // An effect never re-triggers itself while running
+                if (e !== activeEffect) effects.add(e);
+            });
+        }
+
+        effects.forEach(e => {
+            if (e.scheduler) {
+                e.scheduler(e);
+            } else {
+                e();
+            }
+        });
+    }
+
+    function cleanupEffect(runner) {
+        runner.deps.forEach(dep => dep.delete(runner));
+        runner.deps.length = 0;
+    }
+
+    /**
+     * Run a function and re-run it whenever a reactive property it read changes.
+     * Dependencies are collected again on every run, so conditional reads are handled.
+     *
+     * @param {Function} fn - Side effect
+     * @param {Object} options
+     * @param {boolean} [options.lazy=false] - Don't run immediately
+     * @param {Function} [options.scheduler] - Called with the runner instead of re-running it
+     * @returns {Function} Runner; call runner.stop() to dispose
+     *
+     * @example
+     * const state = reactive({ count: 0 });
+     * effect(() => console.log(state.count)); // logs 0
+     * state.count++;                          // logs 1
+     */
+    function effect(fn, options = {}) {
+        const runner = () => {
+            if (!runner.active) return fn();
+
+            cleanupEffect(runner);
+            effectStack.push(runner);
+            activeEffect = runner;
+
+            try {
+                return fn();
+            } finally {
+                effectStack.pop();
+                activeEffect = effectStack[effectStack.length - 1] || null;
+            }
+        };
+
+        runner.deps = [];
+        runner.active = true;
+        runner.scheduler = options.scheduler || null;
+        runner.stop = () => {
+            if (!runner.active) return;
+            cleanupEffect(runner);
+            runner.active = false;
+        };
+
+        if (!options.lazy) runner();
+
+        return runner;
+    }
+
+    /**
+     * Run a function without collecting dependencies
+     * @param {Function} fn
+     * @returns {*}
+     */
+    function untracked(fn) {
+        effectStack.push(null);
+        activeEffect = null;
+        try {
+            return fn();
+        } finally {
+            effectStack.pop();
+            activeEffect = effectStack[effectStack.length - 1] || null;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CHANGE NOTIFICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Remember that `child` is reachable as parent[key], so changes
+     * inside it bubble up to the parent's subscribers
+     */
+    function linkParent(child, parent, key) {
+        const meta = metaMap.get(child);
+        if (!meta) return;
+
+        let keys = meta.parents.get(parent);
+        if (!keys) {
+            keys = new Set();
+            meta.parents.set(parent, keys);
+        }
+        keys.add(key);
+    }
+
+    /**
+     * Whether parent still holds child under key
+     * @param {Object} parent - Raw object, array, Map or Set
+     * @param {*} key
+     * @param {Object} child - Raw object
+     * @returns {boolean}
+     */
+    function holds(parent, key, child) {
+        switch (typeOf(parent)) {
+            case 'Map': return toRaw(parent.get(key)) === child;
+            case 'Set': return parent.has(child);
+            default: return toRaw(parent[key]) === child;
+        }
+    }
+
+    /**
+     * Call subscribers of target and of every object that (still) contains it.
+     *
+     * Subscribers are called with (prop, value, oldValue, info):
+     * - prop: changed property, dotted for nested changes ('items.0.name').
+     *   `null` when a collection reports a change on itself (array methods, Map/Set)
+     * - info: { path, nested, change } where change is the batched record of
+     *   array methods and Map/Set operations ({ type, index|key, added, removed, ... })
+     *
+     * @param {Object} target - Raw object that changed
+     * @param {Array} path - Path from the subscriber's object to the changed property
+     * @param {*} value
+     * @param {*} oldValue
+     * @param {Object} [change] - Collection change record
+     * @param {Set} seen - Guards against cyclic structures
+     */
+    function notify(target, path, value, oldValue, change = null, seen = new Set()) {
+        if (seen.has(target)) return;
+        seen.add(target);
+
+        const meta = metaMap.get(target);
+        if (!meta) return;
+
+        const prop = path.length ? path.map(String).join('.') : null;
+        const info = { path, nested: path.length > 1, change };
+
+        meta.listeners.forEach(fn => {
+            try {
+                fn(prop, value, oldValue, info);
+            } catch (e) {
+                logListenerError(e);
+            }
+        });
+
+        meta.parents.forEach((keys, parent) => {
+            keys.forEach(key => {
+                // Drop links to properties that no longer hold this object
+                if (!holds(parent, key, target)) {
+                    keys.delete(key);
+                    return;
+                }
+                notify(parent, [key, ...path], value, oldValue, change, seen);
+            });
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REACTIVE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Wrap a value read from a reactive container, linking it to its parent
+     * @param {*} value - Raw value
+     * @param {Object} parent - Raw container
+     * @param {*} key - Key of value in parent
+     * @returns {*}
+     */
+    function wrapChild(value, parent, key) {
+        if (!isObservable(value)) return value;
+        const nested = reactive(value);
+        linkParent(value, parent, key);
+        return nested;
+    }
+
+    const NOT_INTERNAL = Symbol('notInternal');
+
+    /**
+     * Internal properties shared by every reactive proxy
+     * @returns {*} The property value, or NOT_INTERNAL
+     */
+    function getInternal(target, prop, meta) {
+        switch (prop) {
+            case '__isReactive': return true;
+            case '__listeners': return meta.listeners;
+            case '__raw': return target;
+            // Whether an effect (e.g. a component render) or subscriber still reads it
+            case '__observed':
+                return meta.listeners.size > 0 ||
+                    Array.from(targetMap.get(target)?.values() ?? []).some(dep => dep.size > 0);
+            case '__subscribe':
+                return (fn) => {
+                    meta.listeners.add(fn);
+                    return () => meta.listeners.delete(fn);
+                };
+            default: return NOT_INTERNAL;
+        }
+    }
+
+    // ─── Arrays ─────────────────────────────────────────────────────
+
+    /**
+     * Apply a mutating method on the raw array and report it once,
+     * instead of one notification per index and `length`
+     * @param {Array} target - Raw array
+     * @param {string} method
+     * @param {Array} args
+     * @returns {*} Method result
+     */
+    function mutateArray(target, method, args) {
+        const before = target.slice();
+        const rawArgs = args.map(toRaw);
+        const result = Array.prototype[method].apply(target, rawArgs);
+
+        let change;
+        switch (method) {
+            case 'push':
+                change = { index: before.length, added: rawArgs, removed: [] };
+                break;
+            case 'unshift':
+                change = { index: 0, added: rawArgs, removed: [] };
+                break;
+            case 'pop':
+                change = { index: target.length, added: [], removed: before.length ? [result] : [] };
+                break;
+            case 'shift':
+                change = { index: 0, added: [], removed: before.length ? [result] : [] };
+                break;
+            case 'splice': {
+                const start = rawArgs[0] ?? 0;
+                change = {
+                    index: start < 0 ? Math.max(before.length + start, 0) : Math.min(start, before.length),
+                    added: rawArgs.slice(2),
+                    removed: result
+                };
+                break;
+            }
+            default:
+                // sort, reverse, fill, copyWithin: report the whole new content
+                change = { index: 0, added: target.slice(), removed: before };
+        }
+
+        const changed = before.length !== target.length || before.some((v, i) => v !== target[i]);
+        if (changed) {
+            triggerAll(target);
+            notify(target, [], change.added, change.removed, { type: method, ...change });
+        }
+
+        // Methods returning the array itself return the proxy
+        return result === target ? proxyMap.get(target) : result;
+    }
+
+    function arrayHandler(meta) {
+        return {
+            get(target, prop, receiver) {
+                const internal = getInternal(target, prop, meta);
+                if (internal !== NOT_INTERNAL) return internal;
+
+                if (ARRAY_MUTATORS.includes(prop)) {
+                    return (...args) => mutateArray(target, prop, args);
+                }
+
+                if (ARRAY_SEARCHES.includes(prop)) {
+                    return (search, ...rest) => {
+                        track(target, ITERATE_KEY);
+                        track(target, 'length');
+                        return Array.prototype[prop].call(target, toRaw(search), ...rest);
                     };
                 }
-                if (prop === '__raw') return target;
-                
+
+                const value = Reflect.get(target, prop, receiver);
+                if (typeof prop !== 'symbol') track(target, prop);
+
+                return wrapChild(value, target, prop);
+            },
+
+            set: objectSet,
+            deleteProperty: objectDelete,
+            has: objectHas,
+            ownKeys: objectOwnKeys
+        };
+    }
+
+    // ─── Plain objects ──────────────────────────────────────────────
+
+    function objectSet(target, prop, value) {
+        const rawValue = toRaw(value);
+        const hadKey = Object.prototype.hasOwnProperty.call(target, prop);
+        const oldValue = target[prop];
+
+        if (oldValue !== rawValue || !hadKey) {
+            target[prop] = rawValue;
+            trigger(target, prop, !hadKey);
+            notify(target, [prop], rawValue, oldValue);
+        }
+        return true;
+    }
+
+    function objectDelete(target, prop) {
+        if (prop in target) {
+            const oldValue = target[prop];
+            delete target[prop];
+            trigger(target, prop, true);
+            notify(target, [prop], undefined, oldValue);
+        }
+        return true;
+    }
+
+    function objectHas(target, prop) {
+        track(target, ITERATE_KEY);
+        return Reflect.has(target, prop);
+    }
+
+    function objectOwnKeys(target) {
+        track(target, ITERATE_KEY);
+        return Reflect.ownKeys(target);
+    }
+
+    function objectHandler(meta) {
+        return {
+            get(target, prop, receiver) {
+                const internal = getInternal(target, prop, meta);
+                if (internal !== NOT_INTERNAL) return internal;
+
+                const value = Reflect.get(target, prop, receiver);
+                if (typeof prop !== 'symbol') track(target, prop);
+
                 // Recursively make nested objects reactive
-                const value = target[prop];
-                if (value && typeof value === 'object' && !value.__isReactive) {
-                    target[prop] = reactive(value);
-                    return target[prop];
-                }
-                return value;
+                return wrapChild(value, target, prop);
             },
-            
-            set(target, prop, value) {
-                const oldValue = target[prop];
-                if (oldValue !== value) {
-                    target[prop] = value;
-                    listeners.forEach(fn => {
-                        try {
-                            fn(prop, value, oldValue);
-                        } catch (e) {
-                            if (typeof TMLogger !== 'undefined' && TMLogger?.Logger?.error) {
-                                TMLogger.Logger.error('Reactive', 'Listener error', e);
-                            } else {
-                                console.error('[TM] [Reactive] Listener error', e);
-                            }
-                        }
-                    });
+
+            set: objectSet,
+            deleteProperty: objectDelete,
+            has: objectHas,
+            ownKeys: objectOwnKeys
+        };
+    }
+
+    // ─── Map / Set ──────────────────────────────────────────────────
+
+    /**
+     * Methods of reactive Maps and Sets, called with the raw collection.
+     * Reads are tracked per key (or ITERATE_KEY for size and iteration),
+     * writes trigger effects and notify subscribers with a change record.
+     */
+    const collectionMethods = {
+        get(target, key) {
+            key = toRaw(key);
+            track(target, key);
+            return wrapChild(target.get(key), target, key);
+        },
+
+        has(target, key) {
+            key = toRaw(key);
+            track(target, key);
+            return target.has(key);
+        },
+
+        set(target, key, value) {
+            key = toRaw(key);
+            value = toRaw(value);
+            const hadKey = target.has(key);
+            const oldValue = target.get(key);
+
+            if (!hadKey || oldValue !== value) {
+                target.set(key, value);
+                trigger(target, key, !hadKey);
+                notify(target, [], value, oldValue, {
+                    type: hadKey ? 'set' : 'add', key, value, oldValue
+                });
+            }
+            return proxyMap.get(target);
+        },
+
+        add(target, value) {
+            value = toRaw(value);
+            if (!target.has(value)) {
+                target.add(value);
+                trigger(target, value, true);
+                notify(target, [], value, undefined, { type: 'add', key: value, value });
+            }
+            return proxyMap.get(target);
+        },
+
+        delete(target, key) {
+            key = toRaw(key);
+            if (!target.has(key)) return false;
+
+            const oldValue = typeOf(target) === 'Map' ? target.get(key) : key;
+            target.delete(key);
+            trigger(target, key, true);
+            notify(target, [], undefined, oldValue, { type: 'delete', key, oldValue });
+            return true;
+        },
+
+        clear(target) {
+            if (!target.size) return;
+
+            const removed = Array.from(target.entries());
+            target.clear();
+            triggerAll(target);
+            notify(target, [], undefined, removed, { type: 'clear', removed });
+        },
+
+        forEach(target, callback, thisArg) {
+            track(target, ITERATE_KEY);
+            const proxy = proxyMap.get(target);
+            const isSet = typeOf(target) === 'Set';
+            target.forEach((value, key) => {
+                const wrapped = wrapChild(value, target, isSet ? SET_ENTRY : key);
+                callback.call(thisArg, wrapped, isSet ? wrapped : key, proxy);
+            });
+        },
+
+        keys(target) {
+            return iterateCollection(target, 'keys');
+        },
+
+        values(target) {
+            return iterateCollection(target, 'values');
+        },
+
+        entries(target) {
+            return iterateCollection(target, 'entries');
+        },
+
+        [Symbol.iterator](target) {
+            return iterateCollection(target, typeOf(target) === 'Map' ? 'entries' : 'values');
+        }
+    };
+
+    /**
+     * Iterator over a raw collection that yields reactive values
+     * @param {Map|Set} target
+     * @param {string} kind - 'keys' | 'values' | 'entries'
+     * @returns {Iterator}
+     */
+    function iterateCollection(target, kind) {
+        track(target, ITERATE_KEY);
+
+        const isSet = typeOf(target) === 'Set';
+        const inner = target[kind]();
+        const wrap = (value, key) => wrapChild(value, target, isSet ? SET_ENTRY : key);
+
+        return {
+            next() {
+                const { value, done } = inner.next();
+                if (done) return { value, done };
+
+                if (kind === 'entries') {
+                    return { value: [value[0], wrap(value[1], value[0])], done };
                 }
-                return true;
+                return { value: kind === 'keys' && !isSet ? value : wrap(value, value), done };
             },
-            
-            deleteProperty(target, prop) {
-                if (prop in target) {
-                    const oldValue = target[prop];
-                    delete target[prop];
-                    listeners.forEach(fn => fn(prop, undefined, oldValue));
+            [Symbol.iterator]() {
+                return this;
+            }
+        };
+    }
+
+    function collectionHandler(meta) {
+        return {
+            get(target, prop) {
+                const internal = getInternal(target, prop, meta);
+                if (internal !== NOT_INTERNAL) return internal;
+
+                if (prop === 'size') {
+                    track(target, ITERATE_KEY);
+                    return target.size;
+                }
+
+                if (Object.prototype.hasOwnProperty.call(collectionMethods, prop)) {
+                    return (...args) => collectionMethods[prop](target, ...args);
                 }
-                return true;
+
+                // Anything else must run against the raw collection (internal slots)
+                const value = Reflect.get(target, prop, target);
+                return typeof value === 'function' ? value.bind(target) : value;
             }
         };
-        
-        return new Proxy(obj, handler);
     }
 
     /**
-     * Creates a computed value that caches and auto-updates
+     * Creates a reactive proxy that notifies subscribers on changes.
+     * Nested objects are wrapped lazily on access; changes inside them
+     * are reported to the parent's subscribers with a dotted path
+     * (e.g. 'items.0.name').
+     *
+     * Arrays report mutating methods (push, splice, sort...) as a single
+     * change, and Maps/Sets are reactive through their methods.
+     *
+     * @param {Object|Array|Map|Set} obj - Object to make reactive
+     * @returns {Proxy} Reactive proxy
+     */
+    function reactive(obj) {
+        if (obj?.__isReactive) return obj;
+
+        const existing = proxyMap.get(obj);
+        if (existing) return existing;
+
+        const meta = { listeners: new Set(), parents: new Map() };
+        metaMap.set(obj, meta);
+
+        let handler;
+        if (Array.isArray(obj)) {
+            handler = arrayHandler(meta);
+        } else if (isCollection(obj)) {
+            handler = collectionHandler(meta);
+        } else {
+            handler = objectHandler(meta);
+        }
+
+        const proxy = new Proxy(obj, handler);
+        proxyMap.set(obj, proxy);
+        return proxy;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMPUTED
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Creates a computed value that caches and auto-updates.
+     * Dependencies are tracked automatically; the value is recomputed
+     * lazily on the next read after one of them changes. Computeds can
+     * be read inside effects and other computeds.
+     *
      * @param {Function} fn - Computation function
-     * @param {Array} deps - Reactive dependencies
-     * @returns {Function} Getter function
+     * @param {Array} deps - Deprecated: extra reactive objects that invalidate the cache
+     * @returns {Function} Getter function (also exposes `.value`)
+     *
+     * @example
+     * const state = reactive({ items: [] });
+     * const count = computed(() => state.items.length);
+     * count(); // 0
      */
     function computed(fn, deps = []) {
         let cached;
         let dirty = true;
-        
+        // Dependents of the computed track this object instead of fn's sources
+        const self = {};
+
+        const invalidate = () => {
+            if (dirty) return;
+            dirty = true;
+            trigger(self, 'value');
+        };
+
+        const runner = effect(fn, { lazy: true, scheduler: invalidate });
+
         deps.forEach(dep => {
             if (dep?.__subscribe) {
-                dep.__subscribe(() => { dirty = true; });
+                dep.__subscribe(invalidate);
             }
         });
-        
-        return () => {
+
+        const getter = () => {
             if (dirty) {
-                cached = fn();
+                cached = runner();
                 dirty = false;
             }
+            track(self, 'value');
             return cached;
         };
+
+        Object.defineProperty(getter, 'value', { get: getter });
+        getter.stop = runner.stop;
+
+        return getter;
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // WATCH
+    // ═══════════════════════════════════════════════════════════════
+
     /**
-     * Watch a reactive object for changes
-     * @param {Proxy} source - Reactive object
+     * Read every nested property so an effect depends on all of them
+     * @param {*} value
+     * @param {Set} seen
+     * @returns {*}
+     */
+    function traverse(value, seen = new Set()) {
+        if (!value || typeof value !== 'object' || seen.has(value)) return value;
+        seen.add(value);
+
+        if (isCollection(value)) {
+            value.forEach(item => traverse(item, seen));
+        } else {
+            for (const key of Object.keys(value)) {
+                traverse(value[key], seen);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Watch a reactive object or a getter for changes
+     *
+     * - Reactive object: callback(raw, { prop, newVal, oldVal, path }) on each change.
+     *   Changes inside nested objects are only reported with `deep: true`.
+     * - Getter function: callback(newValue, oldValue) when the returned value changes
+     *   (or when anything nested in it changes, with `deep: true`).
+     *
+     * @param {Proxy|Function} source - Reactive object or getter
      * @param {Function} callback - Called on change
      * @param {Object} options - { immediate: boolean, deep: boolean }
      * @returns {Function} Unwatch function
      */
     function watch(source, callback, options = {}) {
-        const { immediate = false } = options;
-        
+        const { immediate = false, deep = false } = options;
+
+        if (typeof source === 'function') {
+            let oldValue;
+            const getter = deep ? () => traverse(source()) : source;
+
+            const job = () => {
+                const newValue = runner();
+                if (deep || newValue !== oldValue) {
+                    const previous = oldValue;
+                    oldValue = newValue;
+                    callback(newValue, previous);
+                }
+            };
+
+            const runner = effect(getter, { lazy: true, scheduler: job });
+
+            if (immediate) {
+                job();
+            } else {
+                oldValue = runner();
+            }
+
+            return runner.stop;
+        }
+
         if (immediate) {
             callback(source.__raw, undefined);
         }
-        
-        return source.__subscribe((prop, newVal, oldVal) => {
-            callback(source.__raw, { prop, newVal, oldVal });
+
+        return source.__subscribe((prop, newVal, oldVal, info = {}) => {
+            if (info.nested && !deep) return;
+            callback(source.__raw, { prop, newVal, oldVal, path: info.path || [prop] });
         });
     }
 
     /**
      * Create a ref (single value wrapper)
-     * @param {*} initialValue 
+     * @param {*} initialValue
      * @returns {Proxy}
      */
     function ref(initialValue) {
@@ -125,7 +812,10 @@ const TMReactive = (function() {
         reactive,
         computed,
         watch,
-        ref
+        ref,
+        effect,
+        untracked,
+        toRaw
     };
 })();
 
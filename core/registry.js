@@ -0,0 +1,99 @@
+/**
+ * TM Framework - Component Registry
+ * Tracks mounted components without keeping them alive
+ */
+
+const TMRegistry = (function() {
+    'use strict';
+
+    /** componentId → WeakRef<Component> */
+    const entries = new Map();
+
+    const weakRef = typeof WeakRef !== 'undefined'
+        ? component => new WeakRef(component)
+        : component => ({ deref: () => component });
+
+    /**
+     * @param {Component} component
+     */
+    function register(component) {
+        entries.set(component._componentId, weakRef(component));
+    }
+
+    /**
+     * @param {Component} component
+     */
+    function unregister(component) {
+        entries.delete(component._componentId);
+    }
+
+    /**
+     * @param {string} id - Component id (`data-tm-component`)
+     * @returns {Component|null}
+     */
+    function byId(id) {
+        const component = entries.get(id)?.deref();
+        if (!component) entries.delete(id);
+        return component ?? null;
+    }
+
+    /**
+     * Every mounted component, in mount order
+     * @returns {Component[]}
+     */
+    function all() {
+        return Array.from(entries.keys()).map(byId).filter(Boolean);
+    }
+
+    /**
+     * Components of a class (subclasses included) or with a class name
+     * @param {Function|string} ComponentClass
+     * @returns {Component[]}
+     */
+    function byClass(ComponentClass) {
+        return all().filter(component => typeof ComponentClass === 'string'
+            ? component.constructor.name === ComponentClass
+            : component instanceof ComponentClass);
+    }
+
+    /**
+     * The innermost component that rendered a node (shadow roots included)
+     * @param {Node} el
+     * @returns {Component|null}
+     */
+    function byElement(el) {
+        const start = el?.nodeType === Node.ELEMENT_NODE ? el : el?.parentElement;
+        for (let node = start; node; node = node.getRootNode?.().host) {
+            const root = node.closest?.('[data-tm-component], [data-tm-host]');
+            const component = root && byId(root.dataset.tmComponent ?? root.dataset.tmHost);
+            if (component) return component;
+        }
+        return null;
+    }
+
+    /**
+     * Component hierarchy starting at the roots (components without a parent)
+     * @returns {Array<{component: Component, id: string, name: string, children: Array}>}
+     */
+    function tree() {
+        const node = component => ({
+            component,
+            id: component._componentId,
+            name: component.constructor.name,
+            children: Array.from(component._children.values()).map(node)
+        });
+
+        return all().filter(component => !component._parent).map(node);
+    }
+
+    return {
+        register,
+        unregister,
+        registry: { all, byId, byClass, byElement, tree }
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMRegistry = TMRegistry;
+}
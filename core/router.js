@@ -0,0 +1,299 @@
+/**
+ * TM Framework - Router
+ * Detects SPA navigations and activates features per URL pattern
+ */
+
+const TMRouter = (function() {
+    'use strict';
+
+    const { reactive } = TMReactive;
+
+    /** Events fired by Turbo/Turbolinks/pjax after a page change */
+    const NAVIGATION_EVENTS = ['popstate', 'hashchange', 'turbo:load', 'turbo:render', 'turbolinks:load', 'pjax:end'];
+
+    const listeners = new Set();
+    const routes = new Set();
+    let started = false;
+    let scheduled = false;
+    let lastHref = globalThis.location?.href ?? null;
+
+    /**
+     * @returns {{url: string, path: string, query: Object, hash: string}}
+     */
+    function snapshot() {
+        const { href, pathname, search, hash } = globalThis.location;
+        return {
+            url: href,
+            path: pathname,
+            query: Object.fromEntries(new URLSearchParams(search)),
+            hash: hash.replace(/^#/, '')
+        };
+    }
+
+    /** Reactive current location, updated on every navigation */
+    const current = reactive(snapshot());
+
+    // ═══════════════════════════════════════════════════════════════
+    // PATTERNS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Compile a path pattern. `:name` matches one segment, `:name+` one or
+     * more segments and `*` anything; the trailing slash is optional.
+     * @param {string} pattern - e.g. '/:project+/-/issues/:iid'
+     * @returns {{regex: RegExp, names: string[]}}
+     */
+    function compile(pattern) {
+        const names = [];
+        const source = pattern
+            .replace(/\/+$/, '')
+            .split(/(:[A-Za-z_$][\w$]*\+?|\*)/)
+            .map(part => {
+                if (part === '*') return '.*';
+                if (part.startsWith(':')) {
+                    const many = part.endsWith('+');
+                    names.push(part.slice(1).replace(/\+$/, ''));
+                    return many ? '(.+?)' : '([^/]+)';
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+
+        return { regex: new RegExp(`^${source}/?$`), names };
+    }
+
+    /**
+     * Match a pattern against a location
+     * @param {string|RegExp|Function} pattern - Path pattern (a leading '#' matches the hash instead),
+     *     RegExp tested against path + search + hash, or (location) => params object | boolean
+     * @param {Object} [location] - Defaults to the current location
+     * @returns {Object|null} Params, or null when it does not match
+     */
+    function match(pattern, location = snapshot()) {
+        if (typeof pattern === 'function') {
+            const result = pattern(location);
+            if (!result) return null;
+            return typeof result === 'object' ? result : {};
+        }
+
+        if (pattern instanceof RegExp) {
+            const url = new URL(location.url);
+            const found = `${url.pathname}${url.search}${url.hash}`.match(pattern);
+            return found ? { ...found.groups } : null;
+        }
+
+        const hashPattern = pattern.startsWith('#');
+        const { regex, names } = compile(hashPattern ? pattern.slice(1) : pattern);
+        const found = (hashPattern ? location.hash : location.path).match(regex);
+        if (!found) return null;
+
+        return names.reduce((params, name, i) => {
+            params[name] = decodeURIComponent(found[i + 1]);
+            return params;
+        }, {});
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // NAVIGATION DETECTION
+    // ═══════════════════════════════════════════════════════════════
+
+    /** Check the URL once the current task is done (pushState comes before the page renders) */
+    function schedule() {
+        if (scheduled) return;
+        scheduled = true;
+        queueMicrotask(() => {
+            scheduled = false;
+            check();
+        });
+    }
+
+    /**
+     * Wrap pushState/replaceState of the page's history, which the
+     * sandbox shares with `unsafeWindow`
+     */
+    function patchHistory() {
+        const target = typeof unsafeWindow !== 'undefined' ? unsafeWindow.history : globalThis.history;
+
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = target[method];
+            if (original.__tmPatched) return;
+
+            const patched = function(...args) {
+                const result = original.apply(this, args);
+                schedule();
+                return result;
+            };
+            patched.__tmPatched = true;
+            target[method] = patched;
+        });
+    }
+
+    function start() {
+        if (started) return;
+        started = true;
+
+        patchHistory();
+        // Turbo events are dispatched on document and bubble to window
+        NAVIGATION_EVENTS.forEach(type => globalThis.addEventListener(type, schedule));
+
+        // Navigation API (Chromium) also reports navigations made by page scripts
+        globalThis.navigation?.addEventListener?.('navigatesuccess', schedule);
+    }
+
+    /**
+     * Compare the URL with the last one seen and notify when it changed.
+     * Called automatically; call it after navigations the router cannot see.
+     * @returns {boolean} Whether the URL changed
+     */
+    function check() {
+        const href = globalThis.location.href;
+        if (href === lastHref) return false;
+
+        const previous = { ...current };
+        lastHref = href;
+        Object.assign(current, snapshot());
+
+        listeners.forEach(listener => {
+            try {
+                listener(current, previous);
+            } catch (e) {
+                TMLogger.Logger.error('Router', 'Navigation listener failed', e);
+            }
+        });
+        updateRoutes();
+        return true;
+    }
+
+    /**
+     * Call a function after every navigation
+     * @param {Function} listener - (current, previous) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+        start();
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ROUTES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Destroy what `enter` returned: components, cleanup functions or arrays of them
+     * @param {*} owned
+     */
+    function teardown(owned) {
+        [].concat(owned ?? []).forEach(item => {
+            try {
+                if (typeof item === 'function') item();
+                else if (typeof item?.destroy === 'function') item.destroy();
+            } catch (e) {
+                TMLogger.Logger.error('Router', 'Route teardown failed', e);
+            }
+        });
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {Object} params
+     */
+    function enter(entry, params) {
+        const context = { params, ...snapshot() };
+        const visit = { context, owned: null, left: false };
+        entry.active = visit;
+
+        let result;
+        try {
+            result = entry.handlers.enter?.(params, context);
+        } catch (e) {
+            TMLogger.Logger.error('Router', `enter() of "${entry.pattern}" failed`, e);
+            return;
+        }
+
+        // Async enter: whatever it resolves to is torn down if the route was left meanwhile
+        Promise.resolve(result).then(owned => {
+            if (visit.left) teardown(owned);
+            else visit.owned = owned;
+        }, e => TMLogger.Logger.error('Router', `enter() of "${entry.pattern}" failed`, e));
+    }
+
+    /**
+     * @param {Object} entry
+     */
+    function leave(entry) {
+        const visit = entry.active;
+        entry.active = null;
+        visit.left = true;
+
+        teardown(visit.owned);
+        try {
+            entry.handlers.leave?.(visit.context.params, visit.context);
+        } catch (e) {
+            TMLogger.Logger.error('Router', `leave() of "${entry.pattern}" failed`, e);
+        }
+    }
+
+    function updateRoutes() {
+        const location = snapshot();
+        const next = new Map();
+        routes.forEach(entry => next.set(entry, match(entry.pattern, location)));
+
+        // Leave every route first so features of the old page are gone before new ones start
+        next.forEach((params, entry) => {
+            if (entry.active && JSON.stringify(params) !== JSON.stringify(entry.active.context.params)) leave(entry);
+        });
+        next.forEach((params, entry) => {
+            if (params && !entry.active) enter(entry, params);
+        });
+    }
+
+    /**
+     * Run a feature while the URL matches a pattern. `enter` runs when the
+     * route starts matching (or its params change) and can return components,
+     * cleanup functions or an array of them, which are destroyed/called on leave.
+     *
+     * @param {string|RegExp|Function} pattern - See `router.match`
+     * @param {Object|Function} handlers - { enter(params, context), leave(params, context) }, or just enter
+     * @returns {Function} Unregister function (leaves the route if active)
+     *
+     * @example
+     * TM.route('/:project+/-/issues/:iid', {
+     *     enter: ({ project, iid }) => new LabelPanel({ project, iid }).mount('.issuable-sidebar'),
+     *     leave: () => TM.Logger.info('Labels', 'Left the issue')
+     * });
+     */
+    function route(pattern, handlers) {
+        start();
+
+        const entry = {
+            pattern,
+            handlers: typeof handlers === 'function' ? { enter: handlers } : handlers,
+            active: null
+        };
+        routes.add(entry);
+
+        const params = match(pattern);
+        if (params) enter(entry, params);
+
+        return () => {
+            if (!routes.delete(entry)) return;
+            if (entry.active) leave(entry);
+        };
+    }
+
+    return {
+        router: {
+            current,
+            onChange,
+            check,
+            match
+        },
+        route
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMRouter = TMRouter;
+}
@@ -0,0 +1,124 @@
+/**
+ * TM Framework - Update Scheduler
+ * Batches component updates into a single microtask flush
+ */
+
+const TMScheduler = (function() {
+    'use strict';
+
+    /** Max updates of one component in a single flush (guards update loops) */
+    const RECURSION_LIMIT = 100;
+
+    const queue = new Set();
+    const resolved = Promise.resolve();
+    let currentFlush = null;
+    let flushPending = false;
+    let flushing = false;
+
+    /**
+     * Depth of a component in the _parent chain (roots are 0)
+     * @param {Component} component
+     * @returns {number}
+     */
+    function depth(component) {
+        let d = 0;
+        for (let p = component._parent; p; p = p._parent) d++;
+        return d;
+    }
+
+    /**
+     * Take the shallowest queued component, so parents flush before
+     * children (a parent update may change or destroy its children)
+     * @returns {Component}
+     */
+    function dequeue() {
+        let next = null;
+        let nextDepth = Infinity;
+
+        for (const component of queue) {
+            const d = depth(component);
+            if (d < nextDepth) {
+                next = component;
+                nextDepth = d;
+            }
+        }
+
+        queue.delete(next);
+        return next;
+    }
+
+    function flush() {
+        flushPending = false;
+        flushing = true;
+        const counts = new Map();
+
+        try {
+            while (queue.size) {
+                const component = dequeue();
+                if (!component._mounted) continue;
+
+                const count = (counts.get(component) || 0) + 1;
+                counts.set(component, count);
+                if (count > RECURSION_LIMIT) {
+                    TMLogger.Logger.error('Scheduler', `Maximum recursive updates exceeded in ${component._componentId}`);
+                    component._updateScheduled = false;
+                    continue;
+                }
+
+                try {
+                    component._runScheduledUpdate();
+                } catch (e) {
+                    TMLogger.Logger.error('Scheduler', 'Update failed', e);
+                }
+            }
+        } finally {
+            flushing = false;
+        }
+    }
+
+    /**
+     * Queue a component update for the next flush (deduplicated)
+     * @param {Component} component
+     */
+    function queueUpdate(component) {
+        queue.add(component);
+
+        if (!flushPending && !flushing) {
+            flushPending = true;
+            currentFlush = resolved.then(flush);
+        }
+    }
+
+    /**
+     * Run after pending updates have been flushed to the DOM
+     * @param {Function} [fn]
+     * @returns {Promise}
+     *
+     * @example
+     * component.state.count++;
+     * await TM.nextTick();
+     * component.el.textContent; // updated
+     */
+    function nextTick(fn) {
+        const p = currentFlush || resolved;
+        return fn ? p.then(() => fn()) : p;
+    }
+
+    /**
+     * Flush pending updates synchronously (mostly for tests)
+     */
+    function flushSync() {
+        if (queue.size && !flushing) flush();
+    }
+
+    return {
+        queueUpdate,
+        nextTick,
+        flushSync
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMScheduler = TMScheduler;
+}
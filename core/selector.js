@@ -46,6 +46,643 @@ const TMSelector = (function() {
     'tag': 1,
   };
 
+  /**
+   * Health status order used to sort reports (worst first)
+   */
+  const STATUS_ORDER = { failing: 0, degraded: 1, healthy: 2 };
+
+  /**
+   * Attributes remembered in fingerprints, most stable first
+   */
+  const STABLE_ATTRIBUTES = Object.keys(SELECTOR_PRIORITY)
+    .filter(name => name !== 'class' && name !== 'tag')
+    .sort((a, b) => SELECTOR_PRIORITY[b] - SELECTOR_PRIORITY[a]);
+
+  /**
+   * Weight of each fingerprint feature in the similarity score
+   */
+  const FINGERPRINT_WEIGHTS = {
+    attributes: 0.35,
+    text: 0.3,
+    path: 0.2,
+    classes: 0.1,
+    index: 0.05,
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // FINGERPRINTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function isFragile(selector) {
+    return FRAGILE_PATTERNS.some(pattern => pattern.test(selector));
+  }
+
+  /**
+   * @param {string} name - Attribute name
+   * @param {string|null} value
+   * @returns {boolean} Whether the value can identify an element across page loads
+   */
+  function isStableValue(name, value) {
+    if (!value || value.length > 200) return false;
+    if (name === 'id') return !isFragile(`#${value}`) && !/\d{3,}/.test(value);
+    return true;
+  }
+
+  /**
+   * Class names that are not generated (CSS-in-JS, CSS Modules, ids)
+   * @param {Element} el
+   * @returns {string[]}
+   */
+  function stableClasses(el) {
+    return Array.from(el.classList).filter(name => !isFragile(`.${name}`) && !/\d{3,}/.test(name));
+  }
+
+  /**
+   * Collapsed text content, or '' when it is too long to identify the element
+   * @param {Element} el
+   * @returns {string}
+   */
+  function shortText(el) {
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    return text.length <= 100 ? text : '';
+  }
+
+  /**
+   * Tag, stable id and data-testid of the closest ancestors
+   * @param {Element} el
+   * @returns {string[]}
+   */
+  function ancestorPath(el) {
+    const path = [];
+    for (let node = el.parentElement; node && node !== document.body && path.length < 4; node = node.parentElement) {
+      const id = node.getAttribute('id');
+      const testId = node.getAttribute('data-testid');
+      path.push(`${node.localName}${isStableValue('id', id) ? `#${id}` : ''}${testId ? `[data-testid="${testId}"]` : ''}`);
+    }
+    return path;
+  }
+
+  /**
+   * @param {Element} el
+   * @returns {number} Position among the siblings with the same tag
+   */
+  function siblingIndex(el) {
+    const siblings = el.parentElement ? Array.from(el.parentElement.children) : [el];
+    return siblings.filter(sibling => sibling.localName === el.localName).indexOf(el);
+  }
+
+  /**
+   * Describe an element with what tends to survive UI releases
+   * @param {Element} el
+   * @returns {Object} { tag, attributes, classes, text, path, index, time }
+   */
+  function fingerprint(el) {
+    return {
+      tag: el.localName,
+      attributes: STABLE_ATTRIBUTES
+        .filter(name => isStableValue(name, el.getAttribute(name)))
+        .map(name => [name, el.getAttribute(name)]),
+      classes: stableClasses(el),
+      text: shortText(el),
+      path: ancestorPath(el),
+      index: siblingIndex(el),
+      time: Date.now(),
+    };
+  }
+
+  /**
+   * Score how much an element looks like a fingerprint
+   * @param {Object} print - Fingerprint
+   * @param {Element} el - Candidate (same tag)
+   * @returns {number} 0..1
+   */
+  function similarity(print, el) {
+    const features = [];
+
+    if (print.attributes.length) {
+      let total = 0;
+      let matched = 0;
+      for (const [name, value] of print.attributes) {
+        total += SELECTOR_PRIORITY[name];
+        if (el.getAttribute(name) === value) matched += SELECTOR_PRIORITY[name];
+      }
+      features.push([FINGERPRINT_WEIGHTS.attributes, matched / total]);
+    }
+
+    if (print.text) {
+      const text = shortText(el);
+      const partial = text && (text.includes(print.text) || print.text.includes(text));
+      features.push([FINGERPRINT_WEIGHTS.text, text === print.text ? 1 : partial ? 0.6 : 0]);
+    }
+
+    if (print.path.length) {
+      const path = ancestorPath(el);
+      features.push([FINGERPRINT_WEIGHTS.path, print.path.filter((part, i) => path[i] === part).length / print.path.length]);
+    }
+
+    if (print.classes.length) {
+      const classes = stableClasses(el);
+      const shared = print.classes.filter(name => classes.includes(name)).length;
+      features.push([FINGERPRINT_WEIGHTS.classes, shared / new Set([...print.classes, ...classes]).size]);
+    }
+
+    // Position alone says nothing
+    if (!features.length) return 0;
+    features.push([FINGERPRINT_WEIGHTS.index, siblingIndex(el) === print.index ? 1 : 0]);
+
+    const weight = features.reduce((sum, [w]) => sum + w, 0);
+    return features.reduce((sum, [w, score]) => sum + w * score, 0) / weight;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string} Value quoted for an attribute selector
+   */
+  function quote(value) {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  /**
+   * @param {string} selector
+   * @param {Element} el
+   * @param {Document|Element} root
+   * @returns {boolean} Whether the selector matches only `el` in `root`
+   */
+  function isUnique(selector, el, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === el;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Selectors made of an element's own stable attributes and classes
+   * @param {Element} el
+   * @returns {Array<{selector: string, priority: number, combined?: boolean}>}
+   */
+  function ownSelectors(el) {
+    const tag = el.localName;
+    const list = [];
+    const attributes = STABLE_ATTRIBUTES.filter(name => isStableValue(name, el.getAttribute(name)));
+
+    for (const name of attributes) {
+      const value = el.getAttribute(name);
+      list.push({
+        selector: name === 'id' && /^[A-Za-z][\w-]*$/.test(value) ? `#${value}` : `${tag}[${name}=${quote(value)}]`,
+        priority: SELECTOR_PRIORITY[name],
+      });
+    }
+
+    const classes = stableClasses(el);
+    if (classes.length) {
+      list.push({ selector: `${tag}.${classes.slice(0, 3).join('.')}`, priority: SELECTOR_PRIORITY.class });
+    }
+
+    // Two attributes together when neither is specific enough on its own
+    if (attributes.length >= 2) {
+      const [first, second] = attributes;
+      list.push({
+        selector: `${tag}[${first}=${quote(el.getAttribute(first))}][${second}=${quote(el.getAttribute(second))}]`,
+        priority: SELECTOR_PRIORITY[second],
+        combined: true,
+      });
+    }
+
+    return list;
+  }
+
+  /**
+   * Candidate selectors for an element, roughly most stable first: own attributes,
+   * then own selectors scoped to a uniquely identified ancestor, then a positional path
+   * @param {Element} el
+   * @param {Document|Element|ShadowRoot} root - Where the selectors must be unique
+   * @returns {Array<{selector: string, priority: number}>} Unique selectors only
+   */
+  function candidateSelectors(el, root) {
+    const candidates = [];
+    const add = (selector, priority) => {
+      if (!candidates.some(candidate => candidate.selector === selector) && isUnique(selector, el, root)) {
+        candidates.push({ selector, priority });
+      }
+    };
+
+    const own = ownSelectors(el);
+    own.filter(({ combined }) => !combined).forEach(({ selector, priority }) => add(selector, priority));
+    if (!candidates.length) {
+      own.filter(({ combined }) => combined).forEach(({ selector, priority }) => add(selector, priority));
+    }
+
+    // Scope to the closest ancestor that has a unique selector of its own
+    const local = own.length ? own : [{ selector: el.localName, priority: SELECTOR_PRIORITY.tag }];
+    let anchor = null;
+    for (let ancestor = el.parentElement, depth = 0; ancestor && depth < 5 && !anchor; ancestor = ancestor.parentElement, depth++) {
+      anchor = ownSelectors(ancestor).find(({ selector }) => isUnique(selector, ancestor, root));
+      if (anchor) {
+        local.forEach(({ selector, priority }) => add(`${anchor.selector} ${selector}`, Math.max(1, Math.min(priority, anchor.priority) - 1)));
+      }
+    }
+
+    // Last resort: nth-of-type steps up to the anchor (or the root)
+    const steps = [];
+    for (let node = el; node && node.parentElement && !(anchor && node.matches(anchor.selector)); node = node.parentElement) {
+      steps.unshift(`${node.localName}:nth-of-type(${siblingIndex(node) + 1})`);
+      if (steps.length >= 6) break;
+    }
+    if (steps.length) add([anchor?.selector, ...steps].filter(Boolean).join(' > '), 0);
+
+    return candidates;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string} Single-quoted JavaScript string
+   */
+  function jsString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * @param {string|Object} entry - Selector or `{ css, shadow }` descriptor
+   * @returns {string} JavaScript source of the entry
+   */
+  function entryString(entry) {
+    return typeof entry === 'string' ? jsString(entry) : `{ css: ${jsString(entry.css)}, shadow: true }`;
+  }
+
+  /**
+   * Generated selectors plus the entry to register for each. Selectors of an
+   * element in a shadow root are only unique inside it, so they become
+   * `{ css, shadow: true }` descriptors, kept when they find it from the document.
+   * @param {Element} el
+   * @param {number} maxCandidates
+   * @returns {Array<{selector: string, score: number, issues: string[], entry: string|Object}>}
+   */
+  function pickCandidates(el, maxCandidates) {
+    if (!(el.getRootNode() instanceof ShadowRoot)) {
+      return SelectorManager.generate(el, { maxCandidates }).map(candidate => ({ ...candidate, entry: candidate.selector }));
+    }
+
+    return SelectorManager.generate(el, { maxCandidates: Infinity })
+      .map(candidate => ({ ...candidate, entry: { css: candidate.selector, shadow: true } }))
+      .filter(({ entry }) => queryOne(entry, document) === el)
+      .slice(0, maxCandidates);
+  }
+
+  /**
+   * Highlight the element under the pointer until one is clicked (Escape cancels)
+   * @param {Object} options - See SelectorManager.pick
+   * @returns {Promise<Object|null>}
+   */
+  function pickElement({ key = 'element', maxCandidates = 3, manager = 'selectors' } = {}) {
+    return new Promise(resolve => {
+      const box = document.createElement('div');
+      box.setAttribute('data-tm-picker', '');
+      box.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;' +
+        'border:2px solid var(--tm-primary, #1f75cb);background:rgba(31, 117, 203, 0.12);border-radius:2px;display:none;';
+      const label = document.createElement('div');
+      label.style.cssText = 'position:absolute;left:-2px;top:100%;margin-top:4px;padding:2px 6px;white-space:nowrap;' +
+        'font:12px/1.4 monospace;color:#fff;background:#1f1f1f;border-radius:3px;';
+      box.appendChild(label);
+      document.body.appendChild(box);
+
+      let current = null;
+
+      // The innermost element, inside open shadow roots too
+      const targetOf = (e) => {
+        const el = e.composedPath?.()[0] ?? e.target;
+        return el instanceof Element && !box.contains(el) ? el : null;
+      };
+
+      const onMove = (e) => {
+        const el = targetOf(e);
+        if (!el || el === current) return;
+        current = el;
+
+        const rect = el.getBoundingClientRect();
+        Object.assign(box.style, {
+          display: 'block',
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+        });
+        label.textContent = SelectorManager.generate(el, { maxCandidates: 1 })[0]?.selector ?? el.localName;
+      };
+
+      // Keep the page from reacting to the pick
+      const block = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
+
+      const listeners = {
+        mousemove: onMove,
+        mousedown: block,
+        mouseup: block,
+        pointerdown: block,
+        pointerup: block,
+        click: (e) => {
+          block(e);
+          const el = targetOf(e);
+          if (!el) return;
+
+          const candidates = pickCandidates(el, maxCandidates);
+          const code = `${manager}.register(${jsString(key)}, [\n` +
+            candidates.map(({ entry }) => `  ${entryString(entry)},\n`).join('') + ']);';
+
+          console.log(`[Selector] Picked <${el.localName}>:\n${code}`);
+          if (typeof GM_setClipboard !== 'undefined') GM_setClipboard(code, 'text');
+          finish({ element: el, candidates, code });
+        },
+        keydown: (e) => {
+          if (e.key !== 'Escape') return;
+          block(e);
+          finish(null);
+        },
+      };
+
+      const finish = (result) => {
+        Object.entries(listeners).forEach(([type, listener]) => document.removeEventListener(type, listener, true));
+        box.remove();
+        resolve(result);
+      };
+
+      Object.entries(listeners).forEach(([type, listener]) => document.addEventListener(type, listener, true));
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SELECTOR DESCRIPTORS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Keys that make an object a selector descriptor
+   */
+  const DESCRIPTOR_TYPES = ['css', 'text', 'xpath', 'role'];
+
+  /**
+   * Elements with an implicit ARIA role (the common ones)
+   */
+  const IMPLICIT_ROLES = {
+    button: 'button, input[type="button"], input[type="submit"], input[type="reset"], summary',
+    link: 'a[href], area[href]',
+    heading: 'h1, h2, h3, h4, h5, h6',
+    textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], textarea',
+    searchbox: 'input[type="search"]',
+    checkbox: 'input[type="checkbox"]',
+    radio: 'input[type="radio"]',
+    combobox: 'select',
+    option: 'option',
+    list: 'ul, ol',
+    listitem: 'li',
+    img: 'img[alt]:not([alt=""])',
+    navigation: 'nav',
+    main: 'main',
+    form: 'form',
+    dialog: 'dialog',
+    table: 'table',
+    row: 'tr',
+    cell: 'td',
+    columnheader: 'th',
+    progressbar: 'progress',
+  };
+
+  /**
+   * @param {*} value
+   * @returns {boolean} Whether value is a `{ css | text | xpath | role }` descriptor
+   */
+  function isDescriptor(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      DESCRIPTOR_TYPES.some(type => value[type] !== undefined);
+  }
+
+  const formatText = text => (text instanceof RegExp ? String(text) : JSON.stringify(text));
+
+  /**
+   * Text of a selector or descriptor, used as its key in stats and reports
+   * (`span:text("Assignee")`, `xpath=//h2`, `role=button[name="Save"]`, `>>> .btn` when piercing shadow roots)
+   * @param {string|Object} entry
+   * @returns {string}
+   */
+  function describe(entry) {
+    if (typeof entry === 'string') return entry;
+    if (!isDescriptor(entry)) return JSON.stringify(entry);
+    if (entry.xpath) return `xpath=${entry.xpath}`;
+
+    let base = entry.css;
+    if (entry.role) {
+      base = `role=${entry.role}${entry.name !== undefined ? `[name=${formatText(entry.name)}]` : ''}`;
+    } else if (entry.text !== undefined) {
+      base = `${entry.tag ?? '*'}:${entry.exact ? 'text-is' : 'text'}(${formatText(entry.text)})`;
+    }
+    return entry.shadow ? `>>> ${base}` : base;
+  }
+
+  function normalizeText(text) {
+    return (text ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @param {string} value
+   * @param {string|RegExp} expected
+   * @param {boolean} exact - Whole text instead of a substring
+   * @returns {boolean}
+   */
+  function matchesText(value, expected, exact) {
+    const text = normalizeText(value);
+    if (expected instanceof RegExp) return expected.test(text);
+    return exact ? text === normalizeText(expected) : text.includes(normalizeText(expected));
+  }
+
+  /**
+   * Accessible name, simplified: aria-labelledby, aria-label, <label>, alt,
+   * button value, text content, then title/placeholder
+   * @param {HTMLElement} el
+   * @returns {string}
+   */
+  function accessibleName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = el.getRootNode();
+      const text = labelledBy.split(/\s+/).map(id => root.getElementById?.(id)?.textContent).join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+
+    const label = normalizeText(el.getAttribute('aria-label'));
+    if (label) return label;
+    if (el.labels?.length) return normalizeText(Array.from(el.labels, item => item.textContent).join(' '));
+    if (el.matches('img, area, input[type="image"]')) return normalizeText(el.getAttribute('alt'));
+    if (el.matches('input[type="button"], input[type="submit"], input[type="reset"]')) return normalizeText(el.value);
+
+    const text = el.matches('input, textarea, select') ? '' : normalizeText(el.textContent);
+    return text || normalizeText(el.getAttribute('title') ?? el.getAttribute('placeholder'));
+  }
+
+  /**
+   * The context plus every open shadow root inside it (nested ones too)
+   * @param {HTMLElement|Document} context
+   * @returns {Array<HTMLElement|Document|ShadowRoot>}
+   */
+  function shadowRoots(context) {
+    const roots = [context];
+    if (context.shadowRoot) roots.push(context.shadowRoot);
+
+    for (let i = 0; i < roots.length; i++) {
+      roots[i].querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) roots.push(el.shadowRoot);
+      });
+    }
+    return roots;
+  }
+
+  function queryText(root, { tag = '*', text, exact = false }) {
+    const found = Array.from(root.querySelectorAll(tag)).filter(el =>
+      !el.matches('script, style, noscript, template') && matchesText(el.textContent, text, exact)
+    );
+    // Keep the innermost matches (the row around a label contains its text too)
+    return found.filter(el => !found.some(other => other !== el && el.contains(other)));
+  }
+
+  function queryRole(root, { role, name, exact = true }) {
+    const selector = [`[role~="${role}"]`, IMPLICIT_ROLES[role]].filter(Boolean).join(', ');
+
+    return Array.from(root.querySelectorAll(selector)).filter(el => {
+      const explicit = el.getAttribute('role')?.trim().split(/\s+/)[0];
+      if (explicit && explicit !== role) return false;
+      return name === undefined || matchesText(accessibleName(el), name, exact);
+    });
+  }
+
+  function queryXPath(xpath, context) {
+    const doc = context.ownerDocument ?? context;
+    const result = doc.evaluate(xpath, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const elements = [];
+
+    for (let i = 0; i < result.snapshotLength; i++) {
+      const node = result.snapshotItem(i);
+      if (node.nodeType === Node.ELEMENT_NODE) elements.push(node);
+    }
+    return elements;
+  }
+
+  /**
+   * Every element a CSS selector or descriptor matches:
+   * - `{ css }`
+   * - `{ text, tag = '*', exact = false }`: innermost elements whose text contains
+   *   (or, with exact, equals) a string, or matches a RegExp
+   * - `{ xpath }`: evaluated against the context (start it with `.//` to stay inside it)
+   * - `{ role, name, exact = true }`: explicit or implicit ARIA role, and accessible name
+   * - `shadow: true` (not with xpath) also searches open shadow roots
+   * @param {string|Object} entry
+   * @param {HTMLElement|Document} context
+   * @returns {HTMLElement[]}
+   * @throws {Error} On an invalid selector or an unknown descriptor
+   */
+  function queryAll(entry, context = document) {
+    if (typeof entry === 'string') return Array.from(context.querySelectorAll(entry));
+    if (!isDescriptor(entry)) throw new Error(`Unknown selector descriptor: ${JSON.stringify(entry)}`);
+    if (entry.xpath) return queryXPath(entry.xpath, context);
+
+    return (entry.shadow ? shadowRoots(context) : [context]).flatMap(root => {
+      if (entry.role) return queryRole(root, entry);
+      if (entry.text !== undefined) return queryText(root, entry);
+      return Array.from(root.querySelectorAll(entry.css));
+    });
+  }
+
+  /**
+   * First element a CSS selector or descriptor matches (see queryAll)
+   * @param {string|Object} entry
+   * @param {HTMLElement|Document} context
+   * @returns {HTMLElement|null}
+   */
+  function queryOne(entry, context = document) {
+    if (typeof entry === 'string') return context.querySelector(entry);
+    return queryAll(entry, context)[0] ?? null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SHARED OBSERVER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /** Active observe()/waitFor() watchers: { root, attributes, check(mutations) } */
+  const watchers = new Set();
+  let observer = null;
+  let observingAttributes = false;
+
+  /**
+   * Hand each batch of mutations to the watchers whose root it touched
+   * @param {MutationRecord[]} mutations
+   */
+  function dispatch(mutations) {
+    watchers.forEach(watcher => {
+      // Disconnected by an earlier watcher's callback
+      if (!watchers.has(watcher)) return;
+
+      const relevant = watcher.root === document
+        ? mutations
+        : mutations.filter(({ target }) => watcher.root.contains(target));
+      if (!relevant.length) return;
+
+      try {
+        watcher.check(relevant);
+      } catch (e) {
+        TMLogger.Logger.error('Selector', 'Watcher failed', e);
+      }
+    });
+  }
+
+  /**
+   * (Re)start the observer with attributes only while a watcher needs them
+   */
+  function updateObserver() {
+    if (!watchers.size) {
+      observer?.disconnect();
+      observer = null;
+      return;
+    }
+
+    const attributes = [...watchers].some(watcher => watcher.attributes);
+    if (observer && attributes === observingAttributes) return;
+
+    if (observer) dispatch(observer.takeRecords());
+    observer ??= new MutationObserver(dispatch);
+    observingAttributes = attributes;
+    observer.observe(document, { childList: true, subtree: true, attributes });
+  }
+
+  /**
+   * @param {Object} watcher
+   */
+  function watch(watcher) {
+    watchers.add(watcher);
+    updateObserver();
+  }
+
+  /**
+   * @param {Object} watcher
+   */
+  function unwatch(watcher) {
+    if (watchers.delete(watcher)) updateObserver();
+  }
+
+  /**
+   * Destroy what an onAdd callback returned: components, cleanup functions or arrays of them
+   * @param {*} owned
+   */
+  function teardown(owned) {
+    [].concat(owned ?? []).forEach(item => {
+      try {
+        if (typeof item === 'function') item();
+        else if (typeof item?.destroy === 'function') item.destroy();
+      } catch (e) {
+        TMLogger.Logger.error('Selector', 'onAdd teardown failed', e);
+      }
+    });
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // SELECTOR MANAGER CLASS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -66,29 +703,74 @@ const TMSelector = (function() {
         throwOnMiss: options.throwOnMiss ?? false,
         cacheResults: options.cacheResults ?? false,
         cacheTTL: options.cacheTTL ?? 5000,
+        heal: options.heal ?? true,
+        healThreshold: options.healThreshold ?? 0.6,
+        persistStats: options.persistStats ?? true,
+        promoteAfter: options.promoteAfter ?? 20,
+        historyDays: options.historyDays ?? 30,
         ...options,
       };
       // Use WeakMap to isolate cache entries per context object
       this._cacheByContext = new WeakMap();
       // Separate cache for document context (can't be WeakMap key)
       this._documentCache = new Map();
+      // Fingerprint of the last element found per key (persisted), and the element it was taken from
+      this._fingerprints = this.options.heal ? this._load('fingerprints') : new Map();
+      this._fingerprinted = new WeakMap();
+      this._saveFingerprints = TMUtils.debounce(() => this._save('fingerprints', this._fingerprints), 1000);
+      // Keys found through their fingerprint: key → { selector, confidence, time }
+      this.healed = new Map();
+      // Stats saved by previous page loads (also keeps keys this page does not register)
+      this._storedStats = this.options.persistStats ? this._load('stats') : new Map();
+      this._statsTimer = null;
+      if (this.options.persistStats) {
+        globalThis.addEventListener('pagehide', () => {
+          if (this._statsTimer) this.saveStats();
+        });
+      }
     }
 
     /**
-     * Register a selector with fallbacks
+     * Register a selector with fallbacks. Entries are CSS selectors or
+     * descriptors, mixed freely: `{ text, tag }`, `{ xpath }`, `{ role, name }`
+     * and `{ css, shadow: true }` (see queryAll for their options)
      * @param {string} key - Unique identifier for this selector
-     * @param {string|string[]} selectors - Selector or array of fallback selectors
+     * @param {string|Object|Array<string|Object>} selectors - Selector or array of fallback selectors
      * @param {Object} options - Selector-specific options
      * @returns {SelectorManager} this (for chaining)
+     *
+     * @example
+     * selectors.register('assignee', [
+     *   '[data-testid="assignee-block"] .title',
+     *   { role: 'heading', name: /^Assignees?$/ },
+     *   { text: 'Assignee', tag: 'span' },
+     * ]);
      */
     register(key, selectors, options = {}) {
-      const selectorList = Array.isArray(selectors) ? selectors : [selectors];
+      let selectorList = (Array.isArray(selectors) ? selectors : [selectors]).filter(entry => {
+        if (typeof entry === 'string' || isDescriptor(entry)) return true;
+        console.warn(`[${this.name}] Ignoring invalid selector for "${key}": ${describe(entry)}`);
+        return false;
+      });
 
       if (selectorList.length === 0) {
         console.warn(`[${this.name}] Empty selector list for "${key}"`);
         return this;
       }
 
+      const stat = { ...this._emptyStats(), ...(this.stats.get(key) ?? this._storedStats.get(key)) };
+
+      // A fallback promoted on a previous page load stays primary until the list is edited
+      if (stat.promoted) {
+        const { selector, from } = stat.promoted;
+        const promoted = selectorList.find(item => describe(item) === selector);
+        if (describe(selectorList[0]) === from && promoted) {
+          selectorList = [promoted, ...selectorList.filter(item => item !== promoted)];
+        } else {
+          stat.promoted = null;
+        }
+      }
+
       this.selectors.set(key, {
         list: selectorList,
         required: options.required ?? true,
@@ -97,12 +779,7 @@ const TMSelector = (function() {
         description: options.description ?? '',
       });
 
-      this.stats.set(key, {
-        hits: {},
-        misses: 0,
-        lastHit: null,
-        lastMiss: null,
-      });
+      this.stats.set(key, stat);
 
       return this;
     }
@@ -114,7 +791,7 @@ const TMSelector = (function() {
      */
     registerAll(definitions) {
       for (const [key, value] of Object.entries(definitions)) {
-        if (Array.isArray(value) || typeof value === 'string') {
+        if (Array.isArray(value) || typeof value === 'string' || isDescriptor(value)) {
           this.register(key, value);
         } else {
           this.register(key, value.selectors, value);
@@ -130,6 +807,18 @@ const TMSelector = (function() {
      * @returns {HTMLElement|null}
      */
     get(key, context = document) {
+      return this.resolve(key, context)?.element ?? null;
+    }
+
+    /**
+     * Like get(), but tells how the element was found. When every selector
+     * misses, the element most similar to the last one found (its fingerprint)
+     * is returned with a confidence score and a proposed selector.
+     * @param {string} key - Registered selector key
+     * @param {HTMLElement|Document} context - Context to search within
+     * @returns {{element: HTMLElement, selector: string|null, confidence: number, healed: boolean}|null}
+     */
+    resolve(key, context = document) {
       const config = this.selectors.get(key);
 
       if (!config) {
@@ -140,23 +829,19 @@ const TMSelector = (function() {
       // Check cache
       if (this.options.cacheResults) {
         const cached = this._getFromCache(key, context);
-        if (cached !== undefined) return cached;
+        if (cached !== undefined) return { element: cached, selector: null, confidence: 1, healed: false };
       }
 
       // Try each selector in order
-      for (const selector of config.list) {
+      for (const entry of config.list) {
+        const selector = describe(entry);
         try {
-          const el = context.querySelector(selector);
+          const el = queryOne(entry, context);
 
           if (el && this._validate(el, config)) {
             this._recordHit(key, selector);
-            const result = this._transform(el, config);
-
-            if (this.options.cacheResults) {
-              this._setCache(key, context, result);
-            }
-
-            return result;
+            this._remember(key, el);
+            return this._found(key, context, config, { element: el, selector, confidence: 1, healed: false });
           }
         } catch (e) {
           // Invalid selector syntax, skip to next
@@ -166,6 +851,13 @@ const TMSelector = (function() {
         }
       }
 
+      // Every selector missed: look for the element the fingerprint describes
+      const healed = this._heal(key, config, context);
+      if (healed) {
+        this._recordHit(key, healed.selector ?? '(fingerprint)');
+        return this._found(key, context, config, healed);
+      }
+
       // No match found
       this._recordMiss(key);
 
@@ -181,6 +873,15 @@ const TMSelector = (function() {
       return null;
     }
 
+    /**
+     * Selectors proposed for keys found through their fingerprint
+     * (paste them at the front of the registered list)
+     * @returns {Array<{key: string, selector: string|null, confidence: number, time: number}>}
+     */
+    getProposals() {
+      return Array.from(this.healed, ([key, proposal]) => ({ key, ...proposal }));
+    }
+
     /**
      * Get all elements matching any of the registered selectors
      * @param {string} key - Registered selector key
@@ -195,21 +896,10 @@ const TMSelector = (function() {
         return [];
       }
 
-      for (const selector of config.list) {
-        try {
-          const els = context.querySelectorAll(selector);
-
-          if (els.length > 0) {
-            const filtered = Array.from(els).filter(el => this._validate(el, config));
-
-            if (filtered.length > 0) {
-              this._recordHit(key, selector);
-              return filtered.map(el => this._transform(el, config));
-            }
-          }
-        } catch (e) {
-          // Invalid selector, skip
-        }
+      const { selector, elements } = this._matchAll(config, context);
+      if (elements.length > 0) {
+        this._recordHit(key, selector);
+        return elements.map(el => this._transform(el, config));
       }
 
       this._recordMiss(key);
@@ -227,7 +917,9 @@ const TMSelector = (function() {
     }
 
     /**
-     * Wait for an element to appear
+     * Wait for an element to appear. Uses the observer shared with observe()
+     * and re-checks on attribute changes too; pass `attributes: false` when the
+     * selectors do not depend on attributes, or `interval` to also poll.
      * @param {string} key - Registered selector key
      * @param {Object} options - Wait options
      * @returns {Promise<HTMLElement>}
@@ -235,7 +927,8 @@ const TMSelector = (function() {
     waitFor(key, options = {}) {
       const {
         timeout = 10000,
-        interval = 100,
+        interval = 0,
+        attributes = true,
         context = document.body,
       } = options;
 
@@ -255,6 +948,7 @@ const TMSelector = (function() {
         if (immediate) return resolve(immediate);
 
         const startTime = Date.now();
+        const list = this.selectors.get(key)?.list ?? [];
         let pollId = null;
         let timeoutId = null;
 
@@ -262,12 +956,12 @@ const TMSelector = (function() {
         const cleanup = () => {
           if (pollId) clearInterval(pollId);
           if (timeoutId) clearTimeout(timeoutId);
-          observer.disconnect();
+          unwatch(watcher);
         };
 
-        // Set up observer
-        const observer = new MutationObserver(() => {
-          const el = safeGet(key, context);
+        // The cheap raw query runs first, so waiting records no misses
+        const check = () => {
+          const el = this.query(list, context) && safeGet(key, context);
           if (el) {
             cleanup();
             if (this.options.logHits) {
@@ -275,41 +969,127 @@ const TMSelector = (function() {
             }
             resolve(el);
           }
-        });
+        };
 
-        observer.observe(context, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-        });
+        const watcher = { root: context, attributes, check };
+        watch(watcher);
 
         // Timeout
         timeoutId = setTimeout(() => {
           cleanup();
-          const config = this.selectors.get(key);
           reject(new Error(
-            `[${this.name}] Timeout waiting for "${key}". Tried: ${config?.list.join(', ')}`
+            `[${this.name}] Timeout waiting for "${key}". Tried: ${list.map(describe).join(', ')}`
           ));
         }, timeout);
 
-        // Also poll as backup (some mutations might be missed)
-        pollId = setInterval(() => {
-          const el = safeGet(key, context);
-          if (el) {
-            cleanup();
-            if (this.options.logHits) {
-              TMLogger.Logger.debug('Selector', `waitFor "${key}" resolved in ${Date.now() - startTime}ms`);
-            }
-            resolve(el);
-          }
-        }, interval);
+        if (interval) pollId = setInterval(check, interval);
       });
     }
 
+    /**
+     * Call back for every element of a key that enters or leaves the DOM,
+     * starting with the ones already there. Elements are matched like getAll()
+     * (first selector with matches); every observe() shares one MutationObserver
+     * and handles its mutations once per batch.
+     *
+     * Whatever onAdd returns (components, cleanup functions or an array of them)
+     * is destroyed/called when the element leaves or on disconnect().
+     *
+     * @param {string} key - Registered selector key
+     * @param {Object} callbacks
+     * @param {Function} [callbacks.onAdd] - (element) => owned
+     * @param {Function} [callbacks.onRemove] - (element) => void
+     * @param {Object} [options]
+     * @param {HTMLElement|Document} [options.context=document] - Only look inside this element
+     * @param {boolean} [options.attributes=false] - Also re-check on attribute changes
+     *     (for selectors like `[aria-expanded="true"]`): elements that start matching are
+     *     added and elements that stop matching are removed
+     * @returns {{elements: HTMLElement[], disconnect: Function}}
+     *
+     * @example
+     * selectors.register('mrRow', ['li.merge-request', '[data-testid="merge-request-row"]']);
+     * const rows = selectors.observe('mrRow', {
+     *   onAdd: row => new TM.Button({ text: 'Revisar' }).mount(row.querySelector('.issuable-meta')),
+     * });
+     * rows.disconnect(); // destroys the buttons
+     */
+    observe(key, { onAdd, onRemove } = {}, { context = document, attributes = false } = {}) {
+      const config = this.selectors.get(key);
+
+      if (!config) {
+        console.error(`[${this.name}] Unknown selector key: "${key}"`);
+        return { elements: [], disconnect: () => {} };
+      }
+
+      // Element → { value (transformed), owned (what onAdd returned) }
+      const tracked = new Map();
+
+      const call = (callback, name, el) => {
+        try {
+          return callback?.(el);
+        } catch (e) {
+          TMLogger.Logger.error('Selector', `${name} of "${key}" failed`, e);
+          return undefined;
+        }
+      };
+
+      // With `attributes`, tracked elements that no longer match are released too
+      const scan = (rematch = false) => {
+        const { selector, elements } = this._matchAll(config, context);
+        if (rematch) {
+          const matching = new Set(elements);
+          [...tracked.keys()].filter(el => !matching.has(el)).forEach(release);
+        }
+
+        const added = elements.filter(el => !tracked.has(el));
+        if (!added.length) return;
+
+        this._recordHit(key, selector);
+        added.forEach(el => {
+          const value = this._transform(el, config);
+          const entry = { value, owned: undefined };
+          tracked.set(el, entry);
+          entry.owned = call(onAdd, 'onAdd', value);
+        });
+      };
+
+      const release = el => {
+        const { value, owned } = tracked.get(el);
+        tracked.delete(el);
+        teardown(owned);
+        call(onRemove, 'onRemove', value);
+      };
+
+      const watcher = {
+        root: context,
+        attributes,
+        check: mutations => {
+          const removed = mutations.some(m => m.removedNodes.length);
+          if (removed) [...tracked.keys()].filter(el => !context.contains(el)).forEach(release);
+          const changed = attributes && mutations.some(m => m.type === 'attributes');
+          if (changed || mutations.some(m => m.addedNodes.length)) scan(changed);
+        },
+      };
+
+      scan();
+      watch(watcher);
+
+      return {
+        get elements() {
+          return Array.from(tracked.values(), ({ value }) => value);
+        },
+        disconnect: () => {
+          unwatch(watcher);
+          tracked.forEach(({ owned }) => teardown(owned));
+          tracked.clear();
+        },
+      };
+    }
+
     /**
      * Query using raw selector (not registered)
      * Useful for one-off queries with fallback support
-     * @param {string|string[]} selectors - Selector(s) to try
+     * @param {string|Object|Array<string|Object>} selectors - Selector(s) or descriptor(s) to try
      * @param {HTMLElement|Document} context - Context to search within
      * @returns {HTMLElement|null}
      */
@@ -318,7 +1098,7 @@ const TMSelector = (function() {
 
       for (const selector of list) {
         try {
-          const el = context.querySelector(selector);
+          const el = queryOne(selector, context);
           if (el) return el;
         } catch (e) {
           // Skip invalid selectors
@@ -330,7 +1110,7 @@ const TMSelector = (function() {
 
     /**
      * Query all using raw selector
-     * @param {string|string[]} selectors - Selector(s) to try
+     * @param {string|Object|Array<string|Object>} selectors - Selector(s) or descriptor(s) to try
      * @param {HTMLElement|Document} context - Context to search within
      * @returns {HTMLElement[]}
      */
@@ -339,8 +1119,8 @@ const TMSelector = (function() {
 
       for (const selector of list) {
         try {
-          const els = context.querySelectorAll(selector);
-          if (els.length > 0) return Array.from(els);
+          const els = queryAll(selector, context);
+          if (els.length > 0) return els;
         } catch (e) {
           // Skip invalid selectors
         }
@@ -360,7 +1140,7 @@ const TMSelector = (function() {
         const config = this.selectors.get(key);
         stats[key] = {
           ...data,
-          selectors: config?.list || [],
+          selectors: config?.list.map(describe) || [],
           totalHits: Object.values(data.hits).reduce((a, b) => a + b, 0),
         };
       }
@@ -384,7 +1164,7 @@ const TMSelector = (function() {
       for (const [key, stat] of this.stats) {
         const config = this.selectors.get(key);
         const totalHits = Object.values(stat.hits).reduce((a, b) => a + b, 0);
-        const primaryHits = stat.hits[config.list[0]] || 0;
+        const primaryHits = stat.hits[describe(config.list[0])] || 0;
 
         let status = 'healthy';
         let reason = '';
@@ -392,7 +1172,10 @@ const TMSelector = (function() {
         if (stat.misses > 0 && totalHits === 0) {
           status = 'failing';
           reason = 'No successful matches';
-        } else if (primaryHits === 0 && totalHits > 0) {
+        } else if (this.healed.has(key)) {
+          status = 'degraded';
+          reason = 'Found by fingerprint';
+        } else if (stat.degradedSince || (primaryHits === 0 && totalHits > 0)) {
           status = 'degraded';
           reason = 'Using fallback selectors';
         }
@@ -405,16 +1188,121 @@ const TMSelector = (function() {
           key,
           status,
           reason,
-          primarySelector: config.list[0],
+          primarySelector: describe(config.list[0]),
           usedSelector: this._getMostUsedSelector(stat),
           hits: totalHits,
           misses: stat.misses,
+          proposedSelector: this.healed.get(key)?.selector ?? null,
+          degradedSince: stat.degradedSince,
+          promoted: stat.promoted,
+          series: stat.series,
         });
       }
 
+      report.details.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]);
       return report;
     }
 
+    /**
+     * Write pending stats to storage now (otherwise done 2s after the last
+     * hit or miss, and when the page is left)
+     */
+    saveStats() {
+      clearTimeout(this._statsTimer);
+      this._statsTimer = null;
+      if (!this.options.persistStats) return;
+
+      this._save('stats', new Map([...this._storedStats, ...this.stats]));
+    }
+
+    /**
+     * Health report and stats as JSON, downloaded as a file unless `download` is false
+     * @param {Object} [options]
+     * @param {boolean} [options.download=true]
+     * @returns {string} JSON
+     */
+    exportHealthReport({ download = true } = {}) {
+      const hostname = globalThis.location.hostname;
+      const json = JSON.stringify({
+        manager: this.name,
+        hostname,
+        exportedAt: new Date().toISOString(),
+        report: this.getHealthReport(),
+        stats: this.getStats(),
+      }, null, 2);
+
+      if (download) {
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tm-selectors-${this.name}-${hostname}-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+      }
+
+      return json;
+    }
+
+    /**
+     * Open a drawer with the health report as a sortable table and a JSON export.
+     * Needs the Drawer, Table and Button components (included in tm-framework.js).
+     * @returns {Drawer|null} The open drawer (destroyed when closed)
+     */
+    showHealthPanel() {
+      const TM = globalThis.TM;
+      if (!TM?.Drawer || !TM?.Table || !TM?.Button) {
+        console.warn(`[${this.name}] The health panel needs TM.Drawer, TM.Table and TM.Button`);
+        return null;
+      }
+
+      const labels = { healthy: '🟢 Correcto', degraded: '🟠 Degradado', failing: '🔴 Fallando' };
+      const formatDate = time => (time ? TMUtils.formatDate(new Date(time)) : '');
+
+      const table = new TM.Table({
+        sortable: true,
+        compact: true,
+        rowKey: 'key',
+        columns: [
+          { key: 'key', title: 'Clave' },
+          {
+            key: 'status',
+            title: 'Estado',
+            render: (status, row) => TMUtils.html`<span title="${row.reason}">${labels[status]}</span>`,
+            sort: (a, b) => STATUS_ORDER[a] - STATUS_ORDER[b],
+          },
+          {
+            key: 'usedSelector',
+            title: 'Selector en uso',
+            render: (selector, row) => TMUtils.html`<code>${selector ?? ''}</code>${row.promoted ? ' ⬆' : ''}`,
+          },
+          { key: 'hits', title: 'Aciertos', align: 'right' },
+          { key: 'misses', title: 'Fallos', align: 'right' },
+          { key: 'degradedSince', title: 'Degradado desde', render: formatDate },
+        ],
+        data: this.getHealthReport().details,
+      });
+
+      const exportButton = new TM.Button({
+        text: 'Exportar JSON',
+        variant: 'secondary',
+        onClick: () => this.exportHealthReport(),
+      });
+
+      const drawer = new TM.Drawer({
+        title: `Salud de selectores · ${this.name}`,
+        size: '720px',
+        slots: { default: table, footer: exportButton },
+        onClose: () => queueMicrotask(() => drawer.destroy()),
+      });
+      // Slot content is not owned by the drawer: make it destroy both with it
+      drawer.addChild('table', table);
+      drawer.addChild('export', exportButton);
+      drawer.mount(document.body);
+      drawer.open();
+
+      return drawer;
+    }
+
     /**
      * Clear cache
      * Note: WeakMap entries are automatically garbage-collected when context is removed
@@ -430,13 +1318,10 @@ const TMSelector = (function() {
      */
     resetStats() {
       for (const key of this.stats.keys()) {
-        this.stats.set(key, {
-          hits: {},
-          misses: 0,
-          lastHit: null,
-          lastMiss: null,
-        });
+        this.stats.set(key, this._emptyStats());
       }
+      this._storedStats.clear();
+      if (this.options.persistStats) this._saveStats();
     }
 
     /**
@@ -497,10 +1382,162 @@ const TMSelector = (function() {
       };
     }
 
+    /**
+     * Build selectors for an element, best first. Candidates prefer the attributes
+     * ranked by SELECTOR_PRIORITY, are scored with analyzeSelector (fragile patterns
+     * and nesting lower the score) and must match only this element.
+     * @param {Element} element
+     * @param {Object} [options]
+     * @param {number} [options.maxCandidates=5]
+     * @param {Document|Element|ShadowRoot} [options.root] - Where candidates must be unique
+     *   (defaults to the element's document or shadow root)
+     * @returns {Array<{selector: string, score: number, issues: Object[]}>}
+     */
+    static generate(element, options = {}) {
+      const { maxCandidates = 5, root = element.getRootNode() } = options;
+
+      return candidateSelectors(element, root)
+        .map(({ selector, priority }) => {
+          const analysis = SelectorManager.analyzeSelector(selector);
+          // Descendant/child combinators outside quoted values
+          const depth = (selector.replace(/"(?:[^"\\]|\\.)*"/g, '""').match(/\s*>\s*|\s+/g) || []).length;
+          const score = Math.round(analysis.score * 0.6 + priority * 4 - depth * 5);
+
+          return { selector, score: Math.max(0, Math.min(100, score)), issues: analysis.issues };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxCandidates);
+    }
+
+    /**
+     * Pick an element with the mouse: the element under the pointer is highlighted
+     * with its best selector and clicking it logs (and copies, with GM_setClipboard)
+     * a register() call with generated fallbacks. Escape cancels.
+     * @param {Object} [options]
+     * @param {string} [options.key='element'] - Key used in the register() call
+     * @param {number} [options.maxCandidates=3]
+     * @param {string} [options.manager='selectors'] - Variable name used in the register() call
+     * @returns {Promise<{element: Element, candidates: Object[], code: string}|null>} null when cancelled
+     *
+     * @example
+     * await TM.SelectorManager.pick({ key: 'labelsEdit' });
+     * // selectors.register('labelsEdit', [
+     * //   'button[data-testid="labels-edit"]',
+     * //   'button[aria-label="Edit labels"]',
+     * //   'aside.right-sidebar button.gl-button',
+     * // ]);
+     */
+    static pick(options = {}) {
+      return pickElement(options);
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // PRIVATE METHODS
     // ─────────────────────────────────────────────────────────────────────────
 
+    _found(key, context, config, result) {
+      result.element = this._transform(result.element, config);
+
+      if (this.options.cacheResults) {
+        this._setCache(key, context, result.element);
+      }
+
+      return result;
+    }
+
+    /**
+     * Storage key of persisted data, per manager and hostname
+     * @param {string} kind
+     * @returns {string}
+     */
+    _storageKey(kind) {
+      return `tm-selectors:${this.name}:${globalThis.location.hostname}:${kind}`;
+    }
+
+    _load(kind) {
+      return new Map(Object.entries(TMUtils.storage.get(this._storageKey(kind), {}) || {}));
+    }
+
+    _save(kind, map) {
+      TMUtils.storage.set(this._storageKey(kind), Object.fromEntries(map));
+    }
+
+    _remember(key, el) {
+      if (!this.options.heal || this._fingerprinted.get(el) === key) return;
+
+      this._fingerprinted.set(el, key);
+      this._fingerprints.set(key, fingerprint(el));
+      this.healed.delete(key);
+      this._saveFingerprints();
+    }
+
+    /**
+     * Find the best match for a key's fingerprint
+     * @returns {{element: HTMLElement, selector: string|null, confidence: number, healed: boolean}|null}
+     */
+    _heal(key, config, context) {
+      const print = this.options.heal && this._fingerprints.get(key);
+      if (!print) return null;
+
+      // The selector proposed last time is cheaper than scoring again
+      const proposal = this.healed.get(key);
+      if (proposal?.selector) {
+        const el = this.query(proposal.selector, context);
+        if (el && this._validate(el, config)) {
+          return { element: el, selector: proposal.selector, confidence: proposal.confidence, healed: true };
+        }
+      }
+
+      let best = null;
+      let bestScore = 0;
+      let secondScore = 0;
+      const candidates = Array.from(context.querySelectorAll(print.tag)).slice(0, 5000);
+
+      for (const el of candidates) {
+        const score = similarity(print, el);
+        if (score > bestScore) {
+          secondScore = bestScore;
+          bestScore = score;
+          best = el;
+        } else if (score > secondScore) {
+          secondScore = score;
+        }
+      }
+
+      // Two look-alikes make the guess less certain
+      const confidence = Math.round((bestScore - secondScore < 0.05 ? bestScore * 0.75 : bestScore) * 100) / 100;
+      if (!best || confidence < this.options.healThreshold || !this._validate(best, config)) return null;
+
+      const selector = SelectorManager.generate(best, { maxCandidates: 1 })[0]?.selector ?? null;
+      if (!this.healed.has(key) || this.healed.get(key).selector !== selector) {
+        TMLogger.Logger.warn(
+          'Selector',
+          `[${this.name}] "${key}" not found by its selectors; using the most similar element ` +
+          `(confidence ${Math.round(confidence * 100)}%). Proposed selector: ${selector ?? '(none unique)'}`
+        );
+      }
+      this.healed.set(key, { selector, confidence, time: Date.now() });
+
+      return { element: best, selector, confidence, healed: true };
+    }
+
+    /**
+     * Valid elements of the first selector with any (no stats recorded)
+     * @returns {{selector: string|null, elements: HTMLElement[]}}
+     */
+    _matchAll(config, context) {
+      for (const entry of config.list) {
+        try {
+          const elements = queryAll(entry, context).filter(el => this._validate(el, config));
+          if (elements.length > 0) return { selector: describe(entry), elements };
+        } catch (e) {
+          // Invalid selector, skip
+        }
+      }
+
+      return { selector: null, elements: [] };
+    }
+
     _validate(el, config) {
       if (!config.validator) return true;
       try {
@@ -519,11 +1556,70 @@ const TMSelector = (function() {
       }
     }
 
+    _saveStats() {
+      clearTimeout(this._statsTimer);
+      this._statsTimer = setTimeout(() => this.saveStats(), 2000);
+    }
+
+    _emptyStats() {
+      return {
+        hits: {},
+        misses: 0,
+        lastHit: null,
+        lastMiss: null,
+        series: [],          // Daily { date, hits, fallbackHits, misses }
+        degradedSince: null, // First fallback hit since the primary last matched
+        streak: null,        // { selector, count } fallback hits in a row
+        promoted: null,      // { selector, from, time }
+      };
+    }
+
+    /**
+     * Bucket of the current day in a key's time series
+     * @param {Object} stat
+     * @returns {Object}
+     */
+    _today(stat) {
+      const date = new Date().toISOString().slice(0, 10);
+      let day = stat.series[stat.series.length - 1];
+
+      if (day?.date !== date) {
+        day = { date, hits: 0, fallbackHits: 0, misses: 0 };
+        stat.series.push(day);
+        stat.series.splice(0, stat.series.length - this.options.historyDays);
+      }
+
+      return day;
+    }
+
     _recordHit(key, selector) {
       const stat = this.stats.get(key);
+      const config = this.selectors.get(key);
       if (stat) {
+        const now = Date.now();
+        const primary = !!config && selector === describe(config.list[0]);
+        const day = this._today(stat);
+
         stat.hits[selector] = (stat.hits[selector] || 0) + 1;
-        stat.lastHit = Date.now();
+        stat.lastHit = now;
+        day.hits++;
+
+        if (primary) {
+          stat.degradedSince = null;
+          stat.streak = null;
+        } else {
+          day.fallbackHits++;
+          stat.degradedSince ??= now;
+          stat.streak = stat.streak?.selector === selector
+            ? { selector, count: stat.streak.count + 1 }
+            : { selector, count: 1 };
+
+          if (this.options.promoteAfter && stat.streak.count >= this.options.promoteAfter && config.list.some(item => describe(item) === selector)) {
+            this._promote(key, config, stat);
+          }
+        }
+
+        if (this.options.persistStats) this._saveStats();
       }
 
       if (this.options.logHits) {
@@ -536,15 +1632,36 @@ const TMSelector = (function() {
       if (stat) {
         stat.misses++;
         stat.lastMiss = Date.now();
+        this._today(stat).misses++;
+        if (this.options.persistStats) this._saveStats();
       }
     }
 
+    /**
+     * Make the fallback that keeps matching the primary selector (remembered across page loads)
+     */
+    _promote(key, config, stat) {
+      const { selector, count } = stat.streak;
+      const from = stat.promoted?.from ?? describe(config.list[0]);
+      const entry = config.list.find(item => describe(item) === selector);
+
+      config.list = [entry, ...config.list.filter(item => item !== entry)];
+      stat.promoted = { selector, from, time: Date.now() };
+      stat.degradedSince = null;
+      stat.streak = null;
+
+      TMLogger.Logger.warn(
+        'Selector',
+        `[${this.name}] "${key}": "${selector}" promoted to primary after ${count} fallback hits in a row (was "${describe(config.list[1])}")`
+      );
+    }
+
     _reportMissing(key) {
       const config = this.selectors.get(key);
       const stat = this.stats.get(key);
 
       console.group(`[${this.name}] Selector "${key}" not found`);
-      console.log('Tried selectors:', config.list);
+      console.log('Tried selectors:', config.list.map(describe));
       console.log('Description:', config.description || '(none)');
       console.log('Stats:', stat);
       console.groupEnd();
@@ -672,14 +1789,14 @@ const TMSelector = (function() {
 
   /**
    * Create a simple query function with fallback support
-   * @param {string[]} selectors - Array of fallback selectors
+   * @param {Array<string|Object>} selectors - Array of fallback selectors or descriptors
    * @returns {Function}
    */
   function createQuery(selectors) {
     return function(context = document) {
       for (const sel of selectors) {
         try {
-          const el = context.querySelector(sel);
+          const el = queryOne(sel, context);
           if (el) return el;
         } catch (e) {
           // Skip invalid selector
@@ -0,0 +1,423 @@
+/**
+ * TM Framework - Styles
+ * Framework stylesheet, scoped component styles (static styles) and
+ * stylesheet sharing with components rendered in a shadow root
+ */
+
+const TMStyles = (function() {
+    'use strict';
+
+    /** Name of the @resource used in the documented userscript header */
+    const RESOURCE_NAME = 'TM_CSS';
+
+    /** Variable defined by the framework stylesheet (variables.css) */
+    const FRAMEWORK_VARIABLE = '--tm-primary';
+
+    /** Text only present in the framework stylesheet (component styles use var()) */
+    const FRAMEWORK_MARKER = `${FRAMEWORK_VARIABLE}:`;
+
+    const supportsAdopted = typeof CSSStyleSheet === 'function'
+        && 'replaceSync' in CSSStyleSheet.prototype
+        && typeof ShadowRoot !== 'undefined'
+        && 'adoptedStyleSheets' in ShadowRoot.prototype;
+
+    let baseCSS = null;
+    let baseSheet = null;
+    let baseInjected = false;
+    let warned = false;
+
+    // ═══════════════════════════════════════════════════════════════
+    // CSS TAG
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Result of the `css` tag
+     */
+    class CSSResult {
+        /**
+         * @param {string} cssText
+         */
+        constructor(cssText) {
+            this.cssText = cssText;
+        }
+
+        toString() {
+            return this.cssText;
+        }
+    }
+
+    /**
+     * Tagged template literal for component styles.
+     * Interpolations are inserted as-is (nested `css` results compose).
+     * @returns {CSSResult}
+     * @example static styles = css`.my-box { color: var(--tm-primary); }`
+     */
+    function css(strings, ...values) {
+        return new CSSResult(strings.reduce((result, str, i) => {
+            return result + str + (i < values.length ? String(values[i] ?? '') : '');
+        }, ''));
+    }
+
+    /**
+     * Flatten a `static styles` value (css result, string or nested arrays)
+     * @param {CSSResult|string|Array} styles
+     * @returns {string}
+     */
+    function flattenStyles(styles) {
+        if (Array.isArray(styles)) return styles.map(flattenStyles).filter(Boolean).join('\n');
+        return styles ? String(styles) : '';
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCOPING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Short stable hash, so identical styles share one scope attribute
+     * even across several copies of the framework on the page
+     * @param {string} str
+     * @returns {string}
+     */
+    function hash(str) {
+        let h = 5381;
+        for (let i = 0; i < str.length; i++) {
+            h = ((h << 5) + h + str.charCodeAt(i)) >>> 0;
+        }
+        return h.toString(36);
+    }
+
+    /**
+     * Split on a character outside parentheses, brackets and strings
+     * @param {string} text
+     * @param {string} separator
+     * @returns {string[]}
+     */
+    function splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '(' || ch === '[') {
+                depth++;
+            } else if (ch === ')' || ch === ']') {
+                depth--;
+            } else if (ch === separator && depth === 0) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+        }
+
+        parts.push(text.slice(start));
+        return parts;
+    }
+
+    /**
+     * Add the scope attribute to the last compound of a selector, before
+     * any pseudo-element: `.list .item:hover::after` → `.list .item:hover[attr]::after`
+     * @param {string} selector
+     * @param {string} attr
+     * @returns {string}
+     */
+    function scopeSelector(selector, attr) {
+        const trimmed = selector.trim().replace(/\s+/g, ' ');
+        let depth = 0;
+        let insertAt = trimmed.length;
+
+        for (let i = trimmed.length - 1; i >= 0; i--) {
+            const ch = trimmed[i];
+            if (ch === ')' || ch === ']') depth++;
+            else if (ch === '(' || ch === '[') depth--;
+            else if (depth === 0) {
+                if (ch === ' ' || ch === '>' || ch === '+' || ch === '~') break;
+                if (ch === ':' && (trimmed[i - 1] === ':' || /^:(before|after)\b/.test(trimmed.slice(i)))) {
+                    insertAt = trimmed[i - 1] === ':' ? i - 1 : i;
+                }
+            }
+        }
+
+        return `${trimmed.slice(0, insertAt)}[${attr}]${trimmed.slice(insertAt)}`;
+    }
+
+    /**
+     * Index of the brace closing the block opened at `open`
+     * @param {string} text
+     * @param {number} open - Index of the opening brace
+     * @returns {number}
+     */
+    function findBlockEnd(text, open) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = open; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return text.length;
+    }
+
+    /**
+     * Scope every style rule of a stylesheet to elements carrying `attr`.
+     * Rules inside @media/@supports/@container/@layer are scoped too;
+     * @keyframes, @font-face and other at-rules are kept as they are.
+     * @param {string} cssText
+     * @param {string} attr
+     * @returns {string}
+     */
+    function scopeCSS(cssText, attr) {
+        const text = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const open = text.indexOf('{', i);
+            const semicolon = text.indexOf(';', i);
+
+            // Statement at-rules (@import, @charset...)
+            if (semicolon !== -1 && (open === -1 || semicolon < open) && text.slice(i, semicolon).trim().startsWith('@')) {
+                result += text.slice(i, semicolon + 1);
+                i = semicolon + 1;
+                continue;
+            }
+
+            if (open === -1) break;
+
+            const prelude = text.slice(i, open).trim();
+            const close = findBlockEnd(text, open);
+            const body = text.slice(open + 1, close);
+
+            if (/^@(media|supports|container|layer)\b/.test(prelude)) {
+                result += `${prelude} {${scopeCSS(body, attr)}}\n`;
+            } else if (prelude.startsWith('@')) {
+                result += `${prelude} {${body}}\n`;
+            } else {
+                const selectors = splitTopLevel(prelude, ',').map(s => scopeSelector(s, attr));
+                result += `${selectors.join(', ')} {${body}}\n`;
+            }
+
+            i = close + 1;
+        }
+
+        return result;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMPONENT STYLES
+    // ═══════════════════════════════════════════════════════════════
+
+    const componentStyles = new WeakMap();   // Component class → { id, attr, cssText, sheet }
+    const injectedStyles = new WeakMap();    // Document/ShadowRoot → Set of style ids
+
+    /**
+     * Resolve and scope the `static styles` of a component class (cached)
+     * @param {Function} ComponentClass
+     * @returns {{id: string, attr: string, cssText: string, sheet: (CSSStyleSheet|string|null)}|null}
+     */
+    function getComponentStyles(ComponentClass) {
+        if (componentStyles.has(ComponentClass)) return componentStyles.get(ComponentClass);
+
+        const source = flattenStyles(ComponentClass.styles);
+        let entry = null;
+
+        if (source.trim()) {
+            const id = hash(source);
+            const attr = `data-tm-${id}`;
+            entry = { id, attr, cssText: scopeCSS(source, attr), sheet: null };
+        }
+
+        componentStyles.set(ComponentClass, entry);
+        return entry;
+    }
+
+    /**
+     * Scope attribute that elements rendered by a component class carry
+     * @param {Function} ComponentClass
+     * @returns {string|null}
+     */
+    function getScopeAttribute(ComponentClass) {
+        return getComponentStyles(ComponentClass)?.attr || null;
+    }
+
+    /**
+     * Inject the scoped styles of a component class into a document or
+     * shadow root, once per root
+     * @param {Function} ComponentClass
+     * @param {Document|ShadowRoot} root
+     */
+    function injectComponentStyles(ComponentClass, root) {
+        const entry = getComponentStyles(ComponentClass);
+        if (!entry) return;
+
+        if (!injectedStyles.has(root)) injectedStyles.set(root, new Set());
+        const ids = injectedStyles.get(root);
+        if (ids.has(entry.id)) return;
+        ids.add(entry.id);
+
+        if (root instanceof ShadowRoot) {
+            if (!entry.sheet) entry.sheet = createSheet(entry.cssText);
+            adoptSheets(root, [entry.sheet]);
+            return;
+        }
+
+        const styleId = `tm-scoped-${entry.id}`;
+        if (document.getElementById(styleId)) return;
+
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = entry.cssText;
+        document.head.appendChild(style);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // FRAMEWORK STYLESHEET
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Set the framework CSS (the build bundles it). It is injected into the
+     * page on first use and adopted by shadow roots.
+     * @param {string} cssText - Contents of tm-styles.css
+     */
+    function setBaseStyles(cssText) {
+        baseCSS = cssText;
+        baseSheet = null;
+    }
+
+    /**
+     * Whether the page already has the framework CSS (GM_addStyle, <link>...)
+     * @returns {boolean}
+     */
+    function hasPageBaseStyles() {
+        const fromStyle = Array.from(document.querySelectorAll('style'))
+            .some(s => s.textContent.includes(FRAMEWORK_MARKER));
+
+        return fromStyle || !!getComputedStyle(document.documentElement)
+            .getPropertyValue(FRAMEWORK_VARIABLE).trim();
+    }
+
+    /**
+     * Inject the bundled framework CSS into the page, unless the page
+     * already loads it. Runs once.
+     */
+    function injectBaseStyles() {
+        if (baseInjected) return;
+        baseInjected = true;
+
+        if (baseCSS === null || hasPageBaseStyles()) return;
+
+        const style = document.createElement('style');
+        style.id = 'tm-base-styles';
+        style.textContent = baseCSS;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Locate the framework CSS: explicit setBaseStyles(), the TM_CSS
+     * resource, or a <style> already injected in the page (GM_addStyle)
+     * @returns {string}
+     */
+    function getBaseStyles() {
+        if (baseCSS !== null) return baseCSS;
+
+        try {
+            if (typeof GM_getResourceText === 'function') {
+                const cssText = GM_getResourceText(RESOURCE_NAME);
+                if (cssText) return (baseCSS = cssText);
+            }
+        } catch (e) {
+            // Resource not declared in the userscript header
+        }
+
+        const style = Array.from(document.querySelectorAll('style'))
+            .find(s => s.textContent.includes(FRAMEWORK_MARKER));
+        if (style) return (baseCSS = style.textContent);
+
+        if (!warned) {
+            warned = true;
+            TMLogger.Logger.warn('Styles', 'Framework CSS not found for shadow roots. Call TM.setBaseStyles(css)');
+        }
+        return '';
+    }
+
+    /**
+     * Create a stylesheet that can be shared between shadow roots
+     * @param {string} cssText
+     * @returns {CSSStyleSheet|string} The CSS text when constructable stylesheets are unsupported
+     */
+    function createSheet(cssText) {
+        if (!supportsAdopted) return cssText;
+
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(cssText);
+        return sheet;
+    }
+
+    /**
+     * Add stylesheets to a shadow root (adoptedStyleSheets, or <style>
+     * elements where constructable stylesheets are unsupported)
+     * @param {ShadowRoot} root
+     * @param {Array<CSSStyleSheet|string>} sheets
+     */
+    function adoptSheets(root, sheets) {
+        if (supportsAdopted) {
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...sheets];
+            return;
+        }
+
+        sheets.forEach(cssText => {
+            const style = document.createElement('style');
+            style.textContent = cssText;
+            root.appendChild(style);
+        });
+    }
+
+    /**
+     * Adopt the framework stylesheet into a shadow root. The sheet is
+     * built once and shared; theme variables are inherited from the page.
+     * @param {ShadowRoot} root
+     */
+    function adoptBaseStyles(root) {
+        if (!baseSheet) {
+            const cssText = getBaseStyles();
+            if (!cssText) return;
+            baseSheet = createSheet(cssText);
+        }
+
+        adoptSheets(root, [baseSheet]);
+    }
+
+    return {
+        CSSResult,
+        css,
+        scopeCSS,
+        getScopeAttribute,
+        injectComponentStyles,
+        setBaseStyles,
+        injectBaseStyles,
+        getBaseStyles,
+        createSheet,
+        adoptSheets,
+        adoptBaseStyles
+    };
+})();
+
+// Export
+if (typeof window !== 'undefined') {
+    globalThis.TMStyles = TMStyles;
+}
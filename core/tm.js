@@ -15,13 +15,24 @@ const TM = (function() {
     // ═══════════════════════════════════════════════════════════════
     
     const { Logger } = TMLogger;
-    const { reactive, computed, watch, ref } = TMReactive;
-    const { Component } = TMComponent;
+    const { reactive, computed, watch, ref, effect, untracked, toRaw } = TMReactive;
+    const { Component, onError } = TMComponent;
+    const { defineElement } = TMElement;
+    const { registry } = TMRegistry;
+    const { morph } = TMMorph;
+    const { nextTick, flushSync } = TMScheduler;
+    const { css, setBaseStyles, injectBaseStyles } = TMStyles;
     const {
         html, classNames, waitForElement, waitForElements,
         debounce, throttle, deepClone, deepMerge,
-        uid, escapeHtml, escapeAttr, parseUrlParams, formatDate, storage
+        uid, escapeHtml, escapeAttr, parseUrlParams, formatDate, storage,
+        SafeHtml, isSafeHtml, unsafeHTML
     } = TMUtils;
+    const { persisted } = TMPersisted;
+    const { http, HttpClient, HttpError } = TMHttp;
+    const { query, queryCache } = TMQuery;
+    const { router, route } = TMRouter;
+    const { useForm } = TMForm;
     const theme = TMTheme;
     const {
         SelectorManager, findByText, findRelative, createQuery
@@ -116,6 +127,9 @@ const TM = (function() {
             return;
         }
         
+        // Bundled CSS (skipped when the page already loads tm-styles.css)
+        injectBaseStyles();
+        
         // Initialize theme
         theme.init();
         
@@ -149,12 +163,36 @@ const TM = {
 
         // Core
         Component,
+        morph,
+        nextTick,
+        flushSync,
+        onError,
+        defineElement,
+        registry,
         
         // Reactivity
         reactive,
         computed,
         watch,
         ref,
+        effect,
+        untracked,
+        toRaw,
+        persisted,
+        
+        // Forms
+        useForm,
+
+        // Data fetching
+        http,
+        HttpClient,
+        HttpError,
+        query,
+        queryCache,
+
+        // Routing
+        router,
+        route,
         
         // Theme
         theme,
@@ -168,6 +206,11 @@ const TM = {
 
         // Utilities
         html,
+        css,
+        unsafeHTML,
+        raw: unsafeHTML,
+        SafeHtml,
+        isSafeHtml,
         classNames,
         waitForElement,
         waitForElements,
@@ -196,14 +239,7 @@ const TM = {
                 console.log('[TM Debug] Debug mode disabled');
             },
             getAllComponentInfo() {
-                const components = [];
-                document?.querySelectorAll('[data-tm-component]').forEach(el => {
-                    const componentId = el.dataset.tmComponent;
-                    if (window[componentId] && window[componentId].getDebugInfo) {
-                        components.push(window[componentId].getDebugInfo());
-                    }
-                });
-                return components;
+                return registry.all().map(component => component.getDebugInfo());
             },
             printAllDebugInfo() {
                 const info = this.getAllComponentInfo();
@@ -216,14 +252,45 @@ const TM = {
                 console.groupEnd();
                 return info;
             },
-            clearLogs() {
-                document?.querySelectorAll('[data-tm-component]').forEach(el => {
-                    const componentId = el.dataset.tmComponent;
-                    if (window[componentId]) {
-                        window[componentId]._componentLogs = [];
-                        window[componentId]._updateLog = [];
-                        window[componentId]._stateChangeLog = [];
+            printTree() {
+                const print = ({ id, component, children }) => {
+                    if (!children.length) {
+                        console.log(id, component);
+                        return;
                     }
+                    console.group(id);
+                    console.log(component);
+                    children.forEach(print);
+                    console.groupEnd();
+                };
+                
+                const tree = registry.tree();
+                console.group('🌳 TM Framework Debug - Component Tree');
+                tree.forEach(print);
+                console.groupEnd();
+                return tree;
+            },
+            /**
+             * Component that rendered an element (e.g. `$0` in the devtools)
+             * @param {Element} el
+             * @returns {Object|null} Debug info
+             */
+            inspect(el) {
+                return registry.byElement(el)?.getDebugInfo() ?? null;
+            },
+            /**
+             * Pick an element on the page and log a register() call for it
+             * @param {string} [key]
+             * @returns {Promise<Object|null>}
+             */
+            pickSelector(key) {
+                return SelectorManager.pick({ key });
+            },
+            clearLogs() {
+                registry.all().forEach(component => {
+                    component._componentLogs = [];
+                    component._updateLog = [];
+                    component._stateChangeLog = [];
                 });
                 console.log('[TM Debug] All component logs cleared');
             }
@@ -232,6 +299,7 @@ const TM = {
         // Styles
         injectStyles,
         removeStyles,
+        setBaseStyles,
         
         // Plugins
         use,
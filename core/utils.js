@@ -6,27 +6,74 @@
 const TMUtils = (function() {
     'use strict';
 
+    // Brand shared by every copy of the framework loaded on the page
+    const SAFE_HTML = Symbol.for('tm.safeHtml');
+
     /**
-     * Tagged template literal for HTML
-     * Handles arrays and falsy values gracefully
-     * @example html`<div>${items.map(i => `<span>${i}</span>`)}</div>`
+     * Markup that is trusted as-is by `html` (already escaped or explicitly raw)
+     */
+    class SafeHtml {
+        /**
+         * @param {string} value
+         */
+        constructor(value) {
+            this.value = value;
+        }
+
+        get [SAFE_HTML]() {
+            return true;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    /**
+     * Check whether a value is trusted markup
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isSafeHtml(value) {
+        return value != null && value[SAFE_HTML] === true;
+    }
+
+    /**
+     * Mark a string as trusted markup so `html` inserts it unescaped.
+     * Only use it with markup you control, never with page or API data.
+     * @param {string} value
+     * @returns {SafeHtml}
+     * @example html`<span class="icon">${unsafeHTML(svgIcon)}</span>`
+     */
+    function unsafeHTML(value) {
+        return isSafeHtml(value) ? value : new SafeHtml(String(value ?? ''));
+    }
+
+    /**
+     * Serialize an interpolated value: trusted markup as-is, arrays
+     * item by item, false/null/undefined as nothing, the rest escaped
+     * @param {*} value
+     * @returns {string}
+     */
+    function interpolate(value) {
+        if (value == null || typeof value === 'boolean') return '';
+        if (isSafeHtml(value)) return value.value;
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        return escapeAttr(value);
+    }
+
+    /**
+     * Tagged template literal for HTML.
+     * Interpolated values are escaped unless they are `html` results or
+     * wrapped with `unsafeHTML()`. Arrays are flattened and falsy values
+     * (false, null, undefined) render nothing.
+     * @returns {SafeHtml}
+     * @example html`<ul>${items.map(i => html`<li>${i.name}</li>`)}</ul>`
      */
     function html(strings, ...values) {
-        return strings.reduce((result, str, i) => {
-            let value = values[i] ?? '';
-            
-            // Flatten arrays
-            if (Array.isArray(value)) {
-                value = value.join('');
-            }
-            
-            // Handle booleans (for conditional rendering)
-            if (typeof value === 'boolean') {
-                value = '';
-            }
-            
-            return result + str + value;
-        }, '');
+        return new SafeHtml(strings.reduce((result, str, i) => {
+            return result + str + (i < values.length ? interpolate(values[i]) : '');
+        }, ''));
     }
 
     /**
@@ -243,6 +290,251 @@ const TMUtils = (function() {
         return d.toLocaleDateString('es-ES', formats[format] || formats.short);
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // STORAGE NAMESPACES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Async key/value backend: promise-based GM.* (Greasemonkey 4,
+     * Violentmonkey), legacy GM_* (Tampermonkey) or localStorage. GM storage
+     * belongs to the script; localStorage is shared with the page, so its
+     * keys carry a `prefix` and only those are listed.
+     * @returns {{name: string, prefix: string, get: Function, set: Function, delete: Function, list: Function}}
+     */
+    function getStorageBackend() {
+        if (typeof GM !== 'undefined' && typeof GM.getValue === 'function') {
+            return {
+                name: 'GM',
+                prefix: '',
+                get: key => GM.getValue(key, null),
+                set: (key, value) => GM.setValue(key, value),
+                delete: key => GM.deleteValue(key),
+                list: () => GM.listValues()
+            };
+        }
+
+        if (typeof GM_getValue !== 'undefined') {
+            return {
+                name: 'GM_',
+                prefix: '',
+                get: async key => GM_getValue(key, null),
+                set: async (key, value) => GM_setValue(key, value),
+                delete: async key => GM_deleteValue(key),
+                list: async () => GM_listValues()
+            };
+        }
+
+        const prefix = 'tm:ns:';
+        return {
+            name: 'localStorage',
+            prefix,
+            get: async key => localStorage.getItem(key),
+            set: async (key, value) => localStorage.setItem(key, value),
+            delete: async key => localStorage.removeItem(key),
+            list: async () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+                .filter(key => key.startsWith(prefix))
+        };
+    }
+
+    /**
+     * Isolated, async slice of the storage. Keys are stored as
+     * `namespace:key` (`tm:ns:namespace:key` in localStorage) with a
+     * `{ value, expires }` JSON envelope.
+     */
+    class StorageNamespace {
+        /**
+         * @param {string} name
+         * @param {Object} [options]
+         * @param {number} [options.ttl] - Default time to live in ms (no expiry by default)
+         * @param {number} [options.quota] - Size in bytes above which writes log a warning
+         *     (checked once writes settle for a second)
+         */
+        constructor(name, options = {}) {
+            this.name = name;
+            this.options = { ttl: null, quota: null, ...options };
+            this._backend = getStorageBackend();
+            this._prefix = `${this._backend.prefix}${name}:`;
+            // usage() reads every entry, so bursts of writes share one check
+            this._checkQuota = debounce(() => this._warnOverQuota(), 1000);
+        }
+
+        async _warnOverQuota() {
+            try {
+                const { bytes } = await this.usage();
+                if (bytes > this.options.quota) {
+                    TMLogger.Logger.warn('Storage', `Namespace "${this.name}" uses ${bytes} bytes (quota ${this.options.quota})`);
+                }
+            } catch (e) {
+                TMLogger.Logger.error('Storage', `Could not measure namespace "${this.name}"`, e);
+            }
+        }
+
+        /**
+         * Read an envelope, deleting it when expired
+         * @param {string} key
+         * @returns {Promise<{value: *, expires: number|null}|null>}
+         */
+        async _read(key) {
+            const raw = await this._backend.get(this._prefix + key);
+            if (raw == null) return null;
+
+            try {
+                const entry = JSON.parse(raw);
+                if (entry.expires && entry.expires <= Date.now()) {
+                    await this._backend.delete(this._prefix + key);
+                    return null;
+                }
+                return entry;
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * @param {string} key
+         * @param {*} [defaultValue=null]
+         * @returns {Promise<*>}
+         */
+        async get(key, defaultValue = null) {
+            const entry = await this._read(key);
+            return entry ? entry.value : defaultValue;
+        }
+
+        /**
+         * @param {string} key
+         * @param {*} value - JSON-serializable value
+         * @param {Object} [options]
+         * @param {number} [options.ttl] - Time to live in ms (overrides the namespace default)
+         * @returns {Promise<boolean>} Whether the value was written
+         */
+        async set(key, value, options = {}) {
+            const ttl = options.ttl ?? this.options.ttl;
+            const entry = { value, expires: ttl ? Date.now() + ttl : null };
+
+            try {
+                await this._backend.set(this._prefix + key, JSON.stringify(entry));
+            } catch (e) {
+                TMLogger.Logger.error('Storage', `Could not write "${this._prefix + key}"`, e);
+                return false;
+            }
+
+            if (this.options.quota) this._checkQuota();
+
+            return true;
+        }
+
+        /**
+         * @param {string} key
+         * @returns {Promise<boolean>}
+         */
+        async has(key) {
+            return (await this._read(key)) !== null;
+        }
+
+        /**
+         * @param {string} key
+         * @returns {Promise<void>}
+         */
+        async remove(key) {
+            await this._backend.delete(this._prefix + key);
+        }
+
+        /**
+         * Keys of the live (not expired) entries
+         * @returns {Promise<string[]>}
+         */
+        async keys() {
+            return (await this.entries()).map(([key]) => key);
+        }
+
+        /**
+         * Live entries; expired ones are deleted on the way
+         * @returns {Promise<Array<[string, *]>>}
+         */
+        async entries() {
+            const entries = [];
+
+            for (const key of await this._ownKeys()) {
+                const entry = await this._read(key);
+                if (entry) entries.push([key, entry.value]);
+            }
+
+            return entries;
+        }
+
+        /**
+         * Delete every entry of this namespace (other namespaces are untouched)
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            for (const key of await this._ownKeys()) {
+                await this._backend.delete(this._prefix + key);
+            }
+        }
+
+        /**
+         * Storage used by the namespace (keys and JSON values, in UTF-16 bytes)
+         * @returns {Promise<{keys: number, bytes: number, quota: number|null}>}
+         */
+        async usage() {
+            let bytes = 0;
+            const keys = await this._ownKeys();
+
+            for (const key of keys) {
+                const raw = await this._backend.get(this._prefix + key);
+                bytes += (this._prefix.length + key.length + String(raw ?? '').length) * 2;
+            }
+
+            return { keys: keys.length, bytes, quota: this.options.quota };
+        }
+
+        /**
+         * Serialize the live entries (with their expiry)
+         * @returns {Promise<string>} JSON
+         */
+        async export() {
+            const entries = {};
+
+            for (const key of await this._ownKeys()) {
+                const entry = await this._read(key);
+                if (entry) entries[key] = entry;
+            }
+
+            return JSON.stringify({ namespace: this.name, exportedAt: new Date().toISOString(), entries });
+        }
+
+        /**
+         * Load entries written by export(). Expired entries are skipped.
+         * @param {string|Object} data - export() result
+         * @param {Object} [options]
+         * @param {boolean} [options.replace=false] - Clear the namespace first
+         * @returns {Promise<number>} Number of imported entries
+         */
+        async import(data, options = {}) {
+            const { entries = {} } = typeof data === 'string' ? JSON.parse(data) : data;
+            if (options.replace) await this.clear();
+
+            let count = 0;
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entry.expires && entry.expires <= Date.now()) continue;
+                await this._backend.set(this._prefix + key, JSON.stringify(entry));
+                count++;
+            }
+
+            return count;
+        }
+
+        /**
+         * @returns {Promise<string[]>} Keys of this namespace without the prefix
+         */
+        async _ownKeys() {
+            const all = await this._backend.list();
+            return all
+                .filter(key => key.startsWith(this._prefix))
+                .map(key => key.slice(this._prefix.length));
+        }
+    }
+
     /**
      * Storage wrapper with JSON support using Tampermonkey APIs
      */
@@ -292,6 +584,27 @@ const TMUtils = (function() {
             }
         },
         
+        /**
+         * Isolated async storage for one feature: `keys()`, `entries()`,
+         * per-key TTL, quota warnings and `export()`/`import()`.
+         * Works with GM.*, GM_* and localStorage.
+         * @param {string} name - Key prefix (`name:key`; `tm:ns:name:key` in localStorage)
+         * @param {Object} [options] - { ttl, quota }
+         * @returns {StorageNamespace}
+         *
+         * @example
+         * const labels = TM.storage.namespace('labels', { ttl: 60 * 60 * 1000 });
+         * await labels.set('project-42', ['bug', 'feature']);
+         * await labels.get('project-42', []);
+         */
+        namespace(name, options = {}) {
+            return new StorageNamespace(name, options);
+        },
+        
+        /**
+         * Delete every stored key of the script (use a namespace's clear() to
+         * delete only its own keys)
+         */
         clear() {
             try {
                 // Tampermonkey API doesn't have a direct clear method
@@ -319,6 +632,9 @@ const TMUtils = (function() {
         uid,
         escapeHtml,
         escapeAttr,
+        SafeHtml,
+        isSafeHtml,
+        unsafeHTML,
         parseUrlParams,
         formatDate,
         storage
@@ -15,6 +15,22 @@
         
         install(TM) {
             TM.gitlab = this;
+
+            // Page context kept up to date across SPA navigations
+            this.context = TM.reactive(this.getContext());
+            TM.router.onChange(() => Object.assign(this.context, this.getContext()));
+
+            // Same-origin API client; the CSRF token is read on every request.
+            // Only idempotent requests are retried: a POST that failed with a 502 may still have created a note
+            this.http = TM.http.create({
+                headers: { 'Content-Type': 'application/json' },
+                retry: { retries: 2, methods: ['GET', 'HEAD', 'PUT', 'DELETE'] }
+            });
+            this.http.interceptors.request.use(config => ({
+                ...config,
+                headers: { 'X-CSRF-Token': this.getCsrfToken(), ...config.headers }
+            }));
+
             TM.Logger.info('GitLab', 'Plugin installed');
         },
 
@@ -45,7 +61,8 @@
         },
 
         /**
-         * Get current page context
+         * Get current page context (a snapshot; `TM.gitlab.context` is a reactive
+         * copy updated on every navigation)
          * @returns {{ type, namespace, project, id, iid, fullPath }}
          */
         getContext() {
@@ -125,96 +142,65 @@
         /**
          * Make authenticated API request
          * @param {string} endpoint - API endpoint (e.g., '/api/v4/projects/123')
-         * @param {Object} options - Request options
+         * @param {Object} options - TM.http request options (method, headers, body, params...)
+         * @returns {Promise<*>} Parsed response body
+         * @throws {HttpError}
          */
         async api(endpoint, options = {}) {
-            const baseUrl = globalThis.location.origin;
-            const url = endpoint.startsWith('http') ? endpoint : `${baseUrl}${endpoint}`;
-            
-            const defaultHeaders = {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.getCsrfToken()
-            };
-            
-            const method = options.method || 'GET';
-            const headers = {
-                ...defaultHeaders,
-                ...options.headers
-            };
-            
-            // Use Tampermonkey API if available
-            if (typeof GM_xmlhttpRequest !== 'undefined') {
-                return new Promise((resolve, reject) => {
-                    const requestOptions = {
-                        method,
-                        url,
-                        headers,
-                        onload: function(response) {
-                            try {
-                                const data = JSON.parse(response.responseText);
-                                if (response.status >= 200 && response.status < 300) {
-                                    resolve(data);
-                                } else {
-                                    reject(new Error(`GitLab API error: ${response.status} ${response.statusText}`));
-                                }
-                            } catch (e) {
-                                reject(new Error(`GitLab API parse error: ${e.message}`));
-                            }
-                        },
-                        onerror: function(error) {
-                            reject(new Error(`GitLab API network error: ${error?.message || 'Unknown error'}`));
-                        }
-                    };
-                    
-                    // Add body for non-GET requests
-                    if (method !== 'GET' && options.body) {
-                        requestOptions.data = typeof options.body === 'string' 
-                            ? options.body 
-                            : JSON.stringify(options.body);
-                    }
-                    
-                    GM_xmlhttpRequest(requestOptions);
-                });
-            }
-            
-            // Fallback to fetch
-            const response = await fetch(url, {
-                ...options,
-                headers
-            });
-            
-            if (!response.ok) {
-                throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
-            }
-            
-            return response.json();
+            const response = await this.http.request(endpoint, options);
+            return response.data;
         },
 
         /**
-         * Get project labels
+         * Cache key and fetcher of the project labels
          * @param {string} projectId
+         * @returns {[Array, Function]}
          */
-        async getLabels(projectId = null) {
+        _labelsQuery(projectId) {
             const pid = projectId || this.getProjectId();
             if (!pid) throw new Error('Project ID not found');
             
             const encodedPath = encodeURIComponent(pid);
-            return this.api(`/api/v4/projects/${encodedPath}/labels?per_page=100`);
+            return [
+                ['gitlab', 'labels', String(pid)],
+                () => this.api(`/api/v4/projects/${encodedPath}/labels?per_page=100`)
+            ];
+        },
+
+        /**
+         * Get project labels (cached for 5 minutes, shared by concurrent callers)
+         * @param {string} projectId
+         */
+        async getLabels(projectId = null) {
+            const [key, fetcher] = this._labelsQuery(projectId);
+            return TM.queryCache.fetch(key, fetcher, { ttl: 5 * 60 * 1000 });
+        },
+
+        /**
+         * Project labels as a reactive TM.query result ({ data, loading, error, refetch })
+         * @param {string} projectId
+         */
+        queryLabels(projectId = null) {
+            const [key, fetcher] = this._labelsQuery(projectId);
+            return TM.query(key, fetcher, { ttl: 5 * 60 * 1000 });
         },
 
         /**
-         * Get issue/MR details
+         * Get issue/MR details (cached for 30 seconds)
          * @param {string} type - 'issues' or 'merge_requests'
          * @param {string} iid - Internal ID
          */
         async getIssuable(type, iid, projectId = null) {
             const pid = projectId || this.getProjectId();
             const encodedPath = encodeURIComponent(pid);
-            return this.api(`/api/v4/projects/${encodedPath}/${type}/${iid}`);
+            return TM.queryCache.fetch(
+                ['gitlab', type, String(pid), String(iid)],
+                () => this.api(`/api/v4/projects/${encodedPath}/${type}/${iid}`)
+            );
         },
 
         /**
-         * Update issue/MR labels
+         * Update issue/MR labels. The cached issue/MR is replaced with the response.
          * @param {string} type - 'issues' or 'merge_requests'
          * @param {string} iid
          * @param {string[]} labels
@@ -223,10 +209,12 @@
             const pid = projectId || this.getProjectId();
             const encodedPath = encodeURIComponent(pid);
             
-            return this.api(`/api/v4/projects/${encodedPath}/${type}/${iid}`, {
+            const issuable = await this.api(`/api/v4/projects/${encodedPath}/${type}/${iid}`, {
                 method: 'PUT',
                 body: JSON.stringify({ labels: labels.join(',') })
             });
+            TM.queryCache.set(['gitlab', type, String(pid), String(iid)], issuable);
+            return issuable;
         },
 
         // ═══════════════════════════════════════════════════════════════
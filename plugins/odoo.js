@@ -21,6 +21,22 @@
         
         install(TM) {
             TM.odoo = this;
+
+            // Page context kept up to date across hash navigations
+            this.context = TM.reactive(this.getContext());
+            TM.router.onChange(() => Object.assign(this.context, this.getContext()));
+
+            // RPC calls are POSTs that may create or write records: only retry when the
+            // server refused them (network errors and timeouts are not retried for POST)
+            this.http = TM.http.create({
+                credentials: 'include',
+                retry: { retries: 2, statuses: [429, 503] }
+            });
+            this.http.interceptors.request.use(config => ({
+                ...config,
+                headers: { 'X-CSRF-Token': this.getCsrfToken(), ...config.headers }
+            }));
+
             TM.Logger.info('Odoo', 'Plugin installed');
         },
 
@@ -30,6 +46,8 @@
          */
         configure(options = {}) {
             this.config = { ...this.config, ...options };
+            // Cached results may come from another server or database
+            TM.queryCache.invalidate(['odoo']);
         },
 
         // ═══════════════════════════════════════════════════════════════
@@ -58,7 +76,8 @@
         },
 
         /**
-         * Get current page context
+         * Get current page context (a snapshot; `TM.odoo.context` is a reactive
+         * copy updated on every navigation)
          */
         getContext() {
             const hash = globalThis.location.hash;
@@ -125,28 +144,18 @@
          * Make JSON-RPC call to Odoo
          * @param {string} url - Endpoint (e.g., '/web/dataset/call_kw')
          * @param {Object} params - RPC parameters
+         * @throws {HttpError} When the request fails (an Error with `data` for RPC errors)
          */
         async rpc(url, params = {}) {
-            const baseUrl = this.config.baseUrl || globalThis.location.origin;
-            const fullUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
-            
-            const response = await fetch(fullUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': this.getCsrfToken()
-                },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    method: 'call',
-                    params,
-                    id: Math.floor(Math.random() * 1000000000)
-                }),
-                credentials: 'include'
+            const { data } = await this.http.post(url, {
+                jsonrpc: '2.0',
+                method: 'call',
+                params,
+                id: Math.floor(Math.random() * 1000000000)
+            }, {
+                baseUrl: this.config.baseUrl
             });
             
-            const data = await response.json();
-            
             if (data.error) {
                 const error = new Error(data.error.data?.message || data.error.message || 'RPC Error');
                 error.data = data.error;
@@ -176,58 +185,66 @@
         },
 
         /**
-         * Search records
+         * Search records (cached for 30 seconds per model, domain and options)
          * @param {string} model
          * @param {Array} domain - Search domain
          * @param {Object} options - { fields, limit, offset, order }
          */
         async search(model, domain = [], options = {}) {
             const { fields = [], limit = 80, offset = 0, order = '' } = options;
+            const kwargs = { fields, limit, offset, order };
             
-            return this.call(model, 'search_read', [domain], {
-                fields,
-                limit,
-                offset,
-                order
-            });
+            return TM.queryCache.fetch(
+                ['odoo', model, 'search_read', domain, kwargs],
+                () => this.call(model, 'search_read', [domain], kwargs)
+            );
         },
 
         /**
-         * Read records by IDs
+         * Read records by IDs (cached like search)
          * @param {string} model
          * @param {number[]} ids
          * @param {string[]} fields
          */
         async read(model, ids, fields = []) {
-            return this.call(model, 'read', [ids], { fields });
+            return TM.queryCache.fetch(
+                ['odoo', model, 'read', ids, fields],
+                () => this.call(model, 'read', [ids], { fields })
+            );
         },
 
         /**
-         * Create a record
+         * Create a record. Cached searches and reads of the model are invalidated.
          * @param {string} model
          * @param {Object} values
          */
         async create(model, values) {
-            return this.call(model, 'create', [values]);
+            const id = await this.call(model, 'create', [values]);
+            TM.queryCache.invalidate(['odoo', model]);
+            return id;
         },
 
         /**
-         * Update records
+         * Update records. Cached searches and reads of the model are invalidated.
          * @param {string} model
          * @param {number[]} ids
          * @param {Object} values
          */
         async write(model, ids, values) {
-            return this.call(model, 'write', [ids, values]);
+            const result = await this.call(model, 'write', [ids, values]);
+            TM.queryCache.invalidate(['odoo', model]);
+            return result;
         },
 
         /**
-         * Delete records
+         * Delete records. Cached searches and reads of the model are invalidated.
          * @param {string} model
          * @param {number[]} ids
          */
         async unlink(model, ids) {
-            return this.call(model, 'unlink', [ids]);
+            const result = await this.call(model, 'unlink', [ids]);
+            TM.queryCache.invalidate(['odoo', model]);
+            return result;
         },
 
         // ═══════════════════════════════════════════════════════════════
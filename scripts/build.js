@@ -20,8 +20,19 @@ const CONFIG = {
     core: [
         'core/logger.js',
         'core/reactive.js',
+        'core/morph.js',
+        'core/scheduler.js',
+        'core/lifecycle.js',
+        'core/registry.js',
+        'core/styles.js',
         'core/component.js',
+        'core/element.js',
         'core/utils.js',
+        'core/http.js',
+        'core/query.js',
+        'core/router.js',
+        'core/persisted.js',
+        'core/form.js',
         'core/theme.js',
         'core/selector.js',
         'core/tm.js'
@@ -43,12 +54,7 @@ const CONFIG = {
         'styles/animations.css',
         'styles/components/button.css',
         'styles/components/input.css',
-        'styles/components/modal.css',
         'styles/components/toast.css',
-        'styles/components/tag.css',
-        'styles/components/card.css',
-        'styles/components/tabs.css',
-        'styles/components/list.css',
         'styles/components/misc.css'
     ],
     
@@ -162,12 +168,15 @@ function build() {
     
     ensureDistDir();
     
+    // Framework CSS bundled into the JS, so scripts work without @resource TM_CSS
+    const bundledStyles = `\n/* ═══ styles (bundled) ═══ */\nTMStyles.setBaseStyles(${JSON.stringify(minifyCSS(concatFiles(CONFIG.styles)))});\n`;
+    
     // ─────────────────────────────────────────────────────────────────────
     // Build Core Only
     // ─────────────────────────────────────────────────────────────────────
     console.log('📦 Building core...');
     
-    const coreContent = concatFiles(CONFIG.core, getHeader('Core', version));
+    const coreContent = concatFiles(CONFIG.core, getHeader('Core', version)) + bundledStyles;
     writeFile('tm-core.js', coreContent);
     writeFile('tm-core.min.js', getHeader('Core (minified)', version) + minifyJS(coreContent));
     
@@ -176,10 +185,9 @@ function build() {
     // ─────────────────────────────────────────────────────────────────────
     console.log('\n📦 Building full framework...');
     
-    const fullContent = concatFiles(
-        [...CONFIG.core, ...CONFIG.components],
-        getHeader('Full Framework', version)
-    );
+    const fullContent = concatFiles(CONFIG.core, getHeader('Full Framework', version))
+        + bundledStyles
+        + concatFiles(CONFIG.components);
     writeFile('tm-framework.js', fullContent);
     writeFile('tm-framework.min.js', getHeader('Full Framework (minified)', version) + minifyJS(fullContent));
     
@@ -237,6 +245,7 @@ module.exports = {
     console.log('📝 Usage in Tampermonkey:');
     console.log('─────────────────────────────────────────');
     console.log('// @require  https://raw.githubusercontent.com/Zarritas/tm-framework/main/dist/tm-framework.js');
+    console.log('// Optional, the CSS is bundled (fallback only):');
     console.log('// @resource TM_CSS https://raw.githubusercontent.com/Zarritas/tm-framework/main/dist/tm-styles.css');
     console.log('─────────────────────────────────────────\n');
 }
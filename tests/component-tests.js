@@ -187,11 +187,7 @@ class TMTestSuite {
         }
         
         // Clean up any remaining components
-        Object.keys(window).forEach(key => {
-            if (key.startsWith('TestComponent_') && window[key].destroy) {
-                window[key].destroy();
-            }
-        });
+        TM.registry.byClass('TestComponent').forEach(component => component.destroy());
     }
     
     /**
@@ -322,8 +318,115 @@ testSuite.test('State changes trigger updates', async (test) => {
     test.assertEqual(component.el.textContent, 'changed', 'DOM should reflect state change');
 }, { category: 'state' });
 
+testSuite.test('Nested state mutations trigger updates', async (test) => {
+    class TestComponent extends TM.Component {
+        initialState() {
+            return { items: [{ name: 'first' }] };
+        }
+        
+        render() {
+            return `<div>${this.state.items[0].name}</div>`;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    
+    component.state.items[0].name = 'renamed';
+    await test.delay(100);
+    
+    test.assertEqual(component.el.textContent, 'renamed', 'Nested change should re-render');
+}, { category: 'state' });
+
+testSuite.test('Effects and computeds track their dependencies', (test) => {
+    const state = TM.reactive({ a: 1, b: 10, nested: { value: 1 } });
+    
+    let runs = 0;
+    const sum = TM.computed(() => {
+        runs++;
+        return state.a + state.nested.value;
+    });
+    
+    test.assertEqual(sum(), 2, 'Computed should evaluate');
+    test.assertEqual(sum(), 2, 'Computed should be cached');
+    test.assertEqual(runs, 1, 'Computed should run once until invalidated');
+    
+    state.b = 20;
+    sum();
+    test.assertEqual(runs, 1, 'Unrelated changes should not invalidate');
+    
+    state.nested.value = 5;
+    test.assertEqual(sum(), 6, 'Nested dependency should invalidate');
+    
+    let seen = null;
+    const stop = TM.effect(() => { seen = sum(); });
+    state.a = 2;
+    test.assertEqual(seen, 7, 'Effect should re-run when its computed changes');
+    
+    stop.stop();
+    state.a = 3;
+    test.assertEqual(seen, 7, 'Stopped effect should not re-run');
+}, { category: 'state' });
+
+testSuite.test('Deep watch reports nested changes', (test) => {
+    const state = TM.reactive({ filters: { label: 'bug' } });
+    const shallow = [];
+    const deep = [];
+    
+    TM.watch(state, (raw, change) => shallow.push(change.prop));
+    TM.watch(state, (raw, change) => deep.push(change.prop), { deep: true });
+    
+    state.filters.label = 'feature';
+    
+    test.assertEqual(shallow.length, 0, 'Shallow watch should ignore nested changes');
+    test.assertEqual(deep[0], 'filters.label', 'Deep watch should report the nested path');
+}, { category: 'state' });
+
+testSuite.test('Array methods report a single change record', (test) => {
+    const state = TM.reactive({ items: [3, 1, 2] });
+    const changes = [];
+    
+    state.__subscribe((prop, newVal, oldVal, info) => changes.push({ prop, change: info.change }));
+    
+    state.items.push(4, 5);
+    test.assertEqual(changes.length, 1, 'push should notify once');
+    test.assertEqual(changes[0].prop, 'items', 'Parent should see the array property');
+    test.assertEqual(changes[0].change.type, 'push', 'Change record should carry the method');
+    test.assertEqual(changes[0].change.index, 3, 'Change record should carry the index');
+    
+    state.items.splice(0, 2);
+    test.assertEqual(changes.length, 2, 'splice should notify once');
+    test.assertEqual(changes[1].change.removed.join(','), '3,1', 'Change record should carry removed items');
+}, { category: 'state' });
+
+testSuite.test('Sets in state are reactive', async (test) => {
+    class TestComponent extends TM.Component {
+        initialState() {
+            return { selected: new Set() };
+        }
+        
+        render() {
+            return `<div>${Array.from(this.state.selected).join(',')}</div>`;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    
+    component.state.selected.add('bug');
+    component.state.selected.add('feature');
+    await test.delay(100);
+    
+    test.assertEqual(component.el.textContent, 'bug,feature', 'Set.add should re-render');
+    
+    component.state.selected.delete('bug');
+    await test.delay(100);
+    
+    test.assertEqual(component.el.textContent, 'feature', 'Set.delete should re-render');
+}, { category: 'state' });
+
 // Performance Tests
-testSuite.test('Debounced updates prevent excessive renders', async (test) => {
+testSuite.test('Batched updates render once per tick', async (test) => {
     let renderCount = 0;
     
     class TestComponent extends TM.Component {
@@ -347,11 +450,48 @@ testSuite.test('Debounced updates prevent excessive renders', async (test) => {
         component.state.value = i;
     }
     
-    await test.delay(200); // Wait for debouncing
+    test.assertEqual(renderCount, initialRenderCount, 'Should not render synchronously');
+    
+    await component.$nextTick();
+    
+    test.assertEqual(renderCount - initialRenderCount, 1, 'Should render once per tick');
+    test.assertEqual(component.el.textContent, '9', 'DOM should show the last value');
+}, { category: 'performance' });
+
+testSuite.test('Scheduler flushes parents before children', async (test) => {
+    const order = [];
+    
+    class Child extends TM.Component {
+        render() {
+            order.push('child');
+            return `<span>${this.props.label}</span>`;
+        }
+    }
+    
+    class Parent extends TM.Component {
+        static components = { Child };
+        
+        initialState() {
+            return { label: 'a' };
+        }
+        
+        render() {
+            order.push('parent');
+            return `<div><tm-child is="Child" key="c" :props='${JSON.stringify({ label: this.state.label })}'></tm-child></div>`;
+        }
+    }
+    
+    const parent = new Parent();
+    parent.mount(test.testContainer);
+    const child = parent.getChild('c');
+    
+    order.length = 0;
+    child._scheduleUpdate('test');
+    parent.state.label = 'b';
+    TM.flushSync();
     
-    // Should have minimal additional renders due to debouncing
-    const totalRenders = renderCount - initialRenderCount;
-    test.assert(totalRenders <= 3, `Should have minimal renders due to debouncing, got ${totalRenders}`);
+    test.assertEqual(order.join(','), 'parent,child', 'Parent should render before its child');
+    test.assertEqual(child.el.textContent, 'b', 'Child should receive new props in the same flush');
 }, { category: 'performance' });
 
 // Logging Tests
@@ -383,59 +523,988 @@ testSuite.test('Component logging captures updates', async (test) => {
 }, { category: 'logging' });
 
 // DOM Manipulation Tests
-testSuite.test('DOM diffing prevents unnecessary updates', async (test) => {
-    let replacementCount = 0;
-    
+testSuite.test('DOM morphing patches the root in place', async (test) => {
     class TestComponent extends TM.Component {
         initialState() {
             return { value: 'static' };
         }
         
         render() {
-            return `<div class="test-div">${this.state.value}</div>`;
+            return `<div class="test-div"><span ref="label">${this.state.value}</span></div>`;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    
+    const rootEl = component.el;
+    const labelEl = component.refs.label;
+    
+    // Actual change
+    component.state.value = 'different';
+    await test.delay(100);
+    
+    test.assert(component.el === rootEl, 'Root element should be kept');
+    test.assert(component.refs.label === labelEl, 'Child elements should be kept');
+    test.assertEqual(labelEl.textContent, 'different', 'Text should be patched');
+}, { category: 'dom' });
+
+testSuite.test('Keyed children are moved instead of recreated', async (test) => {
+    class TestComponent extends TM.Component {
+        initialState() {
+            return { items: ['a', 'b', 'c'] };
         }
         
-        _update(...args) {
-            // Override to track replacements
-            const oldEl = this._el;
-            super._update(...args);
-            if (oldEl && this._el && oldEl !== this._el) {
-                replacementCount++;
-            }
+        render() {
+            return `<ul>${this.state.items.map(i => `<li key="${i}">${i}</li>`).join('')}</ul>`;
         }
     }
     
     const component = new TestComponent();
     component.mount(test.testContainer);
     
-    // State change that doesn't affect render
-    component.state.value = 'static'; // Same value
+    const [a, b, c] = component.el.children;
+    
+    component.state.items = ['c', 'a', 'd'];
     await test.delay(100);
     
-    test.assertEqual(replacementCount, 0, 'Should not replace DOM for identical renders');
+    const items = Array.from(component.el.children);
+    test.assertEqual(items.map(li => li.textContent).join(','), 'c,a,d', 'Order should follow render');
+    test.assert(items[0] === c && items[1] === a, 'Keyed nodes should be reused');
+    test.assert(!b.isConnected, 'Dropped keys should be removed');
+}, { category: 'dom' });
+
+testSuite.test('html escapes interpolated values', (test) => {
+    const label = '<img src=x onerror="alert(1)">';
     
-    // Actual change
-    component.state.value = 'different';
-    await test.delay(100);
+    class TestComponent extends TM.Component {
+        render() {
+            return TM.html`
+                <div title="${label}">
+                    <ul>${['<b>', 'a&b'].map(i => TM.html`<li>${i}</li>`)}</ul>
+                    <span ref="raw">${TM.raw('<em>trusted</em>')}</span>
+                    <p ref="text">${label}</p>
+                </div>
+            `;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
     
-    test.assertEqual(replacementCount, 1, 'Should replace DOM for different renders');
+    test.assert(!component.el.querySelector('img'), 'Interpolated markup should not create elements');
+    test.assertEqual(component.refs.text.textContent, label, 'Escaped text should render as-is');
+    test.assertEqual(component.el.getAttribute('title'), label, 'Attribute values should be escaped');
+    test.assertEqual(component.el.querySelectorAll('li').length, 2, 'Nested html should not be escaped');
+    test.assertEqual(component.el.querySelector('li').textContent, '<b>', 'Values inside nested html should be escaped once');
+    test.assert(component.refs.raw.querySelector('em'), 'TM.raw() should opt out of escaping');
 }, { category: 'dom' });
 
+testSuite.test('Static styles are injected once and scoped', (test) => {
+    class TestComponent extends TM.Component {
+        static styles = TM.css`
+            .styled-test p { color: red; }
+        `;
+        
+        render() {
+            return TM.html`<div class="styled-test"><p ref="text">styled</p></div>`;
+        }
+    }
+    
+    const first = new TestComponent();
+    const second = new TestComponent();
+    first.mount(test.testContainer);
+    second.mount(test.testContainer);
+    
+    const attr = Array.from(first.el.attributes).find(a => a.name.startsWith('data-tm-') && a.name !== 'data-tm-component');
+    test.assert(attr, 'Root should carry the scope attribute');
+    test.assert(first.refs.text.hasAttribute(attr.name), 'Descendants should carry the scope attribute');
+    
+    const sheets = Array.from(document.querySelectorAll('style')).filter(s => s.textContent.includes('.styled-test'));
+    test.assertEqual(sheets.length, 1, 'Styles should be injected once per class');
+    test.assert(sheets[0].textContent.includes(`.styled-test p[${attr.name}]`), 'Selectors should be scoped');
+    
+    first.destroy();
+    second.destroy();
+}, { category: 'dom' });
+
+// Child Component Tests
+testSuite.test('Declarative children survive parent updates', async (test) => {
+    class TestComponent extends TM.Component {
+        initialState() {
+            return { text: 'Save', tags: ['a', 'b'] };
+        }
+        
+        render() {
+            return `
+                <div>
+                    <tm-child is="Button" key="save" :props="${this.bindProps({ text: this.state.text })}"></tm-child>
+                    ${this.state.tags.map(t => `<tm-child is="Tag" key="${t}" :props='{"text": "${t}"}'></tm-child>`).join('')}
+                </div>
+            `;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    
+    const button = component.getChild('save');
+    const tagA = component.getChild('a');
+    test.assert(button instanceof TM.Button, 'Child should be created from marker');
+    test.assert(button.el.isConnected, 'Child should be mounted');
+    
+    component.state.text = 'Saving';
+    component.state.tags = ['b'];
+    await test.delay(200);
+    
+    test.assert(component.getChild('save') === button, 'Child instance should be kept');
+    test.assert(button.el.isConnected, 'Child DOM should survive the parent update');
+    test.assert(button.el.textContent.includes('Saving'), 'Child should receive new props');
+    test.assert(!tagA.isMounted, 'Removed child should be destroyed');
+    test.assert(!component.getChild('a'), 'Removed child should be unregistered');
+}, { category: 'component' });
+
 // Error Handling Tests
-testSuite.test('Component handles render errors gracefully', (test) => {
+testSuite.test('model binds inputs and form components two-way', async (test) => {
+    class TestComponent extends TM.Component {
+        initialState() {
+            return { form: { name: 'Ana', hours: 1, billable: true, note: '' } };
+        }
+        
+        render() {
+            return TM.html`
+                <form>
+                    <input ref="name" model.trim="form.name">
+                    <input ref="hours" model.number="form.hours">
+                    <input ref="billable" type="checkbox" model="form.billable">
+                    <tm-child is="Input" key="note" model.lazy="form.note"></tm-child>
+                </form>
+            `;
+        }
+    }
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    const { name, hours, billable } = component.refs;
+    const note = component.getChild('note').refs.input;
+    
+    test.assertEqual(name.value, 'Ana', 'Inputs should start with the state value');
+    test.assert(billable.checked, 'Checkboxes should start checked from state');
+    
+    name.value = '  Bea ';
+    name.dispatchEvent(new Event('input'));
+    test.assertEqual(component.state.form.name, 'Bea', '.trim should trim the stored value');
+    
+    hours.value = '2.50';
+    hours.dispatchEvent(new Event('input'));
+    test.assertEqual(component.state.form.hours, 2.5, '.number should store numbers');
+    
+    note.value = 'Meeting';
+    note.dispatchEvent(new Event('input'));
+    test.assertEqual(component.state.form.note, '', '.lazy should wait for change');
+    note.dispatchEvent(new Event('change'));
+    test.assertEqual(component.state.form.note, 'Meeting', 'Form components should write back on change');
+    
+    await test.delay(50);
+    test.assertEqual(hours.value, '2.50', 'Equivalent values should not be rewritten while typing');
+    
+    component.state.form.name = 'Carla';
+    component.state.form.billable = false;
+    component.state.form.note = 'Review';
+    await test.delay(50);
+    
+    test.assertEqual(name.value, 'Carla', 'State changes should reach native inputs');
+    test.assert(!billable.checked, 'State changes should reach checkboxes');
+    test.assertEqual(component.getChild('note').refs.input.value, 'Review', 'State changes should reach form components');
+    
+    component.destroy();
+}, { category: 'state' });
+
+testSuite.test('Form validates fields and drives submit loading', async (test) => {
+    let finishSave;
+    const saved = [];
+    
+    const form = new TM.Form({
+        fields: [
+            { name: 'description', rules: { required: true, minLength: 3 } },
+            { name: 'hours', type: 'number', rules: { max: { value: 12, message: 'Too many hours' } } }
+        ],
+        initialValues: { hours: 1 },
+        onSubmit: (values) => {
+            saved.push(values);
+            return new Promise(resolve => { finishSave = resolve; });
+        }
+    });
+    form.mount(test.testContainer);
+    
+    const description = form.el.querySelector('[name="description"]');
+    const hours = form.el.querySelector('[name="hours"]');
+    const submitButton = () => form.el.querySelector('button[type="submit"]');
+    
+    test.assert(!form.el.querySelector('.tm-error'), 'Errors should stay hidden before touch or submit');
+    
+    await form.submit();
+    await test.delay(50);
+    test.assertEqual(form.form.errors.description, 'Este campo es obligatorio', 'Required fields should fail when empty');
+    test.assert(form.el.querySelector('.tm-error'), 'Errors should reach the field error props');
+    test.assertEqual(document.activeElement, description, 'First invalid field should be focused');
+    test.assertEqual(saved.length, 0, 'onSubmit should not run for an invalid form');
+    
+    description.value = 'Review';
+    description.dispatchEvent(new Event('input'));
+    hours.value = '20';
+    hours.dispatchEvent(new Event('input'));
+    await test.delay(50);
+    test.assertEqual(form.form.errors.hours, 'Too many hours', 'Custom messages should be used');
+    
+    hours.value = '2';
+    hours.dispatchEvent(new Event('input'));
+    const submitted = form.submit();
+    await test.delay(50);
+    test.assertEqual(JSON.stringify(saved[0]), '{"description":"Review","hours":2}', 'onSubmit should receive the values');
+    test.assert(submitButton().disabled, 'Submit button should be loading while onSubmit is pending');
+    
+    finishSave();
+    await submitted;
+    await test.delay(50);
+    test.assert(!submitButton().disabled, 'Loading should end when onSubmit settles');
+    
+    form.reset();
+    await test.delay(50);
+    test.assertEqual(description.value, '', 'reset() should restore the initial values');
+    test.assert(!form.el.querySelector('.tm-error'), 'reset() should clear errors');
+    
+    const state = form.form;
+    state.touched.hours = true;
+    form.destroy();
+    state.values.hours = 20;
+    await test.delay(50);
+    test.assert(!state.errors.hours, 'Destroying the Form should dispose its form (no revalidation on changes)');
+}, { category: 'component' });
+
+testSuite.test('Form focuses invalid checkbox and switch fields', async (test) => {
+    const form = new TM.Form({
+        fields: [
+            { name: 'billable', type: 'switch' },
+            { name: 'accepted', type: 'checkbox', rules: { required: 'Acepta las condiciones' } }
+        ],
+        onSubmit: () => {}
+    });
+    form.mount(test.testContainer);
+    
+    test.assert(form.el.querySelector('input[name="billable"]'), 'Switch should render its name');
+    await form.submit();
+    await test.delay(50);
+    test.assertEqual(document.activeElement, form.el.querySelector('input[name="accepted"]'), 'The invalid checkbox should be focused');
+    
+    form.destroy();
+}, { category: 'component' });
+
+testSuite.test('Slots project content that survives re-renders', async (test) => {
+    const clicks = [];
+    
+    class Page extends TM.Component {
+        initialState() {
+            return { count: 0, footer: true };
+        }
+        
+        render() {
+            const { count, footer } = this.state;
+            return `
+                <div>
+                    <tm-child is="Card" :props="${this.bindProps({ title: `Card ${count}` })}">
+                        <div class="projected" @click="handleClick"><input> ${count}</div>
+                        ${footer ? `<span slot="footer" class="projected-footer">Footer</span>` : ''}
+                    </tm-child>
+                </div>
+            `;
+        }
+        
+        handleClick() {
+            clicks.push(this.state.count);
+        }
+    }
+    
+    const page = new Page();
+    page.mount(test.testContainer);
+    
+    const projected = page.el.querySelector('.projected');
+    test.assert(projected?.closest('.tm-card__body'), 'Default slot content should render in the card body');
+    test.assert(page.el.querySelector('.tm-card__footer .projected-footer'), 'Named slot content should render in the footer');
+    
+    projected.querySelector('input').value = 'typed';
+    page.state.count = 1;
+    await test.delay(50);
+    test.assert(page.el.querySelector('.projected') === projected, 'Projected nodes should keep their identity');
+    test.assertEqual(projected.textContent.trim(), '1', 'Projected content should follow the parent state');
+    test.assertEqual(projected.querySelector('input').value, 'typed', 'Projected inputs should keep their value');
+    test.assertEqual(page.el.querySelector('.tm-card__title').textContent, 'Card 1', 'The child should still receive new props');
+    
+    projected.click();
+    test.assertEqual(clicks.join(), '1', 'Projected listeners should call the parent handler');
+    
+    page.state.footer = false;
+    await test.delay(50);
+    test.assert(!page.el.querySelector('.tm-card__footer'), 'Emptied slots should be cleared');
+    
+    const card = new TM.Card({ slots: { default: '<b class="imperative">Body</b>' } });
+    card.mount(test.testContainer);
+    test.assert(card.el.querySelector('.tm-card__body .imperative'), 'The slots prop should fill slots');
+    
+    const trigger = document.createElement('button');
+    card.setSlot('footer', trigger);
+    await test.delay(50);
+    test.assert(card.hasSlot('footer'), 'hasSlot() should report filled slots');
+    test.assert(trigger.closest('.tm-card__footer'), 'setSlot() should project DOM nodes');
+    
+    page.destroy();
+    card.destroy();
+}, { category: 'component' });
+
+testSuite.test('defineElement maps attributes, properties and events', async (test) => {
+    class Counter extends TM.Component {
+        static defaultProps = { label: '', count: 0, onPick: null };
+        
+        render() {
+            return `<div><span ref="text">${this.props.label}: ${this.props.count}</span><button @click="pick">Pick</button></div>`;
+        }
+        
+        pick() {
+            this.props.onPick?.();
+            this.emit('pick', { count: this.props.count });
+        }
+    }
+    
+    TM.defineElement('tm-test-counter', Counter);
+    test.testContainer.innerHTML = '<tm-test-counter label="Issues" count="2"></tm-test-counter>';
+    
+    const element = test.testContainer.querySelector('tm-test-counter');
+    const component = element.component;
+    test.assert(component instanceof Counter, 'Connecting should mount an instance');
+    test.assertEqual(component.refs.text.textContent, 'Issues: 2', 'Attributes should become typed props');
+    test.assertEqual(typeof element.count, 'number', 'Properties should expose the props');
+    
+    const picked = [];
+    element.onPick = () => picked.push('callback');
+    element.addEventListener('pick', (e) => picked.push(`event ${e.detail.count}`));
+    element.setAttribute('count', '5');
+    await test.delay(50);
+    test.assertEqual(component.refs.text.textContent, 'Issues: 5', 'Attribute changes should update props');
+    
+    element.querySelector('button').click();
+    test.assertEqual(picked.join(), 'callback,event 5', 'Callback properties and emitted events should reach the page');
+    
+    element.remove();
+    await test.delay(10);
+    test.assert(!component.isMounted, 'Removing the element should destroy the instance');
+}, { category: 'component' });
+
+testSuite.test('onDetach destroys or re-attaches removed components', async (test) => {
+    test.testContainer.innerHTML = '<section><aside class="test-sidebar"></aside></section>';
+    const section = test.testContainer.querySelector('section');
+    const selectors = new TM.SelectorManager('Test').register('sidebar', ['.test-sidebar']);
+    
+    let cleanups = 0;
+    class PollingButton extends TM.Button {
+        onDestroy() {
+            cleanups++;
+        }
+    }
+    const destroyed = new PollingButton({ text: 'Destroyed' });
+    destroyed.mount('.test-sidebar', { onDetach: 'destroy' });
+    const reattached = new TM.Button({ text: 'Reattached' });
+    reattached.insertAfter({ selectors, key: 'sidebar' }, { onDetach: 'reattach' });
+    const ignored = new TM.Button({ text: 'Ignored' });
+    ignored.mount('.test-sidebar');
+    
+    // The page replaces the subtree our components were mounted in
+    section.innerHTML = '';
+    await test.delay(10);
+    test.assert(!destroyed.isMounted, 'onDetach "destroy" should destroy the component');
+    test.assertEqual(cleanups, 1, 'onDetach "destroy" should call onDestroy');
+    test.assert(reattached.isMounted && !reattached.el.isConnected, 'onDetach "reattach" should keep the component waiting');
+    test.assert(ignored.isMounted, 'Components without onDetach should not be touched');
+    
+    section.innerHTML = '<aside class="test-sidebar"></aside>';
+    await test.delay(10);
+    test.assert(reattached.el.isConnected, 'The component should return when its anchor re-appears');
+    test.assertEqual(reattached.el.previousElementSibling?.className, 'test-sidebar', 'It should keep its position relative to the anchor');
+    
+    reattached.destroy();
+    ignored.destroy();
+}, { category: 'dom' });
+
+testSuite.test('SelectorManager heals missing selectors with fingerprints', (test) => {
+    test.testContainer.innerHTML = `
+        <div class="issue-toolbar">
+            <button class="btn" data-testid="edit-button">Editar</button>
+            <button class="btn" data-testid="save-button" aria-label="Guardar cambios">Guardar</button>
+        </div>`;
+    const selectors = new TM.SelectorManager('HealTest', { warnOnMiss: false })
+        .register('save', ['[data-testid="save-button"]', '.js-save']);
+    
+    const original = selectors.get('save');
+    test.assertEqual(selectors.resolve('save').healed, false, 'Registered selectors should resolve normally');
+    
+    // A UI release renames the test id
+    original.setAttribute('data-testid', 'issue-save-button');
+    const result = selectors.resolve('save');
+    test.assertEqual(result?.element, original, 'The most similar element should be returned');
+    test.assert(result.healed && result.confidence >= 0.6, 'The result should be flagged as healed with its confidence');
+    test.assertEqual(result.selector, 'button[data-testid="issue-save-button"]', 'A stable unique selector should be proposed');
+    test.assertEqual(selectors.getProposals()[0].key, 'save', 'Proposals should be listed');
+    
+    original.remove();
+    test.assertEqual(selectors.get('save'), null, 'Unrelated elements should not be returned');
+}, { category: 'dom' });
+
+testSuite.test('SelectorManager generates ranked selectors and picks elements', async (test) => {
+    test.testContainer.innerHTML = `
+        <div class="labels-block css-1q2w3e">
+            <button class="gl-button" data-testid="labels-edit" aria-label="Editar etiquetas">Editar</button>
+        </div>
+        <div class="assignee-block"><button class="gl-button">Editar</button></div>`;
+    const [labelsButton, assigneeButton] = test.testContainer.querySelectorAll('button');
+    
+    const candidates = TM.SelectorManager.generate(labelsButton, { maxCandidates: 3 });
+    test.assertEqual(candidates[0].selector, 'button[data-testid="labels-edit"]', 'data-testid should rank first');
+    test.assertEqual(candidates[1].selector, 'button[aria-label="Editar etiquetas"]', 'aria-label should be the next fallback');
+    test.assert(candidates.length === 3 && candidates.every(({ selector }) => !TM.SelectorManager.isFragile(selector)),
+        'Fragile classes should not be used');
+    test.assert(TM.SelectorManager.generate(assigneeButton).every(({ selector }) =>
+        document.querySelectorAll(selector).length === 1), 'Every candidate should be unique in the document');
+    
+    const picking = TM.SelectorManager.pick({ key: 'labelsEdit' });
+    labelsButton.dispatchEvent(new MouseEvent('mousemove', { bubbles: true }));
+    test.assert(document.querySelector('[data-tm-picker]'), 'The overlay should highlight the hovered element');
+    let pageClicks = 0;
+    labelsButton.addEventListener('click', () => pageClicks++);
+    labelsButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+    
+    const picked = await picking;
+    test.assertEqual(picked.element, labelsButton, 'Clicking should pick the element');
+    test.assert(picked.code.startsWith(`selectors.register('labelsEdit', [\n  'button[data-testid="labels-edit"]',`),
+        'A register() call with fallbacks should be produced');
+    test.assertEqual(pageClicks, 0, 'The page should not receive the picking click');
+    test.assert(!document.querySelector('[data-tm-picker]'), 'The overlay should be removed');
+    
+    // Inside shadow roots the picked entries must still find the element from the document
+    test.testContainer.innerHTML = '<div class="widget"></div><div class="widget"></div>';
+    const [, second] = Array.from(test.testContainer.querySelectorAll('.widget')).map(host => {
+        host.attachShadow({ mode: 'open' }).innerHTML = '<button data-testid="save">Guardar</button>';
+        return host.shadowRoot.querySelector('button');
+    });
+    second.setAttribute('aria-label', 'Guardar borrador');
+    
+    const pickingShadow = TM.SelectorManager.pick({ key: 'saveDraft' });
+    second.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, composed: true }));
+    const shadowPick = await pickingShadow;
+    test.assertEqual(shadowPick.element, second, 'Clicking inside a shadow root should pick the inner element');
+    test.assert(shadowPick.code.includes(`{ css: 'button[aria-label="Guardar borrador"]', shadow: true },`),
+        'Shadow elements should be registered as shadow-piercing descriptors');
+    test.assert(!shadowPick.code.includes('data-testid'), 'Selectors that find another element first should be dropped');
+    
+    const shadowSelectors = new TM.SelectorManager(`PickShadow${Date.now()}`, { persistStats: false, heal: false });
+    shadowSelectors.register('saveDraft', shadowPick.candidates.map(({ entry }) => entry));
+    test.assertEqual(shadowSelectors.get('saveDraft'), second, 'The picked entries should find the element from the document');
+}, { category: 'dom' });
+
+testSuite.test('SelectorManager persists health stats and promotes fallbacks', async (test) => {
+    test.testContainer.innerHTML = '<div class="issue-title-v2">Título</div>';
+    const name = `StatsTest${Date.now()}`;
+    const list = ['.issue-title', '.issue-title-v2'];
+    
+    const selectors = new TM.SelectorManager(name, { promoteAfter: 3, heal: false });
+    selectors.register('title', list);
+    selectors.get('title');
+    const [degraded] = selectors.getHealthReport().details;
+    test.assertEqual(degraded.status, 'degraded', 'A fallback hit should degrade the selector');
+    test.assert(degraded.degradedSince > 0, 'The time it started to degrade should be recorded');
+    
+    selectors.get('title');
+    selectors.get('title');
+    const [promoted] = selectors.getHealthReport().details;
+    test.assertEqual(promoted.primarySelector, '.issue-title-v2', 'The fallback should be promoted after 3 hits in a row');
+    test.assertEqual(promoted.degradedSince, null, 'A promoted selector should no longer be degraded');
+    selectors.saveStats();
+    
+    const reloaded = new TM.SelectorManager(name, { heal: false });
+    reloaded.register('title', list);
+    const [restored] = reloaded.getHealthReport().details;
+    test.assertEqual(restored.primarySelector, '.issue-title-v2', 'The promotion should survive a reload');
+    test.assertEqual(restored.hits, 3, 'Stats should be restored from storage');
+    
+    const panel = reloaded.showHealthPanel();
+    await test.delay(20);
+    test.assert(document.querySelector('.tm-drawer tbody tr'), 'The health panel should list the selectors');
+    const table = TM.registry.all().find(component => component.constructor.name === 'Table');
+    panel.destroy();
+    test.assert(table && !table._mounted, 'Closing the panel should destroy its table');
+    test.assert(!TM.registry.all().some(component => component.props?.text === 'Exportar JSON'), 'Closing the panel should destroy its export button');
+    
+    reloaded.resetStats();
+    reloaded.saveStats();
+    TM.storage.remove(reloaded._storageKey('stats'));
+}, { category: 'dom' });
+
+testSuite.test('SelectorManager observes elements entering and leaving the DOM', async (test) => {
+    test.testContainer.innerHTML = '<ul><li class="mr-row">!1</li></ul>';
+    const list = test.testContainer.querySelector('ul');
+    const selectors = new TM.SelectorManager(`ObserveTest${Date.now()}`, { persistStats: false, heal: false });
+    selectors.register('mrRow', ['li.mr-row', 'li[data-mr]']);
+    
+    const added = [];
+    const removed = [];
+    let cleanups = 0;
+    const rows = selectors.observe('mrRow', {
+        onAdd: row => {
+            added.push(row.textContent);
+            return () => cleanups++;
+        },
+        onRemove: row => removed.push(row.textContent)
+    }, { context: list });
+    test.assertEqual(added.join(), '!1', 'Elements already in the page should be reported');
+    
+    list.insertAdjacentHTML('beforeend', '<li class="mr-row">!2</li><li class="mr-row">!3</li>');
+    await test.delay(0);
+    test.assertEqual(added.join(), '!1,!2,!3', 'Streamed rows should be reported once each');
+    
+    list.firstElementChild.remove();
+    await test.delay(0);
+    test.assertEqual(removed.join(), '!1', 'Removed rows should be reported');
+    test.assertEqual(cleanups, 1, 'What onAdd returned should be torn down on removal');
+    test.assertEqual(rows.elements.length, 2, 'elements should list the rows in the page');
+    
+    rows.disconnect();
+    test.assertEqual(cleanups, 3, 'disconnect() should tear down every row');
+    
+    selectors.register('draftRow', 'li.draft');
+    const waiting = selectors.waitFor('draftRow', { context: list, timeout: 500 });
+    list.insertAdjacentHTML('beforeend', '<li class="mr-row draft">!4</li>');
+    test.assertEqual((await waiting).textContent, '!4', 'waitFor should resolve through the shared observer');
+    test.assertEqual(added.length, 3, 'Nothing should be reported after disconnect()');
+    
+    selectors.register('openRow', 'li[aria-expanded="true"]');
+    const opening = selectors.waitFor('openRow', { context: list, timeout: 500 });
+    list.lastElementChild.setAttribute('aria-expanded', 'true');
+    test.assertEqual((await opening).textContent, '!4', 'waitFor should notice attribute changes by default');
+    list.lastElementChild.removeAttribute('aria-expanded');
+    
+    list.insertAdjacentHTML('beforeend', '<li class="toggle" aria-expanded="true">!5</li>');
+    const toggle = list.lastElementChild;
+    selectors.register('expanded', 'li[aria-expanded="true"]');
+    let collapsed = 0;
+    const expanded = selectors.observe('expanded', { onAdd: () => () => collapsed++ }, { context: list, attributes: true });
+    toggle.setAttribute('aria-expanded', 'false');
+    await test.delay(0);
+    test.assertEqual(expanded.elements.length, 0, 'Elements that stop matching should be released');
+    test.assertEqual(collapsed, 1, 'What onAdd returned should be torn down when the element stops matching');
+    toggle.setAttribute('aria-expanded', 'true');
+    await test.delay(0);
+    test.assertEqual(expanded.elements.length, 1, 'Elements that match again should be added');
+    expanded.disconnect();
+}, { category: 'dom' });
+
+testSuite.test('SelectorManager matches text, XPath, role and shadow descriptors', async (test) => {
+    test.testContainer.innerHTML = `
+        <div class="block"><span class="title">Assignee <b>2</b></span></div>
+        <section><h2>Labels</h2></section>
+        <div role="button" aria-label="Save changes">💾</div>
+        <button>Cancel</button>
+        <div class="host"></div>`;
+    const host = test.testContainer.querySelector('.host');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<button class="shadow-btn">Inside</button>';
+    
+    const selectors = new TM.SelectorManager(`DescriptorTest${Date.now()}`, { persistStats: false, heal: false, warnOnMiss: false });
+    selectors.registerAll({
+        assignee: ['.assignee-title', { text: 'Assignee', tag: 'span' }],
+        labels: { xpath: './/section/h2' },
+        save: { role: 'button', name: 'Save changes' },
+        cancel: { role: 'button', name: /cancel/i },
+        shadowButton: ['.shadow-btn', { css: '.shadow-btn', shadow: true }]
+    });
+    
+    test.assert(selectors.get('assignee', test.testContainer)?.classList.contains('title'), 'Text descriptors should find the innermost element');
+    test.assertEqual(selectors.get('labels', test.testContainer)?.textContent, 'Labels', 'XPath should be evaluated against the context');
+    test.assertEqual(selectors.get('save', test.testContainer)?.textContent, '💾', 'Explicit roles should match by aria-label');
+    test.assertEqual(selectors.get('cancel', test.testContainer)?.tagName, 'BUTTON', 'Implicit roles should match by text');
+    test.assertEqual(selectors.get('shadowButton', test.testContainer)?.textContent, 'Inside', 'shadow: true should pierce open shadow roots');
+    test.assertEqual(selectors.query({ text: 'Labels', exact: true }, test.testContainer)?.tagName, 'H2', 'query() should accept descriptors');
+    
+    const assignee = selectors.getHealthReport().details.find(({ key }) => key === 'assignee');
+    test.assertEqual(assignee.status, 'degraded', 'Descriptor fallbacks should count toward the health report');
+    test.assertEqual(assignee.usedSelector, 'span:text("Assignee")', 'Stats should be keyed by the descriptor text');
+    test.assertEqual(selectors.getStats().shadowButton.selectors[1], '>>> .shadow-btn', 'Shadow descriptors should be described');
+}, { category: 'dom' });
+
+testSuite.test('Table sorts rows from its headers', async (test) => {
+    const sorts = [];
+    const table = new TM.Table({
+        columns: [{ key: 'name', title: 'Nombre' }, { key: 'hits', title: 'Hits' }],
+        data: [{ name: 'b', hits: 2 }, { name: 'a', hits: 10 }, { name: 'c', hits: 1 }],
+        sortable: true,
+        onSort: (key, dir) => sorts.push(`${key}:${dir}`)
+    }).mount(test.testContainer);
+    await test.delay(10);
+    
+    const names = () => [...test.testContainer.querySelectorAll('tbody tr')].map(row => row.cells[0].textContent.trim()).join(',');
+    const header = test.testContainer.querySelectorAll('th')[1];
+    header.click();
+    await test.delay(10);
+    test.assertEqual(names(), 'c,b,a', 'Numbers should sort numerically');
+    
+    test.testContainer.querySelectorAll('th')[1].click();
+    await test.delay(10);
+    test.assertEqual(names(), 'a,b,c', 'A second click should reverse the order');
+    test.assertEqual(test.testContainer.querySelectorAll('th')[1].getAttribute('aria-sort'), 'descending', 'aria-sort should follow the order');
+    test.assertEqual(sorts.join(' '), 'hits:asc hits:desc', 'onSort should be called');
+    
+    table.destroy();
+}, { category: 'component' });
+
+testSuite.test('persisted state hydrates, migrates, saves and syncs', async (test) => {
+    const key = `tm-test-persisted-${Date.now()}`;
+    localStorage.setItem(key, JSON.stringify({ labels: ['bug'] }));
+    
+    const prefs = TM.persisted(key, { favouriteLabels: [], project: null }, {
+        version: 2,
+        debounce: 10,
+        migrate: (data, from) => from < 2 ? { favouriteLabels: data.labels } : data
+    });
+    test.assertEqual(JSON.stringify(TM.toRaw(prefs)), '{"favouriteLabels":["bug"],"project":null}', 'Old values should be migrated over the defaults');
+    test.assert(TM.persisted(key, {}) === prefs, 'The same key should return the same object');
+    
+    prefs.favouriteLabels.push('feature');
+    await test.delay(50);
+    test.assertEqual(localStorage.getItem(key), '{"version":2,"data":{"favouriteLabels":["bug","feature"],"project":null}}', 'Changes should be saved with the version');
+    
+    // Another tab saves a new value
+    window.dispatchEvent(new StorageEvent('storage', {
+        key,
+        newValue: JSON.stringify({ version: 2, data: { favouriteLabels: [], project: 42 } }),
+        storageArea: localStorage
+    }));
+    test.assertEqual(prefs.project, 42, 'Values saved by other tabs should be applied');
+    
+    localStorage.removeItem(key);
+}, { category: 'state' });
+
+testSuite.test('Storage namespaces isolate keys, expire and export', async (test) => {
+    const labels = TM.storage.namespace('tm-test-labels');
+    const other = TM.storage.namespace('tm-test-other');
+    
+    await labels.set('project-42', ['bug']);
+    await labels.set('draft', 'temporary', { ttl: 20 });
+    await other.set('project-42', 'untouched');
+    test.assertEqual(JSON.stringify(await labels.keys()), '["project-42","draft"]', 'keys() should list the namespace keys');
+    
+    await test.delay(40);
+    test.assert(!await labels.has('draft'), 'Entries should expire after their TTL');
+    test.assertEqual(JSON.stringify(await labels.entries()), '[["project-42",["bug"]]]', 'entries() should skip expired entries');
+    
+    const dump = await labels.export();
+    await labels.clear();
+    test.assertEqual((await labels.keys()).length, 0, 'clear() should empty the namespace');
+    test.assertEqual(await other.get('project-42'), 'untouched', 'clear() should not touch other namespaces');
+    
+    test.assertEqual(await labels.import(dump), 1, 'import() should restore exported entries');
+    test.assertEqual(JSON.stringify(await labels.get('project-42')), '["bug"]', 'Imported values should be readable');
+    
+    // localStorage is shared with the page: namespace keys get a framework prefix
+    test.assert(localStorage.getItem('tm:ns:tm-test-labels:project-42'), 'localStorage keys should be prefixed with tm:ns:');
+    localStorage.setItem('tm-test-labels:page-key', '{"value":"page"}');
+    test.assertEqual(JSON.stringify(await labels.keys()), '["project-42"]', 'Page keys should not belong to the namespace');
+    localStorage.removeItem('tm-test-labels:page-key');
+    
+    // Quota checks read every entry, so a burst of writes is measured once
+    const limited = TM.storage.namespace('tm-test-quota', { quota: 10 });
+    const warnings = [];
+    const originalWarn = TM.Logger.warn;
+    const originalGetItem = Storage.prototype.getItem;
+    let reads = 0;
+    TM.Logger.warn = (module, message) => warnings.push(message);
+    Storage.prototype.getItem = function(key) {
+        reads++;
+        return originalGetItem.call(this, key);
+    };
+    
+    try {
+        for (let i = 0; i < 5; i++) await limited.set(`entry-${i}`, 'value');
+        test.assertEqual(reads, 0, 'Writes should not re-read the namespace');
+        
+        await test.delay(1100);
+        test.assertEqual(reads, 5, 'Usage should be measured once after the writes');
+        test.assertEqual(warnings.length, 1, 'Going over the quota should warn once');
+    } finally {
+        TM.Logger.warn = originalWarn;
+        Storage.prototype.getItem = originalGetItem;
+        await limited.clear();
+    }
+    
+    await labels.clear();
+    await other.clear();
+}, { category: 'state' });
+
+testSuite.test('HTTP client runs interceptors, retries and throws HttpError', async (test) => {
+    const originalFetch = globalThis.fetch;
+    const calls = [];
+    const replies = [
+        [503, { message: 'busy' }],
+        [200, [{ id: 1, name: 'bug' }]],
+        [404, { message: '404 Not found' }]
+    ];
+    
+    globalThis.fetch = async (url, init) => {
+        calls.push({ url, init });
+        const [status, body] = replies.shift();
+        if (status === 'network') throw new TypeError('Failed to fetch');
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+    
+    try {
+        const api = TM.http.create({ baseUrl: 'https://gitlab.test/api/v4', transport: 'fetch', retry: { retries: 2, delay: 1 } });
+        api.interceptors.request.use(config => ({ ...config, headers: { ...config.headers, 'PRIVATE-TOKEN': 'secret' } }));
+        api.interceptors.response.use(response => ({ ...response, data: response.data.map(label => label.name) }));
+        
+        const response = await api.get('/projects/42/labels', { params: { per_page: 100 } });
+        test.assertEqual(calls.length, 2, 'A 503 response should be retried');
+        test.assertEqual(calls[1].url, 'https://gitlab.test/api/v4/projects/42/labels?per_page=100', 'URL should join baseUrl and params');
+        test.assertEqual(calls[1].init.headers['PRIVATE-TOKEN'], 'secret', 'Request interceptors should add headers');
+        test.assertEqual(JSON.stringify(response.data), '["bug"]', 'Response interceptors should transform the data');
+        
+        let error = null;
+        try {
+            await api.get('/projects/404');
+        } catch (e) {
+            error = e;
+        }
+        test.assert(error instanceof TM.HttpError, 'Failed requests should reject with an HttpError');
+        test.assertEqual(error.status, 404, 'HttpError should carry the status');
+        test.assertEqual(error.body.message, '404 Not found', 'HttpError should carry the parsed body');
+        test.assertEqual(calls.length, 3, 'A 404 response should not be retried');
+        
+        replies.push(['network'], [200, []], ['network']);
+        await api.get('/projects/42/labels');
+        test.assertEqual(calls.length, 5, 'Network errors should be retried for GET');
+        const postError = await api.post('/projects/42/notes', { body: 'LGTM' }).catch(e => e);
+        test.assertEqual(postError.code, 'NETWORK', 'The network error should be thrown');
+        test.assertEqual(calls.length, 6, 'Network errors should not be retried for POST');
+        
+        replies.push([503, {}]);
+        const reads = api.create({ retry: { retries: 2, delay: 1, methods: ['GET'] } });
+        await reads.post('/projects/42/notes', {}).catch(() => {});
+        test.assertEqual(calls.length, 7, 'Methods outside retry.methods should not be retried');
+        
+        // Retry waits must not leave abort listeners on a long-lived signal
+        const controller = new AbortController();
+        let abortListeners = 0;
+        const { addEventListener, removeEventListener } = controller.signal;
+        controller.signal.addEventListener = function(type, ...args) {
+            if (type === 'abort') abortListeners++;
+            return addEventListener.call(this, type, ...args);
+        };
+        controller.signal.removeEventListener = function(type, ...args) {
+            if (type === 'abort') abortListeners--;
+            return removeEventListener.call(this, type, ...args);
+        };
+        replies.push([503, {}], [200, [{ id: 1, name: 'bug' }]]);
+        await api.get('/projects/42/labels', { signal: controller.signal });
+        test.assertEqual(calls.length, 9, 'The retried request should succeed');
+        test.assertEqual(abortListeners, 0, 'Abort listeners should be removed once the retry wait ends');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}, { category: 'state' });
+
+testSuite.test('Query cache dedupes requests and revalidates stale data', async (test) => {
+    let calls = 0;
+    let release;
+    const fetcher = () => new Promise(resolve => {
+        calls++;
+        release = () => resolve([`label-${calls}`]);
+    });
+    
+    class LabelList extends TM.Component {
+        labels = TM.query(['test', 'labels', 42], fetcher, { ttl: 1000 });
+        
+        render() {
+            const { data, loading } = this.labels;
+            return `<div>${loading ? 'loading' : data.join(',')}</div>`;
+        }
+    }
+    
+    const first = new LabelList();
+    const second = new LabelList();
+    first.mount(test.testContainer);
+    second.mount(test.testContainer);
+    test.assertEqual(first.labels, second.labels, 'Queries with the same key should share one result');
+    test.assertEqual(calls, 1, 'Concurrent queries should share one request');
+    test.assertEqual(first.el.textContent, 'loading', 'loading should be true until the first response');
+    
+    release();
+    await test.delay(10);
+    test.assertEqual(second.el.textContent, 'label-1', 'Components should render the fetched data');
+    test.assertEqual(JSON.stringify(await TM.queryCache.fetch(['test', 'labels', 42], fetcher)), '["label-1"]', 'Fresh data should come from the cache');
+    test.assertEqual(calls, 1, 'Fresh data should not be fetched again');
+    
+    const expired = TM.queryCache.fetch(['test', 'expired'], () => 'old', { ttl: 5 });
+    test.assertEqual(await expired, 'old', 'Missing data should be fetched');
+    await test.delay(10);
+    test.assertEqual(await TM.queryCache.fetch(['test', 'expired'], () => 'new'), 'new', 'fetch() should wait for data past its ttl');
+    
+    test.assertEqual(TM.queryCache.invalidate(['test']), 2, 'invalidate() should match key prefixes');
+    test.assertEqual(calls, 2, 'Invalidated queries in use should be fetched again');
+    test.assert(first.labels.fetching && !first.labels.loading, 'Stale data should stay visible while revalidating');
+    release();
+    await test.delay(10);
+    test.assertEqual(first.el.textContent, 'label-2', 'Components should render the revalidated data');
+    
+    first.destroy();
+    second.destroy();
+    TM.queryCache.invalidate(['test']);
+    test.assertEqual(calls, 2, 'Queries no component reads should not be refetched on invalidation');
+    
+    await TM.queryCache.fetch(['test', 'search', 'bu'], () => ['bug'], { ttl: 0, gcTime: 0 });
+    await test.delay(5);
+    await TM.queryCache.fetch(['test', 'search', 'bug'], () => ['bug'], { ttl: 0, gcTime: 0 });
+    test.assertEqual(TM.queryCache.get(['test', 'search', 'bu']), undefined, 'Stale queries nothing reads should be dropped after gcTime');
+    test.assert(TM.queryCache.get(['test', 'search', 'bug']), 'The query in use should be kept');
+    
+    await TM.queryCache.clear();
+}, { category: 'state' });
+
+testSuite.test('Routes enter and tear down on SPA navigations', async (test) => {
+    const originalUrl = location.href;
+    const entered = [];
+    const left = [];
+    
+    class IssuePanel extends TM.Component {
+        render() {
+            return `<div>Issue ${this.props.iid}</div>`;
+        }
+    }
+    
+    const unregister = TM.route('/tm-router-test/:project+/-/issues/:iid', {
+        enter: (params) => {
+            entered.push(`${params.project}#${params.iid}`);
+            return new IssuePanel({ iid: params.iid }).mount(test.testContainer);
+        },
+        leave: (params) => left.push(params.iid)
+    });
+    
+    try {
+        history.pushState(null, '', '/tm-router-test/group/app/-/issues/1');
+        await test.delay(10);
+        test.assertEqual(entered.join(), 'group/app#1', 'enter should receive the URL params');
+        test.assertEqual(TM.router.current.path, '/tm-router-test/group/app/-/issues/1', 'router.current should follow pushState');
+        const first = TM.registry.byClass(IssuePanel)[0];
+        test.assertEqual(first.el.textContent, 'Issue 1', 'enter should mount the returned component');
+        
+        history.pushState(null, '', '/tm-router-test/group/app/-/issues/2');
+        await test.delay(10);
+        test.assert(!first._mounted, 'Changing params should tear down the previous visit');
+        test.assertEqual(entered.join(), 'group/app#1,group/app#2', 'Changing params should enter again');
+        
+        history.pushState(null, '', '/tm-router-test/group/app/-/boards');
+        await test.delay(10);
+        test.assertEqual(left.join(), '1,2', 'leave should run when the route stops matching');
+        test.assertEqual(TM.registry.byClass(IssuePanel).length, 0, 'Route components should be destroyed on leave');
+    } finally {
+        unregister();
+        history.replaceState(null, '', originalUrl);
+    }
+}, { category: 'component' });
+
+testSuite.test('Component handles render errors gracefully', async (test) => {
     class TestComponent extends TM.Component {
+        initialState() {
+            return { broken: true };
+        }
+        
         render() {
-            throw new Error('Test render error');
+            if (this.state.broken) throw new Error('Test render error');
+            return `<div class="recovered">Ready</div>`;
         }
     }
     
+    const reported = [];
+    const off = TM.onError((error, { source }) => reported.push(`${source}: ${error.message}`));
     const component = new TestComponent();
     
-    test.assertThrows(() => {
+    try {
         component.mount(test.testContainer);
-    }, 'Should throw render error');
+        test.assertEqual(reported.join(), 'render: Test render error', 'The first render error should be reported, not thrown');
+        test.assert(component.isMounted && test.testContainer.contains(component.el), 'An empty root should be mounted');
+        
+        component.state.broken = false;
+        await test.delay(50);
+        test.assert(component.el.classList.contains('recovered'), 'Fixing the state should render the component');
+    } finally {
+        off();
+        component.destroy();
+    }
+}, { category: 'component' });
+
+testSuite.test('Error boundaries catch descendant errors', async (test) => {
+    class Faulty extends TM.Component {
+        initialState() {
+            return { broken: false };
+        }
+        
+        render() {
+            if (this.state.broken) throw new Error('render failed');
+            return `<div><button @click="save">Save</button></div>`;
+        }
+        
+        async save() {
+            throw new Error('save failed');
+        }
+    }
     
-    test.assert(!component._mounted, 'Component should not be mounted after error');
+    class Boundary extends TM.Component {
+        static components = { Faulty };
+        
+        initialState() {
+            return { errors: [] };
+        }
+        
+        onError(error, info) {
+            this.state.errors.push(`${info.source}: ${error.message}`);
+        }
+        
+        render() {
+            return this.state.errors.length > 1
+                ? `<div><tm-child is="Alert" :props="${this.bindProps({ type: 'danger', message: this.state.errors.join(', ') })}"></tm-child></div>`
+                : `<div><tm-child is="Faulty" key="faulty"></tm-child></div>`;
+        }
+    }
+    
+    const unhandled = [];
+    const off = TM.onError((error) => unhandled.push(error.message));
+    
+    const boundary = new Boundary();
+    boundary.mount(test.testContainer);
+    const faulty = boundary.getChild('faulty');
+    
+    faulty.el.querySelector('button').click();
+    await test.delay(50);
+    test.assertEqual(boundary.state.errors[0], 'event:click: save failed', 'Rejected async handlers should reach the boundary');
+    
+    faulty.state.broken = true;
+    await test.delay(50);
+    test.assertEqual(boundary.state.errors[1], 'render: render failed', 'Render errors should reach the boundary');
+    test.assert(boundary.el.querySelector('.tm-alert'), 'Boundary should render its fallback');
+    test.assert(!boundary.getChild('faulty'), 'Failed child should be removed by the fallback render');
+    
+    const orphan = new Faulty();
+    orphan.mount(test.testContainer);
+    orphan.state.broken = true;
+    await test.delay(50);
+    test.assertEqual(unhandled.join(), 'render failed', 'Unhandled errors should reach TM.onError');
+    
+    off();
+    orphan.destroy();
+    boundary.destroy();
 }, { category: 'component' });
 
 // Event Handling Tests
@@ -462,6 +1531,46 @@ testSuite.test('Event handlers work correctly', (test) => {
     test.assert(clicked, 'Click handler should be called');
 }, { category: 'component' });
 
+testSuite.test('Shadow mode keeps refs, events and emit working', (test) => {
+    let emitted = null;
+    
+    class TestComponent extends TM.Component {
+        static shadow = true;
+        
+        initialState() {
+            return { count: 0 };
+        }
+        
+        render() {
+            return `<div><button ref="button" @click="handleClick">${this.state.count}</button></div>`;
+        }
+        
+        handleClick() {
+            this.state.count++;
+            this.emit('counted', { count: this.state.count });
+        }
+    }
+    
+    test.testContainer.addEventListener('counted', e => emitted = e.detail.count);
+    
+    const component = new TestComponent();
+    component.mount(test.testContainer);
+    
+    test.assert(component.shadowRoot, 'Component should render into a shadow root');
+    test.assert(component.el.getRootNode() === component.shadowRoot, 'Root element should live in the shadow root');
+    test.assert(!test.testContainer.contains(component.el), 'Markup should not leak into the light DOM');
+    
+    component.refs.button.click();
+    TM.flushSync();
+    
+    test.assertEqual(component.refs.button.textContent, '1', 'Events and updates should work in the shadow root');
+    test.assertEqual(emitted, 1, 'Emitted events should cross the shadow boundary');
+    
+    const host = component.shadowRoot.host;
+    component.destroy();
+    test.assert(!host.isConnected, 'Shadow host should be removed on destroy');
+}, { category: 'component' });
+
 // Memory Leak Tests
 testSuite.test('Component cleanup prevents memory leaks', (test) => {
     class TestComponent extends TM.Component {
@@ -476,16 +1585,42 @@ testSuite.test('Component cleanup prevents memory leaks', (test) => {
     component.mount(test.testContainer);
     
     const componentId = component._componentId;
-    test.assert(window[componentId], 'Component should be registered globally');
+    test.assert(!(componentId in window), 'Component should not be exposed on window');
+    test.assert(TM.registry.byId(componentId) === component, 'Component should be in the registry');
+    test.assert(TM.registry.byElement(component.el) === component, 'Registry should find the component by element');
     
     // Destroy component
     component.destroy();
     
-    test.assert(!window[componentId], 'Component should be removed from global registry');
+    test.assert(!TM.registry.byId(componentId), 'Component should be removed from the registry');
+    test.assert(!TM.registry.all().includes(component), 'Destroyed components should not be listed');
     test.assert(!component._mounted, 'Component should be unmounted');
     test.assert(!component._el, 'Component element should be cleaned up');
 }, { category: 'component' });
 
+testSuite.test('Registry queries mounted components', (test) => {
+    class RegistryParent extends TM.Component {
+        render() {
+            return `<div><tm-child is="Button" :props='{"text": "Child"}'></tm-child></div>`;
+        }
+    }
+    
+    const parent = new RegistryParent();
+    parent.mount(test.testContainer);
+    const child = parent.getChild('Button-0');
+    
+    test.assertEqual(TM.registry.byClass(RegistryParent).length, 1, 'byClass should accept a class');
+    test.assert(TM.registry.byClass('Button').includes(child), 'byClass should accept a class name');
+    test.assert(TM.registry.byElement(child.el.querySelector('*') ?? child.el) === child, 'byElement should return the innermost component');
+    
+    const node = TM.registry.tree().find(entry => entry.component === parent);
+    test.assert(node, 'tree() should list root components');
+    test.assertEqual(node.children[0]?.component, child, 'tree() should nest declarative children');
+    
+    parent.destroy();
+    test.assert(!TM.registry.all().includes(child), 'Destroying a parent should unregister its children');
+}, { category: 'component' });
+
 // Run tests when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => testSuite.runAll());
@@ -257,7 +257,7 @@ LabelEditorTestSuite.prototype.testDOMPerformance = async function(test) {
         render() {
             return TM.html`
                 <div class="test-container">
-                    ${this.state.items.map(item => `<div class="test-item">${item}</div>`).join('')}
+                    ${this.state.items.map(item => TM.html`<div class="test-item">${item}</div>`)}
                 </div>
             `;
         }
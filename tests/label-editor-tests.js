@@ -106,7 +106,7 @@ class LabelEditorTestSuite {
                             <div class="config-tab-content ${activeTab !== 'json' ? 'hidden' : ''}" ref="jsonTab">
                                 <textarea class="config-json-editor" ref="jsonEditor" 
                                           @input="handleJsonInput">${JSON.stringify(this.state.groups, null, 2)}</textarea>
-                                ${jsonError ? `<div class="config-json-error">${jsonError}</div>` : ''}
+                                ${jsonError ? TM.html`<div class="config-json-error">${jsonError}</div>` : ''}
                             </div>
                         </div>
                         
@@ -290,14 +290,14 @@ class LabelEditorTestSuite {
                     <div class="label-group">
                         <h4 class="label-group__name">${name}</h4>
                         <div class="label-group__chips">
-                            ${this.props.labels.map(label => `
+                            ${this.props.labels.map(label => TM.html`
                                 <label-chip 
                                     name="${label}"
                                     selected="${this.state.labelStates[label]?.selected || false}"
                                     to-remove="${this.state.labelStates[label]?.toRemove || false}"
                                     @change="handleLabelChange"
                                 ></label-chip>
-                            `).join('')}
+                            `)}
                         </div>
                     </div>
                 `;